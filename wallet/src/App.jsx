@@ -19,49 +19,154 @@ import {
   Link,
   Stack,
   Center,
+  Select,
+  IconButton,
+  Avatar,
+  Textarea,
 } from "@chakra-ui/react";
 import {
   CopyIcon,
   CheckIcon,
   ExternalLinkIcon,
   LockIcon,
+  DeleteIcon,
 } from "@chakra-ui/icons";
 import { QRCodeSVG } from "qrcode.react";
 import "./App.css";
 import useBitcoinWalletStore from "./hooks/useBitcoinWalletStore";
-import { useDecentralizedIdentity } from "./hooks/useDecentralizedIdentity";
+import {
+  identity,
+  useDecentralizedIdentity,
+  MIN_PASSPHRASE_LENGTH,
+} from "./hooks/useDecentralizedIdentity";
+import { useIdleTimer } from "./hooks/useIdleTimer";
+import { isBunkerConnection } from "./nostrSession";
+import { isPaymentRequestOpen } from "./sdk/paymentRequest";
+import { isNip05Address } from "./sdk/contacts";
+import { PROFILE, PROFILES, setActiveProfile } from "./config";
+
+// Idle auto-lock choices (minutes, 0 = never)
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 60, 0];
+
+// Per-mint cap choices for automatic rebalancing (sats, 0 = no cap)
+const MINT_CAP_OPTIONS = [0, 1000, 10000, 100000];
+
+// Largest nutzap accepted from an untrusted mint (sats, 0 = none)
+const UNTRUSTED_LIMIT_OPTIONS = [0, 100, 1000, 10000];
+
+// Empty kind 0 profile form
+const EMPTY_PROFILE_FORM = { name: "", picture: "", about: "", lud16: "" };
+
+// Quick-pick deposit amounts (sats)
+const DEPOSIT_PRESETS = [10, 100, 1000, 5000];
 
 function App() {
   const {
     generateNostrKeys,
     auth,
+    unlock,
+    lock,
+    exportNcryptsec,
+    loginWithExtension,
     logout,
     nostrPubKey,
     nostrPrivKey,
+    loginMethod,
+    isLocked,
+    autoLockMinutes,
+    setAutoLockMinutes,
+    profile,
+    publishProfile,
     isConnected,
     errorMessage: identityError,
-  } = useDecentralizedIdentity(
-    localStorage.getItem("local_npub"),
-    localStorage.getItem("local_nsec")
-  );
+  } = useDecentralizedIdentity();
 
   // Wallet store state
   const cashuWallet = useBitcoinWalletStore((state) => state.cashuWallet);
   const walletBalance = useBitcoinWalletStore((state) => state.walletBalance);
+  const mints = useBitcoinWalletStore((state) => state.mints);
+  const mintBalances = useBitcoinWalletStore((state) => state.mintBalances);
+  const pendingBalances = useBitcoinWalletStore(
+    (state) => state.pendingBalances
+  );
+  const unverifiedMints = useBitcoinWalletStore(
+    (state) => state.unverifiedMints
+  );
+  const relays = useBitcoinWalletStore((state) => state.relays);
+  const history = useBitcoinWalletStore((state) => state.history);
   const invoice = useBitcoinWalletStore((state) => state.invoice);
+  const pendingDeposits = useBitcoinWalletStore(
+    (state) => state.pendingDeposits
+  );
+  const pendingWithdrawal = useBitcoinWalletStore(
+    (state) => state.pendingWithdrawal
+  );
   const isCreatingWallet = useBitcoinWalletStore(
     (state) => state.isCreatingWallet
   );
   const isWalletReady = useBitcoinWalletStore((state) => state.isWalletReady);
+  const isConsolidating = useBitcoinWalletStore(
+    (state) => state.isConsolidating
+  );
+  const nutzapInbox = useBitcoinWalletStore((state) => state.nutzapInbox);
+  const profiles = useBitcoinWalletStore((state) => state.profiles);
+  const isTransferring = useBitcoinWalletStore((state) => state.isTransferring);
+  const mintCap = useBitcoinWalletStore((state) => state.mintCap);
+  const untrustedMintPolicy = useBitcoinWalletStore(
+    (state) => state.untrustedMintPolicy
+  );
+  const paymentRequests = useBitcoinWalletStore(
+    (state) => state.paymentRequests
+  );
+  const contacts = useBitcoinWalletStore((state) => state.contacts);
+  const recentRecipients = useBitcoinWalletStore(
+    (state) => state.recentRecipients
+  );
+  const acceptsNutzaps = useBitcoinWalletStore((state) => state.acceptsNutzaps);
   const walletError = useBitcoinWalletStore((state) => state.errorMessage);
 
   // Wallet store actions
   const {
     createNewWallet,
     initiateDeposit,
+    cancelPendingDeposit,
+    setInvoice,
+    cancelDeposit,
+    decodeInvoice,
     init,
     initWallet,
     send,
+    fetchUserPaymentInfo,
+    isValidRecipient,
+    isValidNutzapTarget,
+    resolveNutzapTarget,
+    sendNutzap,
+    getEventNutzaps,
+    loadContacts,
+    resolveRecipient,
+    searchRecipients,
+    addMint,
+    removeMint,
+    transferBetweenMints,
+    setMintCap,
+    addRelay,
+    removeRelay,
+    prepareWithdrawal,
+    withdraw,
+    cancelWithdrawal,
+    createToken,
+    inspectToken,
+    receiveToken,
+    createPaymentRequest,
+    forgetPaymentRequest,
+    inspectPaymentRequest,
+    payPaymentRequest,
+    getProofSummary,
+    consolidateProofs,
+    retryNutzap,
+    trustNutzapMint,
+    setUntrustedMintPolicy,
+    getNpub,
     resetState,
     verifyAndUpdateBalance,
     startNutzapMonitor,
@@ -71,18 +176,58 @@ function App() {
   // Local state
   const [hydrating, setHydrating] = useState(true);
   const [nsecInput, setNsecInput] = useState("");
+  const [passphraseInput, setPassphraseInput] = useState("");
+  const [unlockInput, setUnlockInput] = useState("");
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [retryingNutzap, setRetryingNutzap] = useState(null);
   const [isDepositing, setIsDepositing] = useState(false);
+  const [depositMint, setDepositMint] = useState("");
+  const [depositAmountInput, setDepositAmountInput] = useState("10");
+  const [now, setNow] = useState(() => Date.now());
+  const [mintInput, setMintInput] = useState("");
+  const [isAddingMint, setIsAddingMint] = useState(false);
+  const [transferFrom, setTransferFrom] = useState("");
+  const [transferTo, setTransferTo] = useState("");
+  const [transferAmountInput, setTransferAmountInput] = useState("");
+  const [relayInput, setRelayInput] = useState("");
+  const [isAddingRelay, setIsAddingRelay] = useState(false);
+  const [withdrawInvoice, setWithdrawInvoice] = useState("");
+  const [isQuotingWithdrawal, setIsQuotingWithdrawal] = useState(false);
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
+  const [tokenAmountInput, setTokenAmountInput] = useState("");
+  const [createdToken, setCreatedToken] = useState("");
+  const [isCreatingToken, setIsCreatingToken] = useState(false);
+  const [tokenInput, setTokenInput] = useState("");
+  const [isReceivingToken, setIsReceivingToken] = useState(false);
+  const [requestAmountInput, setRequestAmountInput] = useState("");
+  const [requestDescription, setRequestDescription] = useState("");
+  const [createdRequest, setCreatedRequest] = useState(null);
+  const [isCreatingRequest, setIsCreatingRequest] = useState(false);
+  const [payRequestInput, setPayRequestInput] = useState("");
+  const [payRequestAmountInput, setPayRequestAmountInput] = useState("");
+  const [isPayingRequest, setIsPayingRequest] = useState(false);
   const [isSending, setIsSending] = useState(false);
+  const [recipientInput, setRecipientInput] = useState("");
+  const [sendAmountInput, setSendAmountInput] = useState("");
+  const [sendComment, setSendComment] = useState("");
+  const [sendReview, setSendReview] = useState(null); // { recipient, pubkey, nip05, target, earned, amount, comment, mints, relays }
+  const [isReviewingSend, setIsReviewingSend] = useState(false);
   const [copiedInvoice, setCopiedInvoice] = useState(false);
   const [isCreatingAccount, setIsCreatingAccount] = useState(false);
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE_FORM);
+  const [isEditingProfile, setIsEditingProfile] = useState(false);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
   const [isSigningIn, setIsSigningIn] = useState(false);
 
   const toast = useToast();
 
   // Check if user is authenticated
   const isAuthenticated = useMemo(() => {
-    return !!(nostrPubKey && nostrPrivKey);
-  }, [nostrPubKey, nostrPrivKey]);
+    return !!(
+      nostrPubKey &&
+      (nostrPrivKey || ["nip07", "nip46"].includes(loginMethod))
+    );
+  }, [nostrPubKey, nostrPrivKey, loginMethod]);
 
   // Initialize on mount
   useEffect(() => {
@@ -116,6 +261,125 @@ function App() {
     return Number.isFinite(numeric) ? numeric : 0;
   }, [walletBalance]);
 
+  // Sats in proofs the mints report as PENDING (payments still settling)
+  const inFlightBalance = Object.values(pendingBalances).reduce(
+    (sum, amount) => sum + amount,
+    0
+  );
+
+  // Load the follow list and recent recipients for the picker
+  useEffect(() => {
+    if (isWalletReady) loadContacts();
+  }, [isWalletReady, loadContacts]);
+
+  // Anything but a search query can be sent to as typed
+  const recipientIsAddress =
+    isValidRecipient(recipientInput) ||
+    isValidNutzapTarget(recipientInput) ||
+    isNip05Address(recipientInput);
+
+  // Contacts and recent recipients matching the recipient field
+  // (reads contacts, recentRecipients, profiles and acceptsNutzaps)
+  const recipientSuggestions =
+    isValidRecipient(recipientInput) || isValidNutzapTarget(recipientInput)
+      ? []
+      : searchRecipients(recipientInput, 8);
+
+  // Validate the send form against the verified balance
+  const sendAmount = Number(sendAmountInput);
+  const sendFormError = useMemo(() => {
+    if (
+      recipientInput.trim() &&
+      !recipientIsAddress &&
+      recipientSuggestions.length === 0
+    ) {
+      return "No contact matches. Enter an npub, nprofile, name@domain or a note, nevent or naddr";
+    }
+    if (sendAmountInput === "") return null;
+    if (!Number.isInteger(sendAmount) || sendAmount < 1) {
+      return "Amount must be a whole number of sats";
+    }
+    if (sendAmount > totalBalance) {
+      return `Amount exceeds your balance of ${totalBalance} sats`;
+    }
+    return null;
+  }, [
+    recipientInput,
+    recipientIsAddress,
+    recipientSuggestions.length,
+    sendAmountInput,
+    sendAmount,
+    totalBalance,
+  ]);
+
+  const canReviewSend =
+    !sendFormError && recipientIsAddress && sendAmountInput !== "";
+
+  // Decode a pasted token locally for preview
+  const tokenPreview = useMemo(
+    () => (tokenInput.trim() ? inspectToken(tokenInput) : null),
+    [tokenInput, inspectToken]
+  );
+
+  // Decode a pasted payment request (depends on the mint balances too)
+  const requestPreview = payRequestInput.trim()
+    ? inspectPaymentRequest(payRequestInput)
+    : null;
+
+  // Handle lock: forget the decrypted key until the passphrase is entered
+  const handleLock = () => {
+    stopNutzapMonitor();
+    resetState();
+    lock();
+    toast({
+      title: "Wallet locked",
+      status: "info",
+      duration: 2000,
+    });
+  };
+
+  // Lock automatically after the configured idle time
+  useIdleTimer(
+    autoLockMinutes,
+    handleLock,
+    isAuthenticated && loginMethod === "nsec"
+  );
+
+  // Handle unlock with the passphrase
+  const handleUnlock = async () => {
+    setIsUnlocking(true);
+    try {
+      const result = await unlock(unlockInput);
+      if (result) {
+        setUnlockInput("");
+        const connected = await init(result.nsec);
+        if (connected) {
+          const wallet = await initWallet();
+          if (wallet) {
+            await startNutzapMonitor();
+          }
+        }
+      } else {
+        toast({
+          title: "Could not unlock",
+          description: "Check your passphrase and try again",
+          status: "error",
+          duration: 3000,
+        });
+      }
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  // Copy the encrypted key backup (NIP-49 ncryptsec)
+  const handleExportBackup = () => {
+    const ncryptsec = exportNcryptsec();
+    if (ncryptsec) {
+      copyToClipboard(ncryptsec, "Encrypted backup");
+    }
+  };
+
   // Handle logout
   const handleLogout = () => {
     logout();
@@ -129,18 +393,40 @@ function App() {
 
   // Handle create account
   const handleCreateAccount = async () => {
+    if (passphraseInput.length < MIN_PASSPHRASE_LENGTH) {
+      toast({
+        title: `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`,
+        description: "It encrypts your secret key on this device.",
+        status: "warning",
+        duration: 4000,
+      });
+      return;
+    }
+
     setIsCreatingAccount(true);
     try {
-      const keys = await generateNostrKeys();
+      const keys = await generateNostrKeys(profileForm, passphraseInput);
       if (keys) {
-        toast({
-          title: "Account created!",
-          description: "Your new Nostr identity has been generated.",
-          status: "success",
-          duration: 3000,
-        });
+        setPassphraseInput("");
+        setProfileForm(EMPTY_PROFILE_FORM);
+        const profileError = identity.getState().errorMessage;
+        toast(
+          profileError
+            ? {
+                title: "Account created, profile not published",
+                description: `${profileError}. You can try again in your profile settings.`,
+                status: "warning",
+                duration: 5000,
+              }
+            : {
+                title: "Account created!",
+                description: "Your new Nostr identity has been generated.",
+                status: "success",
+                duration: 3000,
+              }
+        );
         // Re-initialize wallet connection
-        await init();
+        await init(keys.nsec);
       }
     } catch (err) {
       toast({
@@ -154,30 +440,83 @@ function App() {
     }
   };
 
+  // Handle edit profile: start from the published one
+  const handleEditProfile = () => {
+    setProfileForm({
+      name: profile?.display_name || profile?.name || "",
+      picture: profile?.picture || "",
+      about: profile?.about || "",
+      lud16: profile?.lud16 || "",
+    });
+    setIsEditingProfile(true);
+  };
+
+  // Handle save profile (kind 0)
+  const handleSaveProfile = async () => {
+    setIsSavingProfile(true);
+    try {
+      const published = await publishProfile(profileForm);
+      if (published) {
+        setIsEditingProfile(false);
+        setProfileForm(EMPTY_PROFILE_FORM);
+        toast({
+          title: "Profile updated",
+          status: "success",
+          duration: 3000,
+        });
+      } else {
+        toast({
+          title: "Could not update profile",
+          description: identity.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
   // Handle sign in with existing key
   const handleSignIn = async () => {
     if (!nsecInput.trim()) {
       toast({
-        title: "Please enter your nsec",
+        title: "Please enter your nsec or bunker URI",
         status: "warning",
         duration: 3000,
       });
       return;
     }
 
-    if (!nsecInput.startsWith("nsec")) {
+    const usesBunker = isBunkerConnection(nsecInput);
+    if (
+      !usesBunker &&
+      !nsecInput.startsWith("nsec") &&
+      !nsecInput.startsWith("ncryptsec")
+    ) {
       toast({
         title: "Invalid key format",
-        description: "Key must start with 'nsec'",
+        description:
+          "Enter an nsec, an ncryptsec backup, a bunker:// URI or a NIP-05 address",
         status: "error",
         duration: 3000,
       });
       return;
     }
 
+    if (!usesBunker && passphraseInput.length < MIN_PASSPHRASE_LENGTH) {
+      toast({
+        title: `Enter a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`,
+        description: "It encrypts your secret key on this device.",
+        status: "warning",
+        duration: 4000,
+      });
+      return;
+    }
+
     setIsSigningIn(true);
     try {
-      const result = await auth(nsecInput);
+      const result = await auth(nsecInput, passphraseInput);
       if (result) {
         toast({
           title: "Signed in successfully!",
@@ -185,6 +524,46 @@ function App() {
           duration: 3000,
         });
         setNsecInput("");
+        setPassphraseInput("");
+        // Re-initialize wallet connection
+        await init(result.nsec);
+        const wallet = await initWallet();
+        if (wallet) {
+          await startNutzapMonitor(); // Start monitoring after sign in
+        }
+      } else {
+        toast({
+          title: "Sign in failed",
+          description: usesBunker
+            ? "The remote signer did not respond or rejected the connection"
+            : "Please check your private key and passphrase",
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } catch (err) {
+      toast({
+        title: "Error signing in",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+      });
+    } finally {
+      setIsSigningIn(false);
+    }
+  };
+
+  // Handle sign in with a NIP-07 browser extension
+  const handleExtensionSignIn = async () => {
+    setIsSigningIn(true);
+    try {
+      const result = await loginWithExtension();
+      if (result) {
+        toast({
+          title: "Signed in with extension!",
+          status: "success",
+          duration: 3000,
+        });
         // Re-initialize wallet connection
         await init();
         const wallet = await initWallet();
@@ -194,7 +573,7 @@ function App() {
       } else {
         toast({
           title: "Sign in failed",
-          description: "Please check your private key",
+          description: "The extension did not share your public key",
           status: "error",
           duration: 5000,
         });
@@ -234,13 +613,34 @@ function App() {
     }
   };
 
-  // Handle deposit (always 10 sats)
+  const depositAmount = Number(depositAmountInput);
+  const isDepositAmountValid =
+    Number.isInteger(depositAmount) && depositAmount > 0;
+
+  // Decode the invoice locally for its amount, description and expiry
+  const invoiceDetails = useMemo(
+    () => (invoice ? decodeInvoice(invoice) : null),
+    [invoice, decodeInvoice]
+  );
+  const invoiceSecondsLeft = invoiceDetails?.expiresAt
+    ? Math.max(invoiceDetails.expiresAt - Math.floor(now / 1000), 0)
+    : null;
+
+  // Tick the expiry countdown while an invoice is shown
+  useEffect(() => {
+    if (!invoice) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [invoice]);
+
+  // Handle deposit of the chosen amount
   const handleDeposit = async () => {
-    const amount = 10;
+    if (!isDepositAmountValid) return;
 
     setIsDepositing(true);
     try {
-      await initiateDeposit(amount, {
+      const pr = await initiateDeposit(depositAmount, {
+        mint: depositMint || mints[0],
         onSuccess: (newBalance) => {
           toast({
             title: "Deposit successful!",
@@ -248,7 +648,6 @@ function App() {
             status: "success",
             duration: 5000,
           });
-          setIsDepositing(false);
         },
         onError: (e) => {
           toast({
@@ -257,9 +656,16 @@ function App() {
             status: "error",
             duration: 5000,
           });
-          setIsDepositing(false);
         },
       });
+      if (!pr) {
+        toast({
+          title: "Error initiating deposit",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
     } catch (err) {
       toast({
         title: "Error initiating deposit",
@@ -267,16 +673,97 @@ function App() {
         status: "error",
         duration: 5000,
       });
+    } finally {
+      setNow(Date.now());
       setIsDepositing(false);
     }
   };
 
-  // Handle send 1 sat
+  // Stop waiting for the invoice on screen
+  const handleCancelCurrentDeposit = async () => {
+    await cancelDeposit();
+    toast({
+      title: "Deposit cancelled",
+      description: "Paying this invoice now will not credit your wallet.",
+      status: "info",
+      duration: 5000,
+    });
+  };
+
+  // Stop waiting for a pending deposit; its quote is deleted from relays
+  const handleCancelDeposit = async (quoteId) => {
+    await cancelPendingDeposit(quoteId);
+    toast({
+      title: "Deposit cancelled",
+      description: "Paying this invoice now will not credit your wallet.",
+      status: "info",
+      duration: 5000,
+    });
+  };
+
+  // Handle send review: look up the recipient's nutzap preferences.
+  // An event (note, nevent, naddr) pays its author and is tagged in the
+  // nutzap, so its running total is shown too.
+  const handleReviewSend = async () => {
+    if (!canReviewSend) return;
+
+    setIsReviewingSend(true);
+    try {
+      const input = recipientInput.trim();
+      const target = isValidNutzapTarget(input) ? input : null;
+      let recipient = input;
+      let earned = null;
+
+      if (target) {
+        const resolved = await resolveNutzapTarget(target);
+        if (!resolved) {
+          throw new Error(useBitcoinWalletStore.getState().errorMessage);
+        }
+        recipient = getNpub(resolved.author);
+        earned = await getEventNutzaps(target);
+      }
+
+      // Looks up NIP-05 identifiers and loads the recipient's profile
+      const resolvedRecipient = await resolveRecipient(recipient);
+      if (!resolvedRecipient) {
+        throw new Error(useBitcoinWalletStore.getState().errorMessage);
+      }
+      if (resolvedRecipient.nip05) recipient = resolvedRecipient.npub;
+
+      const { mints, relays } = await fetchUserPaymentInfo(recipient);
+      setSendReview({
+        recipient,
+        pubkey: resolvedRecipient.pubkey,
+        nip05: resolvedRecipient.nip05,
+        target,
+        earned,
+        amount: sendAmount,
+        comment: sendComment.trim(),
+        mints,
+        relays,
+      });
+    } catch (err) {
+      toast({
+        title: "Could not look up recipient",
+        description: err.message,
+        status: "error",
+        duration: 5000,
+      });
+    } finally {
+      setIsReviewingSend(false);
+    }
+  };
+
+  // Handle confirmed send
   const handleSend = async () => {
-    if (totalBalance < 1) {
+    if (!sendReview) return;
+
+    const { recipient, target, amount, comment } = sendReview;
+
+    if (totalBalance < amount) {
       toast({
         title: "Insufficient balance",
-        description: "You need at least 1 sat to send",
+        description: `You need at least ${amount} sats to send`,
         status: "warning",
         duration: 3000,
       });
@@ -285,18 +772,34 @@ function App() {
 
     setIsSending(true);
     try {
-      const success = await send();
-      if (success) {
+      const result = target
+        ? await sendNutzap(target, amount, comment)
+        : await send(recipient, amount, comment);
+      if (result) {
+        const accepted = result.relayResults.filter((r) => r.ok).length;
+        const failed = result.relayResults.filter((r) => !r.ok);
         toast({
-          title: "Sent 1 sat!",
-          status: "success",
-          duration: 3000,
+          title: `Sent ${amount} ${amount === 1 ? "sat" : "sats"}!`,
+          description: `Published to ${accepted} of ${
+            result.relayResults.length
+          } relays${
+            failed.length > 0
+              ? ` (failed: ${failed.map((r) => r.url).join(", ")})`
+              : ""
+          }`,
+          status: accepted > 0 ? "success" : "warning",
+          duration: 5000,
         });
+        setSendReview(null);
+        setRecipientInput("");
+        setSendAmountInput("");
+        setSendComment("");
         await verifyAndUpdateBalance();
       } else {
         toast({
           title: "Send failed",
-          description: walletError || "Please try again",
+          description:
+            useBitcoinWalletStore.getState().errorMessage || "Please try again",
           status: "error",
           duration: 5000,
         });
@@ -313,55 +816,597 @@ function App() {
     }
   };
 
-  // Copy invoice to clipboard
-  const copyInvoice = async (text) => {
-    try {
-      await navigator.clipboard.writeText(text);
-      setCopiedInvoice(true);
-      setTimeout(() => setCopiedInvoice(false), 2000);
-      toast({
-        title: "Copied!",
-        status: "success",
-        duration: 1500,
-      });
-    } catch (err) {
+  // Handle withdrawal quote for a pasted invoice
+  const handlePrepareWithdrawal = async () => {
+    if (!withdrawInvoice.trim()) {
       toast({
-        title: "Failed to copy",
-        status: "error",
-        duration: 2000,
+        title: "Please paste a Lightning invoice",
+        status: "warning",
+        duration: 3000,
       });
+      return;
+    }
+
+    setIsQuotingWithdrawal(true);
+    try {
+      const quote = await prepareWithdrawal(withdrawInvoice);
+      if (!quote) {
+        toast({
+          title: "Could not prepare withdrawal",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsQuotingWithdrawal(false);
     }
   };
 
-  // Copy to clipboard helper
-  const copyToClipboard = async (text, label) => {
+  // Handle confirmed withdrawal
+  const handleWithdraw = async () => {
+    setIsWithdrawing(true);
     try {
-      await navigator.clipboard.writeText(text);
+      const result = await withdraw();
+      if (result?.pending) {
+        toast({
+          title: `Paying ${result.amount} sats`,
+          description:
+            "The Lightning payment is still in flight. The sats stay pending until the mint settles it.",
+          status: "info",
+          duration: 5000,
+        });
+        setWithdrawInvoice("");
+      } else if (result) {
+        toast({
+          title: `Paid ${result.amount} sats`,
+          description: `Lightning fee: ${result.fee} sats`,
+          status: "success",
+          duration: 5000,
+        });
+        setWithdrawInvoice("");
+      } else {
+        toast({
+          title: "Withdrawal failed",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsWithdrawing(false);
+    }
+  };
+
+  // Handle create bearer token
+  const handleCreateToken = async () => {
+    const amount = Number(tokenAmountInput);
+    if (!Number.isInteger(amount) || amount < 1 || amount > totalBalance) {
       toast({
-        title: `${label} copied!`,
-        status: "success",
-        duration: 1500,
+        title: "Invalid amount",
+        description: `Enter a whole number of sats up to ${totalBalance}`,
+        status: "warning",
+        duration: 3000,
       });
-    } catch (err) {
+      return;
+    }
+
+    setIsCreatingToken(true);
+    try {
+      const token = await createToken(amount);
+      if (token) {
+        setCreatedToken(token);
+        setTokenAmountInput("");
+      } else {
+        toast({
+          title: "Could not create token",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsCreatingToken(false);
+    }
+  };
+
+  // Handle receive bearer token
+  const handleReceiveToken = async () => {
+    if (!tokenPreview) {
       toast({
-        title: "Failed to copy",
-        status: "error",
-        duration: 2000,
+        title: "Invalid token",
+        description: "Paste a token starting with cashuA or cashuB",
+        status: "warning",
+        duration: 3000,
       });
+      return;
     }
-  };
 
-  // Loading state
-  if (hydrating) {
-    return (
-      <Container centerContent py={20}>
-        <VStack spacing={4}>
-          <Spinner size="xl" color="orange.500" />
-          <Text>Loading...</Text>
-        </VStack>
-      </Container>
-    );
-  }
+    setIsReceivingToken(true);
+    try {
+      const result = await receiveToken(tokenInput, {
+        trustMint: !tokenPreview.isTrustedMint,
+      });
+      if (result) {
+        toast({
+          title: `Received ${result.amount} sats`,
+          status: "success",
+          duration: 3000,
+        });
+        setTokenInput("");
+      } else {
+        toast({
+          title: "Could not receive token",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsReceivingToken(false);
+    }
+  };
+
+  // Handle create payment request (NUT-18)
+  const handleCreateRequest = async () => {
+    const amount =
+      requestAmountInput === "" ? null : Number(requestAmountInput);
+    if (amount !== null && (!Number.isInteger(amount) || amount < 1)) {
+      toast({
+        title: "Invalid amount",
+        description: "Enter a whole number of sats, or leave it empty",
+        status: "warning",
+        duration: 3000,
+      });
+      return;
+    }
+
+    setIsCreatingRequest(true);
+    try {
+      const request = await createPaymentRequest({
+        amount,
+        description: requestDescription.trim(),
+      });
+      if (request) {
+        setCreatedRequest(request);
+        setRequestAmountInput("");
+        setRequestDescription("");
+      } else {
+        toast({
+          title: "Could not create request",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsCreatingRequest(false);
+    }
+  };
+
+  // Handle pay payment request (NUT-18)
+  const handlePayRequest = async () => {
+    if (!requestPreview || requestPreview.error) return;
+
+    const amount = requestPreview.amount || Number(payRequestAmountInput);
+    if (!Number.isInteger(amount) || amount < 1 || amount > totalBalance) {
+      toast({
+        title: "Invalid amount",
+        description: `Enter a whole number of sats up to ${totalBalance}`,
+        status: "warning",
+        duration: 3000,
+      });
+      return;
+    }
+
+    setIsPayingRequest(true);
+    try {
+      const result = await payPaymentRequest(payRequestInput, { amount });
+      if (!result) {
+        toast({
+          title: "Payment failed",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+        return;
+      }
+
+      if (result.token) {
+        // No transport: the token is shown with the other tokens
+        setCreatedToken(result.token);
+        toast({
+          title: "Hand over the token",
+          description:
+            "This request has no delivery method. Give the requester the token shown under Cashu Tokens.",
+          status: "info",
+          duration: 6000,
+        });
+      } else {
+        toast({
+          title: `Paid ${result.amount} sats`,
+          status: "success",
+          duration: 3000,
+        });
+      }
+      setPayRequestInput("");
+      setPayRequestAmountInput("");
+    } finally {
+      setIsPayingRequest(false);
+    }
+  };
+
+  // Handle consolidate proofs (one mint)
+  const handleConsolidate = async (mint) => {
+    const results = await consolidateProofs(mint);
+    if (results) {
+      const [{ proofsBefore, proofsAfter, fee }] = results;
+      toast({
+        title:
+          proofsBefore === proofsAfter
+            ? "Proofs are already consolidated"
+            : `Consolidated ${proofsBefore} proofs into ${proofsAfter}`,
+        description: fee > 0 ? `Mint fee: ${fee} sats` : undefined,
+        status: "success",
+        duration: 3000,
+      });
+    } else {
+      toast({
+        title: "Could not consolidate proofs",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle retrying a nutzap that failed to redeem
+  const handleRetryNutzap = async (id) => {
+    setRetryingNutzap(id);
+    await retryNutzap(id);
+    setRetryingNutzap(null);
+
+    const entry = useBitcoinWalletStore
+      .getState()
+      .nutzapInbox.find((item) => item.id === id);
+    if (entry?.status === "redeemed") {
+      toast({
+        title: `Received ${entry.amount} sats`,
+        status: "success",
+        duration: 3000,
+      });
+    } else {
+      toast({
+        title: "Nutzap still not redeemed",
+        description: entry?.error,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle trusting the mint of a held nutzap
+  const handleTrustNutzapMint = async (id) => {
+    setRetryingNutzap(id);
+    const trusted = await trustNutzapMint(id);
+    setRetryingNutzap(null);
+
+    if (!trusted) {
+      toast({
+        title: "Could not add mint",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle add mint
+  const handleAddMint = async () => {
+    if (!mintInput.trim()) return;
+
+    setIsAddingMint(true);
+    try {
+      const added = await addMint(mintInput);
+      if (added) {
+        toast({
+          title: "Mint added",
+          status: "success",
+          duration: 3000,
+        });
+        setMintInput("");
+      } else {
+        toast({
+          title: "Could not add mint",
+          description: useBitcoinWalletStore.getState().errorMessage,
+          status: "error",
+          duration: 5000,
+        });
+      }
+    } finally {
+      setIsAddingMint(false);
+    }
+  };
+
+  // Handle moving sats between mints (empty amount = everything)
+  const handleTransfer = async () => {
+    const amount = transferAmountInput.trim()
+      ? parseInt(transferAmountInput, 10)
+      : null;
+    if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+      toast({
+        title: "Enter a whole number of sats",
+        status: "warning",
+        duration: 3000,
+      });
+      return;
+    }
+
+    const result = await transferBetweenMints(transferFrom, transferTo, amount);
+    if (result?.pending) {
+      toast({
+        title: `Moving ${result.amount} sats`,
+        description:
+          "The Lightning payment is still in flight. The sats arrive once the mint settles it.",
+        status: "info",
+        duration: 5000,
+      });
+      setTransferAmountInput("");
+    } else if (result) {
+      toast({
+        title: `Moved ${result.amount} sats`,
+        description: result.fee > 0 ? `Fee: ${result.fee} sats` : undefined,
+        status: "success",
+        duration: 3000,
+      });
+      setTransferAmountInput("");
+    } else {
+      toast({
+        title: "Could not move sats",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle remove mint
+  const handleRemoveMint = async (mint) => {
+    const removed = await removeMint(mint);
+    if (removed) {
+      if (depositMint === mint) setDepositMint("");
+      toast({
+        title: "Mint removed",
+        status: "info",
+        duration: 3000,
+      });
+    } else {
+      toast({
+        title: "Could not remove mint",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle adding a relay to the user's relay list
+  const handleAddRelay = async () => {
+    if (!relayInput.trim()) return;
+
+    setIsAddingRelay(true);
+    const added = await addRelay(relayInput);
+    setIsAddingRelay(false);
+
+    if (added) {
+      setRelayInput("");
+      toast({
+        title: "Relay added",
+        status: "success",
+        duration: 3000,
+      });
+    } else {
+      toast({
+        title: "Could not add relay",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Handle removing a relay from the user's relay list
+  const handleRemoveRelay = async (url) => {
+    const removed = await removeRelay(url);
+    if (!removed) {
+      toast({
+        title: "Could not remove relay",
+        description: useBitcoinWalletStore.getState().errorMessage,
+        status: "error",
+        duration: 5000,
+      });
+    }
+  };
+
+  // Copy invoice to clipboard
+  const copyInvoice = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopiedInvoice(true);
+      setTimeout(() => setCopiedInvoice(false), 2000);
+      toast({
+        title: "Copied!",
+        status: "success",
+        duration: 1500,
+      });
+    } catch (err) {
+      toast({
+        title: "Failed to copy",
+        status: "error",
+        duration: 2000,
+      });
+    }
+  };
+
+  // Copy to clipboard helper
+  const copyToClipboard = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast({
+        title: `${label} copied!`,
+        status: "success",
+        duration: 1500,
+      });
+    } catch (err) {
+      toast({
+        title: "Failed to copy",
+        status: "error",
+        duration: 2000,
+      });
+    }
+  };
+
+  // Shorten long identifiers (npubs, mint URLs) for list display
+  const shorten = (value, keep = 10) =>
+    value && value.length > keep * 2 + 3
+      ? `${value.slice(0, keep)}...${value.slice(-keep / 2)}`
+      : value;
+
+  // Mint/relay profile picker (switching reloads the page)
+  const environmentSelect = (
+    <HStack w="100%" justify="space-between">
+      <Text fontSize="sm" color="gray.600">
+        Environment
+      </Text>
+      <Select
+        w="fit-content"
+        size="sm"
+        value={PROFILE.name}
+        onChange={(e) => setActiveProfile(e.target.value)}
+      >
+        {Object.entries(PROFILES).map(([name, profile]) => (
+          <option key={name} value={name}>
+            {profile.label}
+          </option>
+        ))}
+      </Select>
+    </HStack>
+  );
+
+  // Kind 0 profile fields, shared by account creation and settings
+  const updateProfileForm = (field) => (e) =>
+    setProfileForm({ ...profileForm, [field]: e.target.value });
+  const profileFields = (
+    <VStack spacing={2} w="100%">
+      <Input
+        placeholder="Name"
+        value={profileForm.name}
+        onChange={updateProfileForm("name")}
+        height={"32px"}
+        fontSize={"16px"}
+        padding={8}
+      />
+      <Input
+        placeholder="Picture URL (https://...)"
+        value={profileForm.picture}
+        onChange={updateProfileForm("picture")}
+        height={"32px"}
+        fontSize={"16px"}
+        padding={8}
+      />
+      <Textarea
+        placeholder="About you"
+        value={profileForm.about}
+        onChange={updateProfileForm("about")}
+        fontSize={"16px"}
+        padding={8}
+        rows={3}
+      />
+      <Input
+        placeholder="Lightning address (optional, name@example.com)"
+        value={profileForm.lud16}
+        onChange={updateProfileForm("lud16")}
+        height={"32px"}
+        fontSize={"16px"}
+        padding={8}
+      />
+    </VStack>
+  );
+
+  const displayName =
+    profile?.display_name || profile?.name || shorten(nostrPubKey);
+
+  // Loading state
+  if (hydrating) {
+    return (
+      <Container centerContent py={20}>
+        <VStack spacing={4}>
+          <Spinner size="xl" color="orange.500" />
+          <Text>Loading...</Text>
+        </VStack>
+      </Container>
+    );
+  }
+
+  // Unlock page (encrypted key stored, not yet decrypted)
+  if (isLocked) {
+    return (
+      <Container maxW="md" py={10}>
+        <VStack spacing={8}>
+          <Heading size="lg" textAlign="center">
+            Bitcoin Wallet
+          </Heading>
+
+          <Card w="100%">
+            <CardBody>
+              <VStack spacing={4}>
+                <Text color="gray.600" textAlign="center">
+                  Enter your passphrase to unlock your key.
+                </Text>
+                <Input
+                  type="password"
+                  placeholder="Passphrase"
+                  value={unlockInput}
+                  onChange={(e) => setUnlockInput(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleUnlock()}
+                  mb={4}
+                  height={"32px"}
+                  fontSize={"16px"}
+                  padding={8}
+                />
+                <Button
+                  colorScheme="orange"
+                  size="lg"
+                  w="200px"
+                  leftIcon={<LockIcon />}
+                  onClick={handleUnlock}
+                  isLoading={isUnlocking}
+                  loadingText="Unlocking..."
+                  padding={"16px"}
+                >
+                  Unlock
+                </Button>
+                <Button
+                  variant="ghost"
+                  color="gray.500"
+                  size="sm"
+                  onClick={handleLogout}
+                >
+                  Log out
+                </Button>
+              </VStack>
+            </CardBody>
+          </Card>
+
+          {identityError && (
+            <Text color="red.500" fontSize="sm">
+              {identityError}
+            </Text>
+          )}
+        </VStack>
+      </Container>
+    );
+  }
 
   // Auth page (not authenticated)
   if (!isAuthenticated) {
@@ -372,20 +1417,36 @@ function App() {
             Bitcoin Wallet
           </Heading>
 
+          <Input
+            type="password"
+            placeholder="Passphrase (encrypts your key on this device)"
+            value={passphraseInput}
+            onChange={(e) => setPassphraseInput(e.target.value)}
+            height={"32px"}
+            fontSize={"16px"}
+            padding={8}
+          />
+
           {/* Create Account */}
           <Card w="100%" align="center">
-            <CardBody>
-              <Button
-                colorScheme="orange"
-                size="lg"
-                w="200px"
-                onClick={handleCreateAccount}
-                isLoading={isCreatingAccount}
-                loadingText="Creating..."
-                padding={"16px"}
-              >
-                Create New Account
-              </Button>
+            <CardBody w="100%">
+              <VStack spacing={4}>
+                <Text fontSize="sm" color="gray.500">
+                  Your profile is public on Nostr. Everything is optional.
+                </Text>
+                {profileFields}
+                <Button
+                  colorScheme="orange"
+                  size="lg"
+                  w="200px"
+                  onClick={handleCreateAccount}
+                  isLoading={isCreatingAccount}
+                  loadingText="Creating..."
+                  padding={"16px"}
+                >
+                  Create New Account
+                </Button>
+              </VStack>
             </CardBody>
           </Card>
 
@@ -402,7 +1463,7 @@ function App() {
             <CardBody>
               <VStack spacing={4}>
                 <Input
-                  placeholder="nsec1..."
+                  placeholder="nsec1..., ncryptsec1... or bunker://..."
                   value={nsecInput}
                   onChange={(e) => setNsecInput(e.target.value)}
                   mb={4}
@@ -421,6 +1482,17 @@ function App() {
                 >
                   Sign In
                 </Button>
+                <Button
+                  variant="outline"
+                  size="lg"
+                  w="200px"
+                  onClick={handleExtensionSignIn}
+                  isLoading={isSigningIn}
+                  loadingText="Waiting..."
+                  padding={"16px"}
+                >
+                  Use Extension
+                </Button>
               </VStack>
             </CardBody>
           </Card>
@@ -430,6 +1502,8 @@ function App() {
               {identityError}
             </Text>
           )}
+
+          {environmentSelect}
         </VStack>
       </Container>
     );
@@ -443,8 +1517,19 @@ function App() {
         <Flex w="100%" justify="center" align="center">
           <HStack spacing={2}>
             <Heading size="lg">Bitcoin Wallet</Heading>
+            {PROFILE.name !== "production" && (
+              <Badge colorScheme="purple">{PROFILE.label}</Badge>
+            )}
           </HStack>
         </Flex>
+        <HStack justify="center" spacing={2}>
+          <Avatar
+            size="sm"
+            name={profile?.display_name || profile?.name || undefined}
+            src={profile?.picture || undefined}
+          />
+          <Text fontWeight="bold">{displayName}</Text>
+        </HStack>
 
         {/* Balance Card */}
         <Card w="100%" bg="orange.50">
@@ -453,6 +1538,28 @@ function App() {
               <Heading color="gray.600">Balance:&nbsp;</Heading>
               <Heading color="orange.600">{totalBalance} sats</Heading>
             </Center>
+            {inFlightBalance > 0 && (
+              <Text fontSize="sm" color="gray.600" mt={2}>
+                + {inFlightBalance} sats in flight
+              </Text>
+            )}
+            {unverifiedMints.length > 0 && (
+              <HStack justify="center" mt={2}>
+                <Badge colorScheme="yellow">Unverified</Badge>
+                <Text fontSize="sm" color="gray.600">
+                  Could not reach {unverifiedMints.length} mint
+                  {unverifiedMints.length === 1 ? "" : "s"}; showing the local
+                  balance
+                </Text>
+                <Button
+                  size="xs"
+                  variant="link"
+                  onClick={() => verifyAndUpdateBalance()}
+                >
+                  Retry
+                </Button>
+              </HStack>
+            )}
           </CardBody>
         </Card>
 
@@ -483,11 +1590,262 @@ function App() {
         {/* Wallet Actions (if wallet exists) */}
         {(isWalletReady || cashuWallet) && (
           <>
+            {/* Mints Section */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Mints</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4} w="100%">
+                  {mints.map((mint) => (
+                    <Flex
+                      key={mint}
+                      w="100%"
+                      justify="space-between"
+                      align="center"
+                    >
+                      <Text fontSize="sm" wordBreak="break-all">
+                        {mint}
+                      </Text>
+                      <HStack spacing={2}>
+                        {unverifiedMints.includes(mint) && (
+                          <Badge colorScheme="yellow">unverified</Badge>
+                        )}
+                        {pendingBalances[mint] > 0 && (
+                          <Badge colorScheme="gray">
+                            {pendingBalances[mint]} in flight
+                          </Badge>
+                        )}
+                        <Badge colorScheme="orange">
+                          {mintBalances[mint] || 0} sats
+                        </Badge>
+                        <IconButton
+                          aria-label={`Remove ${mint}`}
+                          icon={<DeleteIcon />}
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleRemoveMint(mint)}
+                          isDisabled={mints.length === 1}
+                        />
+                      </HStack>
+                    </Flex>
+                  ))}
+                  <HStack w="100%">
+                    <Input
+                      placeholder="https://mint.example.com"
+                      value={mintInput}
+                      onChange={(e) => setMintInput(e.target.value)}
+                      height={"32px"}
+                      fontSize={"16px"}
+                      padding={8}
+                    />
+                    <Button
+                      onClick={handleAddMint}
+                      isLoading={isAddingMint}
+                      padding={16}
+                    >
+                      Add Mint
+                    </Button>
+                  </HStack>
+                  <Divider />
+                  <Text fontSize="sm" fontWeight="bold" alignSelf="start">
+                    Move sats between mints
+                  </Text>
+                  <Select
+                    size="sm"
+                    placeholder="From"
+                    value={transferFrom}
+                    onChange={(e) => setTransferFrom(e.target.value)}
+                  >
+                    {Object.entries(mintBalances)
+                      .filter(([, balance]) => balance > 0)
+                      .map(([mint, balance]) => (
+                        <option key={mint} value={mint}>
+                          {shorten(mint, 16)} ({balance} sats)
+                        </option>
+                      ))}
+                  </Select>
+                  <Select
+                    size="sm"
+                    placeholder="To"
+                    value={transferTo}
+                    onChange={(e) => setTransferTo(e.target.value)}
+                  >
+                    {mints
+                      .filter((mint) => mint !== transferFrom)
+                      .map((mint) => (
+                        <option key={mint} value={mint}>
+                          {shorten(mint, 16)}
+                        </option>
+                      ))}
+                  </Select>
+                  <HStack w="100%">
+                    <Input
+                      type="number"
+                      placeholder="Amount (empty = all)"
+                      value={transferAmountInput}
+                      onChange={(e) => setTransferAmountInput(e.target.value)}
+                      height={"32px"}
+                      fontSize={"16px"}
+                      padding={8}
+                    />
+                    <Button
+                      onClick={handleTransfer}
+                      isLoading={isTransferring}
+                      isDisabled={!transferFrom || !transferTo}
+                      padding={16}
+                    >
+                      Move
+                    </Button>
+                  </HStack>
+                  <HStack w="100%" justify="space-between">
+                    <Text fontSize="sm">Keep at most per mint</Text>
+                    <Select
+                      w="fit-content"
+                      size="sm"
+                      value={mintCap || 0}
+                      onChange={(e) => setMintCap(Number(e.target.value))}
+                    >
+                      {MINT_CAP_OPTIONS.map((sats) => (
+                        <option key={sats} value={sats}>
+                          {sats === 0 ? "No cap" : `${sats} sats`}
+                        </option>
+                      ))}
+                    </Select>
+                  </HStack>
+                  <Divider />
+                  <HStack w="100%" justify="space-between">
+                    <Text fontSize="sm">Nutzaps from other mints</Text>
+                    <Select
+                      w="fit-content"
+                      size="sm"
+                      value={untrustedMintPolicy.mode}
+                      onChange={(e) =>
+                        setUntrustedMintPolicy({ mode: e.target.value })
+                      }
+                    >
+                      <option value="ask">Ask me</option>
+                      <option value="move">
+                        Move to {shorten(mints[0], 12)}
+                      </option>
+                    </Select>
+                  </HStack>
+                  <HStack w="100%" justify="space-between">
+                    <Text fontSize="sm">Accept per mint, up to</Text>
+                    <Select
+                      w="fit-content"
+                      size="sm"
+                      value={untrustedMintPolicy.maxAmount}
+                      onChange={(e) =>
+                        setUntrustedMintPolicy({
+                          maxAmount: Number(e.target.value),
+                        })
+                      }
+                    >
+                      {UNTRUSTED_LIMIT_OPTIONS.map((sats) => (
+                        <option key={sats} value={sats}>
+                          {sats === 0 ? "Nothing" : `${sats} sats`}
+                        </option>
+                      ))}
+                    </Select>
+                  </HStack>
+                </VStack>
+              </CardBody>
+            </Card>
+
+            {/* Relays Section (NIP-65 relay list) */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Relays</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4} w="100%">
+                  {relays.map((relay) => (
+                    <Flex
+                      key={relay.url}
+                      w="100%"
+                      justify="space-between"
+                      align="center"
+                    >
+                      <Text fontSize="sm" wordBreak="break-all">
+                        {relay.url}
+                      </Text>
+                      <HStack spacing={2}>
+                        {relay.read && <Badge colorScheme="blue">read</Badge>}
+                        {relay.write && (
+                          <Badge colorScheme="purple">write</Badge>
+                        )}
+                        <IconButton
+                          aria-label={`Remove ${relay.url}`}
+                          icon={<DeleteIcon />}
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleRemoveRelay(relay.url)}
+                          isDisabled={relays.length === 1}
+                        />
+                      </HStack>
+                    </Flex>
+                  ))}
+                  <HStack w="100%">
+                    <Input
+                      placeholder="wss://relay.example.com"
+                      value={relayInput}
+                      onChange={(e) => setRelayInput(e.target.value)}
+                      height={"32px"}
+                      fontSize={"16px"}
+                      padding={8}
+                    />
+                    <Button
+                      onClick={handleAddRelay}
+                      isLoading={isAddingRelay}
+                      padding={16}
+                    >
+                      Add Relay
+                    </Button>
+                  </HStack>
+                </VStack>
+              </CardBody>
+            </Card>
+
             {/* Deposit Section */}
 
             <Card w="100%">
               <CardBody>
                 <VStack spacing={4}>
+                  {mints.length > 1 && (
+                    <Select
+                      value={depositMint || mints[0]}
+                      onChange={(e) => setDepositMint(e.target.value)}
+                    >
+                      {mints.map((mint) => (
+                        <option key={mint} value={mint}>
+                          {mint}
+                        </option>
+                      ))}
+                    </Select>
+                  )}
+                  <HStack spacing={2}>
+                    {DEPOSIT_PRESETS.map((preset) => (
+                      <Button
+                        key={preset}
+                        size="sm"
+                        variant={depositAmount === preset ? "solid" : "outline"}
+                        onClick={() => setDepositAmountInput(String(preset))}
+                      >
+                        {preset}
+                      </Button>
+                    ))}
+                  </HStack>
+                  <Input
+                    placeholder="Amount (sats)"
+                    type="number"
+                    min={1}
+                    value={depositAmountInput}
+                    onChange={(e) => setDepositAmountInput(e.target.value)}
+                    height={"32px"}
+                    fontSize={"16px"}
+                    padding={8}
+                  />
                   <Button
                     colorScheme="green"
                     size="lg"
@@ -495,10 +1853,13 @@ function App() {
                     padding={24}
                     onClick={handleDeposit}
                     isLoading={isDepositing}
+                    isDisabled={!isDepositAmountValid || !!invoice}
                     loadingText="..."
                     mb={24}
                   >
-                    Deposit 10 sats
+                    {isDepositAmountValid
+                      ? `Deposit ${depositAmount} sats`
+                      : "Deposit"}
                   </Button>
 
                   {/* QR Code and Invoice */}
@@ -513,6 +1874,31 @@ function App() {
                       >
                         <QRCodeSVG value={invoice} size={200} />
                       </Box>
+                      {invoiceDetails && (
+                        <VStack spacing={1}>
+                          {invoiceDetails.amount !== null && (
+                            <Text fontWeight="bold">
+                              {invoiceDetails.amount} sats
+                            </Text>
+                          )}
+                          {invoiceDetails.description && (
+                            <Text fontSize="sm" color="gray.600">
+                              {invoiceDetails.description}
+                            </Text>
+                          )}
+                          {invoiceSecondsLeft !== null && (
+                            <Text fontSize="sm" color="gray.500">
+                              Expires{" "}
+                              {new Date(
+                                invoiceDetails.expiresAt * 1000
+                              ).toLocaleTimeString()}{" "}
+                              ({Math.floor(invoiceSecondsLeft / 60)}:
+                              {String(invoiceSecondsLeft % 60).padStart(2, "0")}{" "}
+                              left)
+                            </Text>
+                          )}
+                        </VStack>
+                      )}
                       <Button
                         leftIcon={copiedInvoice ? <CheckIcon /> : <CopyIcon />}
                         onClick={() => copyInvoice(invoice)}
@@ -523,6 +1909,63 @@ function App() {
                       >
                         {copiedInvoice ? "Copied!" : "Copy Invoice"}
                       </Button>
+                      <Button
+                        variant="ghost"
+                        w="fit-content"
+                        onClick={handleCancelCurrentDeposit}
+                      >
+                        Cancel Deposit
+                      </Button>
+                    </VStack>
+                  )}
+
+                  {/* Pending Deposits (kind 7374 quotes awaiting payment) */}
+                  {pendingDeposits.length > 0 && (
+                    <VStack spacing={2} w="100%" pt={4}>
+                      <Text fontSize="sm" fontWeight="bold" alignSelf="start">
+                        Pending deposits
+                      </Text>
+                      {pendingDeposits.map((deposit) => (
+                        <Flex
+                          key={deposit.quoteId}
+                          w="100%"
+                          justify="space-between"
+                          align="center"
+                        >
+                          <Box>
+                            <Text fontSize="sm">
+                              {deposit.amount} sats · {shorten(deposit.mint)}
+                            </Text>
+                            <Text fontSize="xs" color="gray.500">
+                              {deposit.expiresAt
+                                ? `Expires ${new Date(
+                                    deposit.expiresAt * 1000
+                                  ).toLocaleTimeString()}`
+                                : "Waiting for payment"}
+                            </Text>
+                          </Box>
+                          <HStack spacing={2}>
+                            {deposit.invoice && deposit.invoice !== invoice && (
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => setInvoice(deposit.invoice)}
+                              >
+                                Show
+                              </Button>
+                            )}
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() =>
+                                handleCancelDeposit(deposit.quoteId)
+                              }
+                            >
+                              Cancel
+                            </Button>
+                          </HStack>
+                        </Flex>
+                      ))}
                     </VStack>
                   )}
                 </VStack>
@@ -533,18 +1976,235 @@ function App() {
             <Card>
               <CardBody>
                 <VStack spacing={4}>
-                  <Button
-                    colorScheme="blue"
-                    size="lg"
-                    w="fit-content"
-                    padding={24}
-                    onClick={handleSend}
-                    isLoading={isSending}
-                    loadingText="Sending..."
-                    isDisabled={totalBalance < 1}
-                  >
-                    Send 1 Sat
-                  </Button>
+                  {!sendReview ? (
+                    <>
+                      <Input
+                        placeholder={
+                          contacts.length > 0
+                            ? "Search contacts, name@domain, npub1... or a note"
+                            : "Recipient name@domain, npub1... or a note/nevent/naddr"
+                        }
+                        value={recipientInput}
+                        onChange={(e) => setRecipientInput(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                      {recipientSuggestions.length > 0 && (
+                        <VStack
+                          w="100%"
+                          spacing={1}
+                          align="stretch"
+                          maxH="240px"
+                          overflowY="auto"
+                        >
+                          {!recipientInput.trim() &&
+                            recentRecipients.length > 0 && (
+                              <Text fontSize="xs" color="gray.500">
+                                Recent recipients
+                              </Text>
+                            )}
+                          {recipientSuggestions.map((entry) => (
+                            <HStack
+                              key={entry.pubkey}
+                              as="button"
+                              type="button"
+                              justify="space-between"
+                              p={2}
+                              borderRadius="md"
+                              _hover={{ bg: "gray.100" }}
+                              onClick={() => setRecipientInput(entry.npub)}
+                            >
+                              <HStack spacing={2} minW={0}>
+                                <Avatar
+                                  size="xs"
+                                  name={
+                                    entry.name || entry.petname || undefined
+                                  }
+                                  src={entry.picture || undefined}
+                                />
+                                <VStack spacing={0} align="start" minW={0}>
+                                  <Text fontSize="sm" noOfLines={1}>
+                                    {entry.name ||
+                                      entry.petname ||
+                                      shorten(entry.npub)}
+                                  </Text>
+                                  <Text
+                                    fontSize="xs"
+                                    color="gray.500"
+                                    noOfLines={1}
+                                  >
+                                    {entry.nip05 || shorten(entry.npub)}
+                                  </Text>
+                                </VStack>
+                              </HStack>
+                              <HStack spacing={1}>
+                                {entry.recent && <Badge>Recent</Badge>}
+                                {entry.acceptsNutzaps !== null && (
+                                  <Badge
+                                    colorScheme={
+                                      entry.acceptsNutzaps ? "green" : "gray"
+                                    }
+                                  >
+                                    {entry.acceptsNutzaps
+                                      ? "Nutzaps"
+                                      : "No nutzaps"}
+                                  </Badge>
+                                )}
+                              </HStack>
+                            </HStack>
+                          ))}
+                        </VStack>
+                      )}
+                      <Input
+                        placeholder="Amount (sats)"
+                        type="number"
+                        min={1}
+                        step={1}
+                        value={sendAmountInput}
+                        onChange={(e) => setSendAmountInput(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                      <Input
+                        placeholder="Comment (optional)"
+                        value={sendComment}
+                        onChange={(e) => setSendComment(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                      {sendFormError && (
+                        <Text color="red.500" fontSize="sm">
+                          {sendFormError}
+                        </Text>
+                      )}
+                      <Button
+                        colorScheme="blue"
+                        size="lg"
+                        w="fit-content"
+                        padding={24}
+                        onClick={handleReviewSend}
+                        isLoading={isReviewingSend}
+                        loadingText="Looking up recipient..."
+                        isDisabled={!canReviewSend || totalBalance < 1}
+                      >
+                        Review Send
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Heading size="md">Confirm send</Heading>
+                      <Text>
+                        {sendReview.amount}{" "}
+                        {sendReview.amount === 1 ? "sat" : "sats"} to
+                      </Text>
+                      <HStack spacing={2}>
+                        <Avatar
+                          size="sm"
+                          name={profiles[sendReview.pubkey]?.name || undefined}
+                          src={
+                            profiles[sendReview.pubkey]?.picture || undefined
+                          }
+                        />
+                        <VStack spacing={0} align="start">
+                          <Text fontWeight="bold">
+                            {profiles[sendReview.pubkey]?.name ||
+                              shorten(sendReview.recipient)}
+                          </Text>
+                          {(sendReview.nip05 ||
+                            profiles[sendReview.pubkey]?.nip05) && (
+                            <Text fontSize="xs" color="gray.500">
+                              {sendReview.nip05 ||
+                                profiles[sendReview.pubkey]?.nip05}
+                            </Text>
+                          )}
+                        </VStack>
+                      </HStack>
+                      <Text fontSize="sm" wordBreak="break-all">
+                        {sendReview.recipient}
+                      </Text>
+                      {acceptsNutzaps[sendReview.pubkey] === false &&
+                        sendReview.relays.length === 0 && (
+                          <Text fontSize="sm" color="orange.500">
+                            No nutzap settings (kind 10019) found. They may not
+                            see this payment until their wallet supports
+                            nutzaps.
+                          </Text>
+                        )}
+                      {sendReview.target && (
+                        <Box w="100%">
+                          <Text fontSize="sm" fontWeight="bold">
+                            For event
+                          </Text>
+                          <Text fontSize="sm" wordBreak="break-all">
+                            {shorten(sendReview.target, 16)}
+                          </Text>
+                          {sendReview.earned && (
+                            <Text fontSize="sm" color="gray.600">
+                              Earned {sendReview.earned.total} sats from{" "}
+                              {sendReview.earned.zappers.length}{" "}
+                              {sendReview.earned.zappers.length === 1
+                                ? "zapper"
+                                : "zappers"}{" "}
+                              so far
+                            </Text>
+                          )}
+                        </Box>
+                      )}
+                      {sendReview.comment && (
+                        <Text fontSize="sm" color="gray.600">
+                          "{sendReview.comment}"
+                        </Text>
+                      )}
+                      <Box w="100%">
+                        <Text fontSize="sm" fontWeight="bold">
+                          Recipient mints
+                        </Text>
+                        {sendReview.mints.map((mint) => (
+                          <Badge key={mint} mr={2}>
+                            {mint}
+                          </Badge>
+                        ))}
+                      </Box>
+                      <Box w="100%">
+                        <Text fontSize="sm" fontWeight="bold">
+                          Recipient relays
+                        </Text>
+                        {sendReview.relays.length > 0 ? (
+                          sendReview.relays.map((relay) => (
+                            <Badge key={relay} mr={2}>
+                              {relay}
+                            </Badge>
+                          ))
+                        ) : (
+                          <Text fontSize="sm" color="gray.500">
+                            None published, using our relays
+                          </Text>
+                        )}
+                      </Box>
+                      <HStack spacing={4}>
+                        <Button
+                          variant="outline"
+                          padding={16}
+                          onClick={() => setSendReview(null)}
+                          isDisabled={isSending}
+                        >
+                          Cancel
+                        </Button>
+                        <Button
+                          colorScheme="blue"
+                          padding={16}
+                          onClick={handleSend}
+                          isLoading={isSending}
+                          loadingText="Sending..."
+                        >
+                          Confirm
+                        </Button>
+                      </HStack>
+                    </>
+                  )}
                   <Link
                     href="https://nutlife.lol"
                     isExternal
@@ -559,6 +2219,566 @@ function App() {
                 </VStack>
               </CardBody>
             </Card>
+            {/* Withdraw Section */}
+            <Card w="100%">
+              <CardBody>
+                <VStack spacing={4}>
+                  {!pendingWithdrawal ? (
+                    <>
+                      <Input
+                        placeholder="Lightning invoice (lnbc...)"
+                        value={withdrawInvoice}
+                        onChange={(e) => setWithdrawInvoice(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                      <Button
+                        colorScheme="purple"
+                        size="lg"
+                        w="fit-content"
+                        padding={24}
+                        onClick={handlePrepareWithdrawal}
+                        isLoading={isQuotingWithdrawal}
+                        loadingText="Getting quote..."
+                        isDisabled={totalBalance < 1}
+                      >
+                        Withdraw to Lightning
+                      </Button>
+                    </>
+                  ) : (
+                    <>
+                      <Heading size="md">Confirm withdrawal</Heading>
+                      <Text>
+                        Invoice amount: {pendingWithdrawal.amount} sats
+                      </Text>
+                      <Text>
+                        Fee reserve: up to {pendingWithdrawal.feeReserve} sats
+                      </Text>
+                      <Text fontWeight="bold">
+                        Total: up to{" "}
+                        {pendingWithdrawal.amount +
+                          pendingWithdrawal.feeReserve}{" "}
+                        sats
+                      </Text>
+                      <Badge>{pendingWithdrawal.mint}</Badge>
+                      <Text fontSize="sm" color="gray.500">
+                        Unused fee reserve is returned to your wallet.
+                      </Text>
+                      <HStack spacing={4}>
+                        <Button
+                          variant="outline"
+                          padding={16}
+                          onClick={cancelWithdrawal}
+                          isDisabled={isWithdrawing}
+                        >
+                          Cancel
+                        </Button>
+                        <Button
+                          colorScheme="purple"
+                          padding={16}
+                          onClick={handleWithdraw}
+                          isLoading={isWithdrawing}
+                          loadingText="Paying..."
+                        >
+                          Pay Invoice
+                        </Button>
+                      </HStack>
+                    </>
+                  )}
+                </VStack>
+              </CardBody>
+            </Card>
+            {/* Token Section */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Cashu Tokens</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4}>
+                  {!createdToken ? (
+                    <HStack w="100%">
+                      <Input
+                        placeholder="Amount (sats)"
+                        type="number"
+                        min={1}
+                        step={1}
+                        value={tokenAmountInput}
+                        onChange={(e) => setTokenAmountInput(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                      <Button
+                        onClick={handleCreateToken}
+                        isLoading={isCreatingToken}
+                        isDisabled={totalBalance < 1}
+                        padding={16}
+                      >
+                        Create Token
+                      </Button>
+                    </HStack>
+                  ) : (
+                    <VStack spacing={4} w="100%">
+                      <Box
+                        p={4}
+                        bg="white"
+                        borderRadius="md"
+                        border="1px solid"
+                        borderColor="gray.200"
+                      >
+                        <QRCodeSVG value={createdToken} size={200} />
+                      </Box>
+                      <Text fontSize="xs" wordBreak="break-all" noOfLines={3}>
+                        {createdToken}
+                      </Text>
+                      <Text fontSize="sm" color="gray.500">
+                        Anyone with this token can claim it. Paste it below to
+                        take it back if it goes unused.
+                      </Text>
+                      <HStack spacing={4}>
+                        <Button
+                          leftIcon={<CopyIcon />}
+                          variant="outline"
+                          padding={16}
+                          onClick={() => copyToClipboard(createdToken, "Token")}
+                        >
+                          Copy Token
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          padding={16}
+                          onClick={() => setCreatedToken("")}
+                        >
+                          Done
+                        </Button>
+                      </HStack>
+                    </VStack>
+                  )}
+
+                  <Divider />
+
+                  <Input
+                    placeholder="Paste a token (cashuA... or cashuB...)"
+                    value={tokenInput}
+                    onChange={(e) => setTokenInput(e.target.value)}
+                    height={"32px"}
+                    fontSize={"16px"}
+                    padding={8}
+                  />
+                  {tokenPreview && (
+                    <VStack spacing={1}>
+                      <Text>
+                        {tokenPreview.amount} {tokenPreview.unit}
+                        {tokenPreview.memo && ` - "${tokenPreview.memo}"`}
+                      </Text>
+                      <Badge
+                        colorScheme={
+                          tokenPreview.isTrustedMint ? "green" : "yellow"
+                        }
+                      >
+                        {tokenPreview.isTrustedMint
+                          ? tokenPreview.mint
+                          : `Untrusted mint: ${tokenPreview.mint}`}
+                      </Badge>
+                    </VStack>
+                  )}
+                  <Button
+                    colorScheme="green"
+                    padding={16}
+                    onClick={handleReceiveToken}
+                    isLoading={isReceivingToken}
+                    loadingText="Receiving..."
+                    isDisabled={!tokenPreview}
+                  >
+                    {tokenPreview && !tokenPreview.isTrustedMint
+                      ? "Trust Mint & Receive"
+                      : "Receive Token"}
+                  </Button>
+                </VStack>
+              </CardBody>
+            </Card>
+            {/* Payment Requests (NUT-18) */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Payment Requests</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4}>
+                  {!createdRequest ? (
+                    <VStack spacing={2} w="100%">
+                      <HStack w="100%">
+                        <Input
+                          placeholder="Amount (sats, optional)"
+                          type="number"
+                          min={1}
+                          step={1}
+                          value={requestAmountInput}
+                          onChange={(e) =>
+                            setRequestAmountInput(e.target.value)
+                          }
+                          height={"32px"}
+                          fontSize={"16px"}
+                          padding={8}
+                        />
+                        <Button
+                          onClick={handleCreateRequest}
+                          isLoading={isCreatingRequest}
+                          padding={16}
+                        >
+                          Request
+                        </Button>
+                      </HStack>
+                      <Input
+                        placeholder="What is it for? (optional)"
+                        value={requestDescription}
+                        onChange={(e) => setRequestDescription(e.target.value)}
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                    </VStack>
+                  ) : (
+                    <VStack spacing={4} w="100%">
+                      <Box
+                        p={4}
+                        bg="white"
+                        borderRadius="md"
+                        border="1px solid"
+                        borderColor="gray.200"
+                      >
+                        <QRCodeSVG value={createdRequest.encoded} size={200} />
+                      </Box>
+                      <Text fontSize="xs" wordBreak="break-all" noOfLines={3}>
+                        {createdRequest.encoded}
+                      </Text>
+                      <Text fontSize="sm" color="gray.500">
+                        Payments arrive as private Nostr messages and show up
+                        below.
+                      </Text>
+                      <HStack spacing={4}>
+                        <Button
+                          leftIcon={<CopyIcon />}
+                          variant="outline"
+                          padding={16}
+                          onClick={() =>
+                            copyToClipboard(createdRequest.encoded, "Request")
+                          }
+                        >
+                          Copy Request
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          padding={16}
+                          onClick={() => setCreatedRequest(null)}
+                        >
+                          Done
+                        </Button>
+                      </HStack>
+                    </VStack>
+                  )}
+
+                  {paymentRequests.length > 0 && (
+                    <VStack spacing={2} w="100%" align="stretch">
+                      {paymentRequests.map((request) => {
+                        const received = request.payments.reduce(
+                          (sum, payment) => sum + payment.amount,
+                          0
+                        );
+                        return (
+                          <HStack key={request.id} justify="space-between">
+                            <VStack spacing={0} align="start">
+                              <Text fontSize="sm">
+                                {request.description || "Payment request"}
+                                {request.amount && ` - ${request.amount} sats`}
+                              </Text>
+                              <Text fontSize="xs" color="gray.500">
+                                {request.payments.length} payment
+                                {request.payments.length === 1 ? "" : "s"},{" "}
+                                {received} sats received
+                              </Text>
+                            </VStack>
+                            <HStack>
+                              <Badge
+                                colorScheme={
+                                  isPaymentRequestOpen(request)
+                                    ? "yellow"
+                                    : "green"
+                                }
+                              >
+                                {isPaymentRequestOpen(request)
+                                  ? "Waiting"
+                                  : "Paid"}
+                              </Badge>
+                              <IconButton
+                                aria-label={`Forget request ${request.id}`}
+                                icon={<DeleteIcon />}
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => forgetPaymentRequest(request.id)}
+                              />
+                            </HStack>
+                          </HStack>
+                        );
+                      })}
+                    </VStack>
+                  )}
+
+                  <Divider />
+
+                  <Input
+                    placeholder="Paste a payment request (creqA...)"
+                    value={payRequestInput}
+                    onChange={(e) => setPayRequestInput(e.target.value)}
+                    height={"32px"}
+                    fontSize={"16px"}
+                    padding={8}
+                  />
+                  {requestPreview && (
+                    <VStack spacing={1}>
+                      <Text>
+                        {requestPreview.amount
+                          ? `${requestPreview.amount} sats`
+                          : "Any amount"}
+                        {requestPreview.description &&
+                          ` - "${requestPreview.description}"`}
+                      </Text>
+                      {requestPreview.error ? (
+                        <Text fontSize="sm" color="red.500">
+                          {requestPreview.error}
+                        </Text>
+                      ) : (
+                        <Badge colorScheme="purple">
+                          {requestPreview.transport
+                            ? `Delivered via ${requestPreview.transport}`
+                            : "Paid with a token you hand over"}
+                        </Badge>
+                      )}
+                    </VStack>
+                  )}
+                  {requestPreview &&
+                    !requestPreview.error &&
+                    !requestPreview.amount && (
+                      <Input
+                        placeholder="Amount to pay (sats)"
+                        type="number"
+                        min={1}
+                        step={1}
+                        value={payRequestAmountInput}
+                        onChange={(e) =>
+                          setPayRequestAmountInput(e.target.value)
+                        }
+                        height={"32px"}
+                        fontSize={"16px"}
+                        padding={8}
+                      />
+                    )}
+                  <Button
+                    colorScheme="green"
+                    padding={16}
+                    onClick={handlePayRequest}
+                    isLoading={isPayingRequest}
+                    loadingText="Paying..."
+                    isDisabled={!requestPreview || !!requestPreview.error}
+                  >
+                    Pay Request
+                  </Button>
+                </VStack>
+              </CardBody>
+            </Card>
+            {/* Incoming Nutzaps (NIP-61) */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Incoming Nutzaps</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={3} w="100%">
+                  {nutzapInbox.length === 0 && (
+                    <Text color="gray.500" fontSize="sm">
+                      No nutzaps received yet.
+                    </Text>
+                  )}
+                  {nutzapInbox.map((entry) => {
+                    const profile = profiles[entry.sender];
+                    const senderName =
+                      profile?.name || shorten(getNpub(entry.sender));
+                    return (
+                      <Flex key={entry.id} w="100%" gap={3} align="start">
+                        <Avatar
+                          size="sm"
+                          name={profile?.name || undefined}
+                          src={profile?.picture || undefined}
+                        />
+                        <VStack align="start" spacing={0} flex={1} minW={0}>
+                          <Flex w="100%" justify="space-between" align="center">
+                            <Text fontSize="sm" fontWeight="bold" noOfLines={1}>
+                              {senderName}
+                            </Text>
+                            <Badge colorScheme="green">
+                              +{entry.amount} {entry.unit}
+                            </Badge>
+                          </Flex>
+                          {entry.comment && (
+                            <Text fontSize="sm" color="gray.700">
+                              {entry.comment}
+                            </Text>
+                          )}
+                          <Text fontSize="xs" color="gray.500">
+                            {new Date(entry.createdAt * 1000).toLocaleString()}
+                            {` - ${shorten(entry.mint, 16)}`}
+                          </Text>
+                          <HStack spacing={2} pt={1}>
+                            <Badge
+                              colorScheme={
+                                {
+                                  redeemed: "green",
+                                  claimed: "gray",
+                                  processing: "blue",
+                                  failed: "red",
+                                  untrusted: "orange",
+                                  declined: "red",
+                                }[entry.status] || "yellow"
+                              }
+                            >
+                              {entry.status}
+                            </Badge>
+                            {entry.unknownMint &&
+                              entry.status !== "untrusted" && (
+                                <Badge colorScheme="orange">
+                                  untrusted mint
+                                </Badge>
+                              )}
+                            {(entry.status === "untrusted" ||
+                              entry.status === "declined") && (
+                              <Button
+                                size="xs"
+                                variant="outline"
+                                onClick={() => handleTrustNutzapMint(entry.id)}
+                                isLoading={retryingNutzap === entry.id}
+                              >
+                                Trust Mint & Claim
+                              </Button>
+                            )}
+                            {entry.status === "failed" && entry.retryable && (
+                              <Button
+                                size="xs"
+                                variant="outline"
+                                onClick={() => handleRetryNutzap(entry.id)}
+                                isLoading={retryingNutzap === entry.id}
+                              >
+                                Retry
+                              </Button>
+                            )}
+                          </HStack>
+                          {entry.movedTo && (
+                            <Text fontSize="xs" color="gray.600">
+                              Moved to {shorten(entry.movedTo, 16)}
+                            </Text>
+                          )}
+                          {entry.error && (
+                            <Text fontSize="xs" color="red.500">
+                              {entry.error}
+                            </Text>
+                          )}
+                        </VStack>
+                      </Flex>
+                    );
+                  })}
+                </VStack>
+              </CardBody>
+            </Card>
+
+            {/* Proof Inspector */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">Proofs</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4} w="100%">
+                  {getProofSummary().map((summary) => (
+                    <VStack key={summary.mint} w="100%" align="start">
+                      <Flex w="100%" justify="space-between" align="center">
+                        <VStack align="start" spacing={0}>
+                          <Text fontSize="sm" fontWeight="bold">
+                            {shorten(summary.mint, 16)}
+                          </Text>
+                          <Text fontSize="xs" color="gray.600">
+                            {summary.count} proofs, {summary.total} sats in{" "}
+                            {summary.tokenEvents} token events (optimal:{" "}
+                            {summary.optimalCount})
+                          </Text>
+                        </VStack>
+                        <Button
+                          size="xs"
+                          variant="outline"
+                          onClick={() => handleConsolidate(summary.mint)}
+                          isLoading={isConsolidating}
+                          isDisabled={summary.count === 0}
+                        >
+                          Consolidate
+                        </Button>
+                      </Flex>
+                      <HStack spacing={1} wrap="wrap">
+                        {Object.entries(summary.denominations).map(
+                          ([amount, count]) => (
+                            <Badge key={amount}>
+                              {amount} x {count}
+                            </Badge>
+                          )
+                        )}
+                      </HStack>
+                    </VStack>
+                  ))}
+                </VStack>
+              </CardBody>
+            </Card>
+
+            {/* History Section */}
+            <Card w="100%">
+              <CardHeader>
+                <Heading size="md">History</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={3} w="100%">
+                  {history.length === 0 && (
+                    <Text color="gray.500" fontSize="sm">
+                      No transactions yet.
+                    </Text>
+                  )}
+                  {history.map((entry) => (
+                    <Flex
+                      key={entry.id}
+                      w="100%"
+                      justify="space-between"
+                      align="center"
+                    >
+                      <VStack align="start" spacing={0}>
+                        <Text fontSize="sm" fontWeight="bold">
+                          {entry.description ||
+                            (entry.direction === "in" ? "Received" : "Sent")}
+                        </Text>
+                        {entry.counterparty && (
+                          <Text fontSize="xs" color="gray.600">
+                            {entry.direction === "in" ? "From" : "To"}{" "}
+                            {shorten(getNpub(entry.counterparty))}
+                          </Text>
+                        )}
+                        <Text fontSize="xs" color="gray.500">
+                          {new Date(entry.timestamp * 1000).toLocaleString()}
+                          {entry.mint && ` - ${shorten(entry.mint, 16)}`}
+                        </Text>
+                      </VStack>
+                      <Badge
+                        colorScheme={entry.direction === "in" ? "green" : "red"}
+                      >
+                        {entry.direction === "in" ? "+" : "-"}
+                        {entry.amount} sats
+                      </Badge>
+                    </Flex>
+                  ))}
+                </VStack>
+              </CardBody>
+            </Card>
           </>
         )}
 
@@ -569,6 +2789,119 @@ function App() {
           </Text>
         )}
 
+        {/* Profile (kind 0) */}
+        <Card w="100%">
+          <CardHeader>
+            <Heading size="md">Profile</Heading>
+          </CardHeader>
+          <CardBody>
+            {isEditingProfile ? (
+              <VStack spacing={4} w="100%">
+                {profileFields}
+                <HStack spacing={4}>
+                  <Button
+                    colorScheme="orange"
+                    onClick={handleSaveProfile}
+                    isLoading={isSavingProfile}
+                    loadingText="Publishing..."
+                    padding={16}
+                  >
+                    Save Profile
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    onClick={() => setIsEditingProfile(false)}
+                    padding={16}
+                  >
+                    Cancel
+                  </Button>
+                </HStack>
+              </VStack>
+            ) : (
+              <VStack spacing={4} w="100%">
+                <HStack w="100%" spacing={4}>
+                  <Avatar
+                    name={profile?.display_name || profile?.name || undefined}
+                    src={profile?.picture || undefined}
+                  />
+                  <VStack spacing={0} align="start">
+                    <Text fontWeight="bold">{displayName}</Text>
+                    {profile?.lud16 && (
+                      <Text fontSize="sm" color="gray.500">
+                        {profile.lud16}
+                      </Text>
+                    )}
+                  </VStack>
+                </HStack>
+                {profile?.about && (
+                  <Text fontSize="sm" w="100%" whiteSpace="pre-wrap">
+                    {profile.about}
+                  </Text>
+                )}
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={handleEditProfile}
+                  isDisabled={profile === null}
+                  padding={16}
+                >
+                  Edit Profile
+                </Button>
+              </VStack>
+            )}
+          </CardBody>
+        </Card>
+
+        {/* Security (passphrase-encrypted key) */}
+        {loginMethod === "nsec" && (
+          <Card w="100%">
+            <CardHeader>
+              <Heading size="md">Security</Heading>
+            </CardHeader>
+            <CardBody>
+              <VStack spacing={4} w="100%">
+                <HStack w="100%" justify="space-between">
+                  <Text fontSize="sm">Auto-lock when idle</Text>
+                  <Select
+                    w="fit-content"
+                    size="sm"
+                    value={autoLockMinutes}
+                    onChange={(e) => setAutoLockMinutes(Number(e.target.value))}
+                  >
+                    {AUTO_LOCK_OPTIONS.map((minutes) => (
+                      <option key={minutes} value={minutes}>
+                        {minutes === 0 ? "Never" : `After ${minutes} min`}
+                      </option>
+                    ))}
+                  </Select>
+                </HStack>
+                <HStack spacing={4}>
+                  <Button
+                    size="sm"
+                    leftIcon={<CopyIcon />}
+                    variant="outline"
+                    onClick={handleExportBackup}
+                    padding={16}
+                  >
+                    Copy Encrypted Backup
+                  </Button>
+                  <Button
+                    size="sm"
+                    leftIcon={<LockIcon />}
+                    variant="outline"
+                    onClick={handleLock}
+                    padding={16}
+                  >
+                    Lock Now
+                  </Button>
+                </HStack>
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {environmentSelect}
+
         {/* Account Actions */}
         <Divider my={4} />
         <VStack spacing={16} justify="center" wrap="wrap">
@@ -582,16 +2915,18 @@ function App() {
           >
             Your ID
           </Button>
-          <Button
-            size="sm"
-            leftIcon={<LockIcon />}
-            variant="outline"
-            onClick={() => copyToClipboard(nostrPrivKey, "Secret Key")}
-            width="200px"
-            padding={16}
-          >
-            Secret Key
-          </Button>
+          {nostrPrivKey && (
+            <Button
+              size="sm"
+              leftIcon={<LockIcon />}
+              variant="outline"
+              onClick={() => copyToClipboard(nostrPrivKey, "Secret Key")}
+              width="200px"
+              padding={16}
+            >
+              Secret Key
+            </Button>
+          )}
           <Button
             size="sm"
             variant="ghost"
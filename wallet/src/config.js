@@ -0,0 +1,174 @@
+/**
+ * config.js
+ *
+ * Configuration shared by the wallet store and the identity hook.
+ *
+ * === PROFILES ===
+ *
+ * Endpoints come from a named profile:
+ * - production: Real mint and public relays (real sats)
+ * - staging: A public test mint whose Lightning backend is fake, so
+ *   invoices are "paid" without sats, on the public relays
+ * - local: A self-hosted test mint with a fake Lightning backend and a
+ *   local relay (see README), for end-to-end testing offline
+ * - mock: An in-memory mint and relay inside the page (see ./mocks),
+ *   with controls for simulating failures. Nothing persists a reload.
+ *
+ * The build picks a profile with VITE_PROFILE (default: production), and
+ * these env vars override its fields:
+ * - VITE_MINT_URL: Default mint
+ * - VITE_RELAYS: Comma-separated default relays
+ * - VITE_DEFAULT_RECEIVER: npub that receives sends without a recipient
+ * - VITE_WALLET_ID: NIP-60 wallet name
+ * - VITE_GLOBAL_NOSTR_NSEC: Read-only fallback key for the identity hook
+ *
+ * A profile chosen at runtime (settings, stored as "env_profile") wins
+ * over the build's. Overrides only apply to the build's own profile.
+ */
+
+const env = import.meta.env;
+
+/**
+ * Named Profiles
+ *
+ * mint: Default Cashu mint for new wallets and unknown recipients
+ * relays: Default Nostr relays until the user publishes a NIP-65 list
+ * receiver: npub that gets sends without a recipient (testing/donations)
+ * walletId: Name of the NIP-60 wallet
+ * fallbackNsec: Key the identity hook connects with when nobody is
+ *   logged in (only set through VITE_GLOBAL_NOSTR_NSEC)
+ */
+export const PROFILES = {
+  production: {
+    label: "Production",
+    mint: "https://mint.minibits.cash/Bitcoin",
+    relays: ["wss://relay.damus.io", "wss://relay.primal.net", "wss://nos.lol"],
+    receiver: "npub1hzfsw36qm03mhx6q72mryullal686n68ukgxg8xl3p4c0fudr8hqvc57kp",
+    walletId: "Robots Building Education Wallet",
+    fallbackNsec: null,
+  },
+  staging: {
+    label: "Staging (test mint)",
+    mint: "https://testnut.cashu.space",
+    relays: ["wss://relay.damus.io", "wss://relay.primal.net", "wss://nos.lol"],
+    receiver: "npub1hzfsw36qm03mhx6q72mryullal686n68ukgxg8xl3p4c0fudr8hqvc57kp",
+    walletId: "Robots Building Education Wallet (staging)",
+    fallbackNsec: null,
+  },
+  local: {
+    label: "Local",
+    mint: "http://localhost:3338",
+    relays: ["ws://localhost:10547"],
+    receiver: "npub1hzfsw36qm03mhx6q72mryullal686n68ukgxg8xl3p4c0fudr8hqvc57kp",
+    walletId: "Robots Building Education Wallet (local)",
+    fallbackNsec: null,
+  },
+  mock: {
+    label: "Mock (in-memory)",
+    mint: "https://mint.mock.test",
+    relays: ["wss://relay.mock.test"],
+    receiver: "npub1hzfsw36qm03mhx6q72mryullal686n68ukgxg8xl3p4c0fudr8hqvc57kp",
+    walletId: "Robots Building Education Wallet (mock)",
+    fallbackNsec: null,
+  },
+};
+
+/**
+ * Profile the build was configured with
+ */
+export const BUILD_PROFILE = PROFILES[env.VITE_PROFILE]
+  ? env.VITE_PROFILE
+  : "production";
+
+/**
+ * Apply VITE_* overrides to a profile
+ * @param {Object} profile - Profile from PROFILES
+ * @returns {Object} The profile with any env values filled in
+ */
+function withEnvOverrides(profile) {
+  const relays = (env.VITE_RELAYS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+
+  return {
+    ...profile,
+    mint: env.VITE_MINT_URL || profile.mint,
+    relays: relays.length > 0 ? relays : profile.relays,
+    receiver: env.VITE_DEFAULT_RECEIVER || profile.receiver,
+    walletId: env.VITE_WALLET_ID || profile.walletId,
+    fallbackNsec: env.VITE_GLOBAL_NOSTR_NSEC || profile.fallbackNsec,
+  };
+}
+
+/**
+ * Name of the Active Profile
+ *
+ * The runtime choice from settings, if it names a known profile,
+ * otherwise the build's.
+ *
+ * @returns {string} A key of PROFILES
+ */
+export function getActiveProfileName() {
+  const stored =
+    typeof localStorage !== "undefined"
+      ? localStorage.getItem("env_profile")
+      : null;
+  return PROFILES[stored] ? stored : BUILD_PROFILE;
+}
+
+/**
+ * Switch Profile at Runtime
+ *
+ * Endpoints are read once at startup (the relay session and wallet are
+ * already connected), so the page is reloaded to apply the change.
+ * Choosing the build's profile clears the runtime choice.
+ *
+ * @param {string} name - A key of PROFILES
+ */
+export function setActiveProfile(name) {
+  if (!PROFILES[name]) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+
+  if (name === BUILD_PROFILE) {
+    localStorage.removeItem("env_profile");
+  } else {
+    localStorage.setItem("env_profile", name);
+  }
+  window.location.reload();
+}
+
+const activeName = getActiveProfileName();
+
+/**
+ * The profile in use for this page load
+ */
+export const PROFILE = {
+  name: activeName,
+  ...(activeName === BUILD_PROFILE
+    ? withEnvOverrides(PROFILES[activeName])
+    : PROFILES[activeName]),
+};
+
+/**
+ * Default Nostr relays for publishing and fetching events.
+ * Used until the user publishes their own relay list (NIP-65, kind 10002).
+ * Multiple relays provide redundancy and better message propagation.
+ */
+export const DEFAULT_RELAYS = PROFILE.relays;
+
+/**
+ * Default Cashu mint URL
+ * In production this is Minibits, a well-known, reliable mint for small
+ * amounts. Users can add their own trusted mints.
+ */
+export const DEFAULT_MINT = PROFILE.mint;
+
+export const DEFAULT_WALLET_ID = PROFILE.walletId;
+
+/**
+ * Default payment recipient (used for testing/donations)
+ * In production this is the npub of the Robots Building Education project.
+ */
+export const DEFAULT_RECEIVER = PROFILE.receiver;
@@ -0,0 +1,55 @@
+/**
+ * useIdleTimer Hook
+ *
+ * Calls a function once the user has been inactive for a number of
+ * minutes. Any mouse, keyboard, touch or scroll activity restarts the
+ * countdown. Used to lock the app when it is left open and unattended.
+ */
+
+import { useEffect, useRef } from "react";
+
+/**
+ * Window events that count as user activity
+ */
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "touchstart",
+  "scroll",
+];
+
+/**
+ * @param {number} minutes - Idle minutes before onIdle runs (0 disables the timer)
+ * @param {Function} onIdle - Called once when the idle time is reached
+ * @param {boolean} enabled - Whether the timer should run at all
+ */
+export const useIdleTimer = (minutes, onIdle, enabled = true) => {
+  // Always call the latest callback without restarting the timer
+  const onIdleRef = useRef(onIdle);
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  useEffect(() => {
+    if (!enabled || !minutes) return;
+
+    let timer;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onIdleRef.current(), minutes * 60 * 1000);
+    };
+
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, restart, { passive: true })
+    );
+    restart();
+
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, restart)
+      );
+    };
+  }, [minutes, enabled]);
+};
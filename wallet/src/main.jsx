@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { PROFILE } from './config'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
+// The "mock" profile swaps the mint and relay for in-memory ones
+const backendsReady =
+  PROFILE.name === 'mock'
+    ? import('./mocks').then(({ installMockBackends }) =>
+        installMockBackends({
+          mintUrl: PROFILE.mint,
+          relayUrl: PROFILE.relays[0],
+        }),
+      )
+    : Promise.resolve()
+
+backendsReady.then(() =>
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  ),
 )
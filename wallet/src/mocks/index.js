@@ -0,0 +1,106 @@
+/**
+ * mocks
+ *
+ * In-process stand-ins for the Cashu mint and Nostr relay, so the wallet
+ * store (initWallet, initiateDeposit, send, startNutzapMonitor, ...) runs
+ * end to end without minibits, public relays or real sats.
+ *
+ * installMockBackends() routes fetch() calls for the mint URLs and
+ * WebSocket connections to the relay URL into the mocks; every other
+ * URL still goes to the network. Melts between the mock mints pay each
+ * other's invoices, so transfers between mints work too. The "mock" profile (see ../config.js)
+ * installs them before the app renders and exposes them as
+ * window.mockBackends, so failures can be triggered from the console:
+ *
+ *   mockBackends.mint.setAutoPay(null)           // invoices stay unpaid
+ *   mockBackends.mint.markSpent(proofs)          // spent elsewhere
+ *   mockBackends.mint.failNext("/v1/swap")       // network error
+ *   mockBackends.mint.meltOutcome("PENDING")     // stuck withdrawal
+ *   mockBackends.relay.failNextPublish(2)        // rejected publishes
+ *   mockBackends.relay.disconnectAll()           // dropped connection
+ *
+ * The wallet tests (../sdk/wallet.test.js, `npm test`) drive the same
+ * mocks from Node, which is why these modules import each other with
+ * file extensions.
+ */
+
+import { createMockMint } from "./mockMint.js";
+import { createMockRelay } from "./mockRelay.js";
+
+export { createMockMint, createFakeInvoice } from "./mockMint.js";
+export { createMockRelay } from "./mockRelay.js";
+
+/**
+ * Compare relay URLs the way NDK normalizes them (case, trailing slash)
+ * @param {string} url - Relay URL
+ * @returns {string} Comparable URL
+ */
+const relayKey = (url) => String(url).toLowerCase().replace(/\/+$/, "");
+
+/**
+ * Install the Mock Mint and Relay
+ *
+ * Must run before the Nostr session connects. Calling it again replaces
+ * the previous mocks.
+ *
+ * @param {Object} options
+ * @param {string} options.mintUrl - URL the mock mint answers on
+ * @param {string} options.relayUrl - URL the mock relay answers on
+ * @param {number|null} options.autoPayAfter - See createMockMint()
+ * @param {Object[]} options.otherMints - More mints, as createMockMint()
+ *   options ({ url, inputFeePpk, feeReserve })
+ * @returns {Object} { mint, mints, relay, uninstall }; mints lists every
+ *   mint, the one at mintUrl first
+ */
+export function installMockBackends({
+  mintUrl,
+  relayUrl,
+  autoPayAfter,
+  otherMints = [],
+}) {
+  if (globalThis.mockBackends) globalThis.mockBackends.uninstall();
+
+  const onPayment = (request) => mints.some((m) => m.payInvoice(request));
+  const mints = [{ url: mintUrl }, ...otherMints].map((options) =>
+    createMockMint({ autoPayAfter, ...options, onPayment })
+  );
+  const [mint] = mints;
+  const relay = createMockRelay({ url: relayUrl });
+
+  const realFetch = globalThis.fetch;
+  const RealWebSocket = globalThis.WebSocket;
+
+  globalThis.fetch = (input, init) => {
+    const url = typeof input === "string" ? input : input.url;
+    const target = mints.find((m) => m.handles(url));
+    return target ? target.handle(url, init) : realFetch(input, init);
+  };
+
+  // Called with `new`; returning an object makes it the constructed value
+  function RoutedWebSocket(url, protocols) {
+    return relayKey(url) === relayKey(relayUrl)
+      ? relay.connect(url)
+      : new RealWebSocket(url, protocols);
+  }
+  Object.assign(RoutedWebSocket, {
+    CONNECTING: 0,
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3,
+  });
+  globalThis.WebSocket = RoutedWebSocket;
+
+  const backends = {
+    mint,
+    mints,
+    relay,
+    uninstall() {
+      globalThis.fetch = realFetch;
+      globalThis.WebSocket = RealWebSocket;
+      delete globalThis.mockBackends;
+    },
+  };
+
+  globalThis.mockBackends = backends;
+  return backends;
+}
@@ -0,0 +1,681 @@
+/**
+ * mockMint.js
+ *
+ * An in-memory Cashu mint for exercising the wallet store without real
+ * sats or network access. It answers the NUT endpoints the store uses
+ * through ndk-wallet and cashu-ts:
+ *
+ * - GET  /v1/info, /v1/keys, /v1/keys/{id}, /v1/keysets
+ * - POST /v1/mint/quote/bolt11, GET /v1/mint/quote/bolt11/{id}
+ * - POST /v1/mint/bolt11
+ * - POST /v1/swap
+ * - POST /v1/checkstate
+ * - POST /v1/melt/quote/bolt11, GET /v1/melt/quote/bolt11/{id}
+ * - POST /v1/melt/bolt11
+ * - POST /v1/restore (always empty)
+ *
+ * Signatures are real (BDHKE on secp256k1, NUT-00), so proofs unblind
+ * and verify like a real mint's. P2PK-locked inputs (NUT-11, nutzaps)
+ * need a valid witness signature.
+ *
+ * Fees: inputFeePpk is charged on swap and melt inputs (NUT-02), and
+ * melt quotes carry a fee reserve. Lightning routing costs nothing, so
+ * the whole reserve (and any overpayment) comes back as NUT-08 change.
+ *
+ * === SIMULATION ===
+ *
+ * - Unpaid invoices: mint quotes are UNPAID until autoPayAfter ms have
+ *   passed (null = never), payQuote(id) is called or a mock mint melts
+ *   into them (see onPayment)
+ * - Already-spent proofs: markSpent(proofs) spends them "elsewhere"
+ * - Pending proofs: markPending(proofs) reports them PENDING, as if
+ *   they were inputs of a payment that hasn't settled
+ * - Failed or stuck payments: meltOutcome("UNPAID" | "PENDING") answers
+ *   the next melt with that state instead of paying the invoice
+ * - Fee reserve: setFeeReserve(sats) for the next melt quotes
+ * - Failures: failNext(path, error) fails the next request to a path
+ *
+ * The mock is reached through fetch; see ./index.js.
+ */
+
+import * as secp256k1 from "@noble/secp256k1";
+import { bech32 } from "bech32";
+import { deriveKeysetId } from "@cashu/cashu-ts";
+import { getBolt11Amount } from "@nostr-dev-kit/ndk-wallet";
+
+const { bytesToHex, hexToBytes, concatBytes, bytesToNumberBE, randomBytes } =
+  secp256k1.etc;
+
+/**
+ * NUT-00 hash_to_curve domain separator
+ */
+const DOMAIN_SEPARATOR = new TextEncoder().encode(
+  "Secp256k1_HashToCurve_Cashu_"
+);
+
+/**
+ * Denominations the keyset signs (1 sat to 2^20 sats)
+ */
+const KEYSET_AMOUNTS = Array.from({ length: 21 }, (_, i) => 2 ** i);
+
+/**
+ * Seconds a quote stays valid
+ */
+const QUOTE_EXPIRY = 600;
+
+/**
+ * NUT error codes the store and cashu-ts react to
+ */
+const ERRORS = {
+  spent: { code: 11001, detail: "Token already spent." },
+  unbalanced: { code: 11005, detail: "Transaction is not balanced." },
+  unknownKeyset: { code: 12001, detail: "Keyset is not known." },
+  invalidProof: { code: 10003, detail: "Proof could not be verified." },
+  witness: { code: 20008, detail: "Witness is missing for p2pk signature." },
+  unpaid: { code: 20001, detail: "Quote request is not paid." },
+  issued: { code: 20002, detail: "Tokens have already been issued for quote." },
+  unknownQuote: { code: 20007, detail: "Quote not found." },
+};
+
+/**
+ * Map a Secret to a Curve Point (NUT-00 hash_to_curve)
+ * @param {string} secret - Proof secret
+ * @returns {Promise<Point>} Y
+ */
+async function hashToCurve(secret) {
+  const sha256 = secp256k1.hashes.sha256Async;
+  const msgHash = await sha256(
+    concatBytes(DOMAIN_SEPARATOR, new TextEncoder().encode(secret))
+  );
+  const counter = new Uint32Array(1);
+
+  for (let i = 0; i < 2 ** 16; i++) {
+    const hash = await sha256(
+      concatBytes(msgHash, new Uint8Array(counter.buffer))
+    );
+    try {
+      return secp256k1.Point.fromHex(
+        bytesToHex(concatBytes(new Uint8Array([2]), hash))
+      );
+    } catch {
+      counter[0]++;
+    }
+  }
+  throw new Error("No valid point found");
+}
+
+/**
+ * Encode an Integer as Minimal 5-bit Words (BOLT11 fields)
+ * @param {number} value - Non-negative integer
+ * @param {number} length - Pad to this many words (0 = minimal)
+ * @returns {number[]} Words, most significant first
+ */
+function intToWords(value, length = 0) {
+  const words = [];
+  let rest = value;
+  do {
+    words.unshift(rest % 32);
+    rest = Math.floor(rest / 32);
+  } while (rest > 0);
+  while (words.length < length) words.unshift(0);
+  return words;
+}
+
+/**
+ * Build a Fake BOLT11 Invoice
+ *
+ * Decodes like a regtest invoice (amount, payment hash, description,
+ * expiry); the signature is zeros, so no node would pay it.
+ *
+ * @param {Object} params - { amount (sats), paymentHash (hex), description }
+ * @returns {string} lnbcrt... invoice
+ */
+export function createFakeInvoice({ amount, paymentHash, description = "" }) {
+  const field = (type, words) => [
+    type,
+    ...intToWords(words.length, 2),
+    ...words,
+  ];
+
+  const words = [
+    ...intToWords(Math.floor(Date.now() / 1000), 7),
+    ...field(1, bech32.toWords(hexToBytes(paymentHash))),
+    ...field(13, bech32.toWords(new TextEncoder().encode(description))),
+    ...field(6, intToWords(QUOTE_EXPIRY)),
+    ...bech32.toWords(new Uint8Array(65)),
+  ];
+
+  // 1 sat = 10 nano-BTC
+  return bech32.encode(`lnbcrt${amount * 10}n`, words, 2048);
+}
+
+/**
+ * Error Thrown by a Handler
+ *
+ * Turned into a NUT error response ({ detail, code }, HTTP 400).
+ */
+class MintError extends Error {
+  constructor({ code, detail }) {
+    super(detail);
+    this.code = code;
+  }
+}
+
+/**
+ * Create a Mock Mint
+ *
+ * @param {Object} options
+ * @param {string} options.url - Base URL the mint answers on
+ * @param {number|null} options.autoPayAfter - ms until a mint quote is
+ *   paid (default 1000, null = only payQuote())
+ * @param {number} options.inputFeePpk - Fee per input in parts per
+ *   thousand (default 0). Fixed for the mint's life, since wallets
+ *   cache keysets
+ * @param {number} options.feeReserve - Fee reserve of melt quotes in
+ *   sats (default 0)
+ * @param {Function} options.onPayment - Called with each invoice a melt
+ *   pays, so another mock mint can mark its quote paid
+ * @returns {Object} The mint: handle(), plus the simulation controls
+ */
+export function createMockMint({
+  url,
+  autoPayAfter = 1000,
+  inputFeePpk = 0,
+  feeReserve = 0,
+  onPayment = () => {},
+} = {}) {
+  const baseUrl = url.replace(/\/+$/, "");
+
+  // One active "sat" keyset: amount -> private scalar / public key
+  const privateKeys = {};
+  const keys = {};
+  for (const amount of KEYSET_AMOUNTS) {
+    const secret = secp256k1.utils.randomSecretKey();
+    privateKeys[amount] = bytesToNumberBE(secret);
+    keys[amount] = bytesToHex(secp256k1.getPublicKey(secret, true));
+  }
+  const keysetId = deriveKeysetId(keys);
+
+  const mintQuotes = new Map();
+  const meltQuotes = new Map();
+  // Y (hex) of every spent proof
+  const spent = new Set();
+  // Y (hex) of proofs reported PENDING by checkstate
+  const pending = new Set();
+  // path -> queued failures for failNext()
+  const failures = new Map();
+  // States the next melts answer with, for meltOutcome()
+  const meltOutcomes = [];
+  const initialFeeReserve = feeReserve;
+
+  const newQuoteId = () => bytesToHex(randomBytes(16));
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const sign = (outputs) =>
+    outputs.map((output) => {
+      const k = privateKeys[output.amount];
+      if (output.id !== keysetId || !k) {
+        throw new MintError(ERRORS.unknownKeyset);
+      }
+      return {
+        id: keysetId,
+        amount: output.amount,
+        C_: secp256k1.Point.fromHex(output.B_).multiply(k).toHex(true),
+      };
+    });
+
+  /**
+   * Check a P2PK (NUT-11) lock against the proof's witness
+   */
+  const verifyWitness = async (proof) => {
+    let secret;
+    try {
+      secret = JSON.parse(proof.secret);
+    } catch {
+      return;
+    }
+    if (!Array.isArray(secret) || secret[0] !== "P2PK") return;
+
+    const witness =
+      typeof proof.witness === "string"
+        ? JSON.parse(proof.witness)
+        : proof.witness;
+    const signatures = witness?.signatures || [];
+    const pubkey = hexToBytes(secret[1].data).slice(1);
+    const message = await secp256k1.hashes.sha256Async(
+      new TextEncoder().encode(proof.secret)
+    );
+
+    for (const signature of signatures) {
+      const valid = await secp256k1.schnorr.verifyAsync(
+        hexToBytes(signature),
+        message,
+        pubkey
+      );
+      if (valid) return;
+    }
+    throw new MintError(ERRORS.witness);
+  };
+
+  /**
+   * Verify inputs and return their Ys (hex)
+   */
+  const verifyInputs = async (inputs) => {
+    const ys = [];
+    for (const proof of inputs) {
+      const k = privateKeys[proof.amount];
+      if (proof.id !== keysetId || !k) {
+        throw new MintError(ERRORS.unknownKeyset);
+      }
+
+      const Y = await hashToCurve(proof.secret);
+      if (!Y.multiply(k).equals(secp256k1.Point.fromHex(proof.C))) {
+        throw new MintError(ERRORS.invalidProof);
+      }
+
+      const y = Y.toHex(true);
+      if (spent.has(y) || pending.has(y) || ys.includes(y)) {
+        throw new MintError(ERRORS.spent);
+      }
+
+      await verifyWitness(proof);
+      ys.push(y);
+    }
+    return ys;
+  };
+
+  const sum = (items) => items.reduce((total, item) => total + item.amount, 0);
+
+  // Rounded up per transaction, like cashu-ts getFeesForProofs()
+  const inputFee = (inputs) =>
+    Math.floor((inputs.length * inputFeePpk + 999) / 1000);
+
+  /**
+   * Sign NUT-08 Blank Outputs for the Overpaid Amount
+   *
+   * The overpaid amount is split into denominations, largest first, and
+   * assigned to the blank outputs in order. Whatever doesn't fit in the
+   * outputs given is kept by the mint.
+   */
+  const signChange = (outputs = [], overpaid) => {
+    const amounts = [...KEYSET_AMOUNTS]
+      .reverse()
+      .filter((amount) => overpaid & amount);
+    return sign(
+      outputs
+        .slice(0, amounts.length)
+        .map((output, i) => ({ ...output, amount: amounts[i] }))
+    );
+  };
+
+  const mintQuoteResponse = (quote) => {
+    if (
+      quote.state === "UNPAID" &&
+      autoPayAfter !== null &&
+      Date.now() - quote.createdAt >= autoPayAfter
+    ) {
+      quote.state = "PAID";
+    }
+    const { createdAt: _createdAt, ...response } = quote;
+    return response;
+  };
+
+  const getMintQuote = (id) => {
+    const quote = mintQuotes.get(id);
+    if (!quote) throw new MintError(ERRORS.unknownQuote);
+    return quote;
+  };
+
+  const routes = [
+    [
+      "GET",
+      /^\/v1\/info$/,
+      () => ({
+        name: "Mock Mint",
+        version: "mock/0.1.0",
+        description: "In-memory test mint (no real sats)",
+        nuts: {
+          4: { methods: [{ method: "bolt11", unit: "sat" }], disabled: false },
+          5: { methods: [{ method: "bolt11", unit: "sat" }], disabled: false },
+          7: { supported: true },
+          8: { supported: true },
+          9: { supported: false },
+          10: { supported: true },
+          11: { supported: true },
+          12: { supported: false },
+        },
+      }),
+    ],
+    [
+      "GET",
+      /^\/v1\/keysets$/,
+      () => ({
+        keysets: [
+          {
+            id: keysetId,
+            unit: "sat",
+            active: true,
+            input_fee_ppk: inputFeePpk,
+          },
+        ],
+      }),
+    ],
+    [
+      "GET",
+      /^\/v1\/keys(?:\/([0-9a-f]+))?$/,
+      (_body, [id]) => {
+        if (id && id !== keysetId) throw new MintError(ERRORS.unknownKeyset);
+        return { keysets: [{ id: keysetId, unit: "sat", keys }] };
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/mint\/quote\/bolt11$/,
+      ({ amount, description }) => {
+        const quote = {
+          quote: newQuoteId(),
+          request: createFakeInvoice({
+            amount,
+            paymentHash: bytesToHex(randomBytes(32)),
+            description: description || "",
+          }),
+          amount,
+          unit: "sat",
+          state: "UNPAID",
+          expiry: now() + QUOTE_EXPIRY,
+          pubkey: null,
+          createdAt: Date.now(),
+        };
+        mintQuotes.set(quote.quote, quote);
+        return mintQuoteResponse(quote);
+      },
+    ],
+    [
+      "GET",
+      /^\/v1\/mint\/quote\/bolt11\/([^/]+)$/,
+      (_body, [id]) => mintQuoteResponse(getMintQuote(id)),
+    ],
+    [
+      "POST",
+      /^\/v1\/mint\/bolt11$/,
+      ({ quote: id, outputs }) => {
+        const quote = getMintQuote(id);
+        const { state } = mintQuoteResponse(quote);
+        if (state === "ISSUED") throw new MintError(ERRORS.issued);
+        if (state !== "PAID") throw new MintError(ERRORS.unpaid);
+        if (sum(outputs) !== quote.amount) {
+          throw new MintError(ERRORS.unbalanced);
+        }
+
+        const signatures = sign(outputs);
+        quote.state = "ISSUED";
+        return { signatures };
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/swap$/,
+      async ({ inputs, outputs }) => {
+        const ys = await verifyInputs(inputs);
+        if (sum(inputs) - inputFee(inputs) !== sum(outputs)) {
+          throw new MintError(ERRORS.unbalanced);
+        }
+
+        const signatures = sign(outputs);
+        ys.forEach((y) => spent.add(y));
+        return { signatures };
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/checkstate$/,
+      ({ Ys }) => ({
+        states: Ys.map((Y) => ({
+          Y,
+          state: spent.has(Y)
+            ? "SPENT"
+            : pending.has(Y)
+            ? "PENDING"
+            : "UNSPENT",
+          witness: null,
+        })),
+      }),
+    ],
+    [
+      "POST",
+      /^\/v1\/melt\/quote\/bolt11$/,
+      ({ request }) => {
+        const quote = {
+          quote: newQuoteId(),
+          request,
+          amount: Math.ceil(getBolt11Amount(request) / 1000),
+          fee_reserve: feeReserve,
+          unit: "sat",
+          state: "UNPAID",
+          expiry: now() + QUOTE_EXPIRY,
+          payment_preimage: null,
+        };
+        meltQuotes.set(quote.quote, quote);
+        return quote;
+      },
+    ],
+    [
+      "GET",
+      /^\/v1\/melt\/quote\/bolt11\/([^/]+)$/,
+      (_body, [id]) => {
+        const quote = meltQuotes.get(id);
+        if (!quote) throw new MintError(ERRORS.unknownQuote);
+        return quote;
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/melt\/bolt11$/,
+      async ({ quote: id, inputs, outputs }) => {
+        const quote = meltQuotes.get(id);
+        if (!quote) throw new MintError(ERRORS.unknownQuote);
+        if (quote.state !== "UNPAID") throw new MintError(ERRORS.issued);
+
+        const ys = await verifyInputs(inputs);
+        const available = sum(inputs) - inputFee(inputs);
+        if (available < quote.amount + quote.fee_reserve) {
+          throw new MintError(ERRORS.unbalanced);
+        }
+
+        const outcome = meltOutcomes.shift() || "PAID";
+        if (outcome === "UNPAID") {
+          // The route failed; the inputs were never spent
+          return { ...quote, change: [] };
+        }
+        if (outcome === "PENDING") {
+          ys.forEach((y) => pending.add(y));
+          quote.state = "PENDING";
+          return { ...quote, change: [] };
+        }
+
+        ys.forEach((y) => spent.add(y));
+        quote.state = "PAID";
+        quote.payment_preimage = bytesToHex(randomBytes(32));
+        onPayment(quote.request);
+        return {
+          ...quote,
+          change: signChange(outputs, available - quote.amount),
+        };
+      },
+    ],
+    [
+      "POST",
+      /^\/v1\/restore$/,
+      () => ({ outputs: [], signatures: [], promises: [] }),
+    ],
+  ];
+
+  const json = (body, status = 200) =>
+    new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+
+  return {
+    url: baseUrl,
+    keysetId,
+
+    /**
+     * Check whether a request URL belongs to this mint
+     * @param {string} requestUrl - Full request URL
+     * @returns {boolean}
+     */
+    handles(requestUrl) {
+      return requestUrl === baseUrl || requestUrl.startsWith(`${baseUrl}/`);
+    },
+
+    /**
+     * Answer a fetch() Request
+     * @param {string} requestUrl - Full request URL
+     * @param {Object} init - fetch init ({ method, body })
+     * @returns {Promise<Response>} The mint's response
+     */
+    async handle(requestUrl, init = {}) {
+      const method = (init.method || "GET").toUpperCase();
+      const path = new URL(requestUrl).pathname.slice(
+        new URL(baseUrl).pathname.replace(/\/$/, "").length
+      );
+
+      const queued = failures.get(path);
+      if (queued?.length) {
+        const failure = queued.shift();
+        if (failure === "network") throw new TypeError("Failed to fetch");
+        return json(
+          { detail: failure.detail, code: failure.code },
+          failure.status || 400
+        );
+      }
+
+      for (const [routeMethod, pattern, handler] of routes) {
+        const match = path.match(pattern);
+        if (routeMethod !== method || !match) continue;
+
+        try {
+          const body = init.body ? JSON.parse(init.body) : {};
+          return json(await handler(body, match.slice(1)));
+        } catch (e) {
+          if (e instanceof MintError) {
+            return json({ detail: e.message, code: e.code }, 400);
+          }
+          return json({ detail: e.message, code: 0 }, 500);
+        }
+      }
+
+      return json({ detail: "Not found" }, 404);
+    },
+
+    /**
+     * Mark a Mint Quote as Paid
+     * @param {string} id - Quote id
+     */
+    payQuote(id) {
+      const quote = getMintQuote(id);
+      if (quote.state === "UNPAID") quote.state = "PAID";
+    },
+
+    /**
+     * Mark the Mint Quote for an Invoice as Paid
+     * @param {string} request - BOLT11 invoice paid by a melt
+     * @returns {boolean} True if this mint issued the invoice
+     */
+    payInvoice(request) {
+      for (const quote of mintQuotes.values()) {
+        if (quote.request !== request) continue;
+        if (quote.state === "UNPAID") quote.state = "PAID";
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Answer the Next Melts Without Paying
+     *
+     * "UNPAID": the payment failed, the inputs stay unspent. "PENDING":
+     * the payment is stuck in flight, the inputs are reported PENDING.
+     * Neither throws, as with a real mint.
+     *
+     * @param {string} state - "UNPAID" or "PENDING"
+     * @param {number} times - How many melts to answer this way
+     */
+    meltOutcome(state, times = 1) {
+      for (let i = 0; i < times; i++) meltOutcomes.push(state);
+    },
+
+    /**
+     * Change the Fee Reserve of New Melt Quotes
+     * @param {number} sats - Fee reserve (0 = none)
+     */
+    setFeeReserve(sats) {
+      feeReserve = sats;
+    },
+
+    /**
+     * Change how long mint quotes stay unpaid
+     * @param {number|null} ms - Delay before paying, null = never
+     */
+    setAutoPay(ms) {
+      autoPayAfter = ms;
+    },
+
+    /**
+     * Spend Proofs Behind the Wallet's Back
+     *
+     * Simulates proofs spent from another device: checkstate reports
+     * them SPENT and swaps with them fail with "Token already spent."
+     *
+     * @param {Array} proofs - Proofs (or anything with a secret)
+     */
+    async markSpent(proofs) {
+      for (const proof of proofs) {
+        spent.add((await hashToCurve(proof.secret)).toHex(true));
+      }
+    },
+
+    /**
+     * Report Proofs as PENDING
+     *
+     * Simulates the inputs of a Lightning payment still in flight:
+     * checkstate reports them PENDING until reset().
+     *
+     * @param {Array} proofs - Proofs (or anything with a secret)
+     */
+    async markPending(proofs) {
+      for (const proof of proofs) {
+        pending.add((await hashToCurve(proof.secret)).toHex(true));
+      }
+    },
+
+    /**
+     * Fail the Next Request to a Path
+     *
+     * @param {string} path - Endpoint path, e.g. "/v1/swap"
+     * @param {Object|string} error - { code, detail, status } for a NUT
+     *   error response, or "network" to reject fetch() itself
+     * @param {number} times - How many requests to fail
+     */
+    failNext(path, error = "network", times = 1) {
+      const queued = failures.get(path) || [];
+      for (let i = 0; i < times; i++) queued.push(error);
+      failures.set(path, queued);
+    },
+
+    /**
+     * Forget queued failures and melt outcomes, quotes, spent and pending
+     * proofs, and go back to the initial fee reserve
+     */
+    reset() {
+      failures.clear();
+      meltOutcomes.length = 0;
+      feeReserve = initialFeeReserve;
+      mintQuotes.clear();
+      meltQuotes.clear();
+      spent.clear();
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * mockRelay.js
+ *
+ * An in-memory Nostr relay (NIP-01) for exercising the wallet store
+ * without public relays. It speaks the relay protocol over a fake
+ * WebSocket, so NDK connects to it like any other relay:
+ *
+ * - ["EVENT", event] -> stored and answered with ["OK", id, ok, message]
+ * - ["REQ", subId, ...filters] -> stored matches, ["EOSE", subId], then
+ *   live events until ["CLOSE", subId]
+ * - Anything that isn't JSON -> ["NOTICE", message], like a real relay
+ *
+ * Replaceable (0, 3, 10000-19999) and addressable (30000-39999) events
+ * keep only the newest version, ephemeral events (20000-29999) are only
+ * broadcast, and kind 5 deletions remove the author's referenced events.
+ * Signatures are not checked.
+ *
+ * === SIMULATION ===
+ *
+ * - Failed publishes: failNextPublish(times, reason) rejects the next
+ *   EVENTs with ["OK", id, false, reason]; rejectKinds(kinds) keeps
+ *   rejecting a kind until cleared
+ * - Dropped connections: disconnectAll() closes every socket, so the
+ *   session's reconnect logic runs
+ *
+ * The mock is reached through WebSocket; see ./index.js.
+ */
+
+/**
+ * WebSocket readyState values
+ */
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Check an Event Against a NIP-01 Filter
+ * @param {Object} filter - { ids, authors, kinds, since, until, #x }
+ * @param {Object} event - Nostr event
+ * @returns {boolean} True if the event matches
+ */
+function matchesFilter(filter, event) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since && event.created_at < filter.since) return false;
+  if (filter.until && event.created_at > filter.until) return false;
+
+  for (const [key, values] of Object.entries(filter)) {
+    if (!key.startsWith("#")) continue;
+    const name = key.slice(1);
+    const tagged = event.tags.some(
+      (tag) => tag[0] === name && values.includes(tag[1])
+    );
+    if (!tagged) return false;
+  }
+  return true;
+}
+
+/**
+ * Key Under Which Only the Newest Event Is Kept
+ * @param {Object} event - Nostr event
+ * @returns {string|null} Replacement key, or null for regular events
+ */
+function replaceableKey(event) {
+  const { kind, pubkey } = event;
+  if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) {
+    return `${kind}:${pubkey}`;
+  }
+  if (kind >= 30000 && kind < 40000) {
+    const d = event.tags.find((tag) => tag[0] === "d")?.[1] || "";
+    return `${kind}:${pubkey}:${d}`;
+  }
+  return null;
+}
+
+/**
+ * Create a Mock Relay
+ *
+ * @param {Object} options
+ * @param {string} options.url - ws:// or wss:// URL the relay answers on
+ * @returns {Object} The relay: connect(), plus the simulation controls
+ */
+export function createMockRelay({ url } = {}) {
+  const events = new Map();
+  const sockets = new Set();
+  const rejectedKinds = new Set();
+  let publishFailures = [];
+
+  const send = (socket, message) => {
+    if (socket.readyState !== OPEN) return;
+    setTimeout(() => socket.receive(JSON.stringify(message)), 0);
+  };
+
+  const store = (event) => {
+    if (event.kind >= 20000 && event.kind < 30000) return true;
+
+    const key = replaceableKey(event);
+    if (key) {
+      for (const [id, existing] of events) {
+        if (replaceableKey(existing) !== key) continue;
+        if (existing.created_at > event.created_at) return false;
+        events.delete(id);
+      }
+    }
+
+    if (event.kind === 5) {
+      for (const tag of event.tags) {
+        const target = tag[0] === "e" && events.get(tag[1]);
+        if (target && target.pubkey === event.pubkey) events.delete(tag[1]);
+      }
+    }
+
+    events.set(event.id, event);
+    return true;
+  };
+
+  const handleEvent = (socket, event) => {
+    const failure = publishFailures.shift();
+    if (failure !== undefined) {
+      send(socket, ["OK", event.id, false, failure]);
+      return;
+    }
+    if (rejectedKinds.has(event.kind)) {
+      send(socket, ["OK", event.id, false, "blocked: kind not accepted"]);
+      return;
+    }
+    if (events.has(event.id)) {
+      send(socket, [
+        "OK",
+        event.id,
+        true,
+        "duplicate: already have this event",
+      ]);
+      return;
+    }
+
+    store(event);
+    send(socket, ["OK", event.id, true, ""]);
+
+    for (const peer of sockets) {
+      for (const [subId, filters] of peer.subscriptions) {
+        if (filters.some((filter) => matchesFilter(filter, event))) {
+          send(peer, ["EVENT", subId, event]);
+        }
+      }
+    }
+  };
+
+  const handleReq = (socket, subId, filters) => {
+    socket.subscriptions.set(subId, filters);
+
+    const matches = [];
+    for (const filter of filters) {
+      const found = [...events.values()]
+        .filter((event) => matchesFilter(filter, event))
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, filter.limit ?? Infinity);
+      for (const event of found) {
+        if (!matches.includes(event)) matches.push(event);
+      }
+    }
+
+    matches.forEach((event) => send(socket, ["EVENT", subId, event]));
+    send(socket, ["EOSE", subId]);
+  };
+
+  /**
+   * Fake WebSocket bound to this relay
+   *
+   * Implements the parts of the browser WebSocket NDK uses: readyState,
+   * on* handlers, addEventListener, send() and close().
+   */
+  class MockSocket extends EventTarget {
+    constructor(socketUrl) {
+      super();
+      this.url = socketUrl;
+      this.readyState = CONNECTING;
+      this.subscriptions = new Map();
+      sockets.add(this);
+
+      setTimeout(() => {
+        if (this.readyState !== CONNECTING) return;
+        this.readyState = OPEN;
+        this.emit(new Event("open"));
+      }, 0);
+    }
+
+    emit(event) {
+      this[`on${event.type}`]?.(event);
+      this.dispatchEvent(event);
+    }
+
+    receive(data) {
+      if (this.readyState !== OPEN) return;
+      this.emit(new MessageEvent("message", { data }));
+    }
+
+    send(data) {
+      if (this.readyState !== OPEN) {
+        throw new Error("WebSocket is not open");
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        send(this, ["NOTICE", "error: could not parse message"]);
+        return;
+      }
+
+      const [type, ...args] = message;
+      if (type === "EVENT") handleEvent(this, args[0]);
+      else if (type === "REQ") handleReq(this, args[0], args.slice(1));
+      else if (type === "CLOSE") this.subscriptions.delete(args[0]);
+    }
+
+    close(code = 1000, reason = "") {
+      if (this.readyState === CLOSED) return;
+      this.readyState = CLOSED;
+      sockets.delete(this);
+      // Plain Event: CloseEvent is missing outside browsers
+      const event = Object.assign(new Event("close"), { code, reason });
+      setTimeout(() => this.emit(event), 0);
+    }
+  }
+
+  return {
+    url,
+
+    /**
+     * Open a Connection
+     * @param {string} socketUrl - URL NDK asked for
+     * @returns {MockSocket} A WebSocket-like connection
+     */
+    connect(socketUrl) {
+      return new MockSocket(socketUrl);
+    },
+
+    /**
+     * All stored events (newest first)
+     * @returns {Array} Nostr events
+     */
+    getEvents() {
+      return [...events.values()].sort((a, b) => b.created_at - a.created_at);
+    },
+
+    /**
+     * Reject the Next Publishes
+     * @param {number} times - How many EVENT messages to reject
+     * @param {string} reason - Message sent back with the failed OK
+     */
+    failNextPublish(times = 1, reason = "error: simulated failure") {
+      publishFailures = publishFailures.concat(Array(times).fill(reason));
+    },
+
+    /**
+     * Reject Every Event of Some Kinds (empty to stop)
+     * @param {number[]} kinds - Event kinds to reject
+     */
+    rejectKinds(kinds = []) {
+      rejectedKinds.clear();
+      kinds.forEach((kind) => rejectedKinds.add(kind));
+    },
+
+    /**
+     * Close Every Open Connection
+     */
+    disconnectAll() {
+      [...sockets].forEach((socket) => socket.close(1006, "simulated drop"));
+    },
+
+    /**
+     * Forget stored events and simulated failures
+     */
+    reset() {
+      events.clear();
+      rejectedKinds.clear();
+      publishFailures = [];
+    },
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * nostrSession.js
+ *
+ * The single Nostr session shared by the identity hook and the wallet
+ * store, on the active profile's relays with the login remembered in
+ * localStorage. See ./sdk/session.js for the session itself.
+ */
+
+import { createNostrSession, isBunkerConnection } from "./sdk/session";
+import { browserStorage } from "./sdk/storage";
+import { DEFAULT_RELAYS } from "./config";
+
+export { isBunkerConnection };
+
+/**
+ * The app-wide Nostr session
+ */
+export const nostrSession = createNostrSession({
+  relays: DEFAULT_RELAYS,
+  storage: browserStorage(),
+});
+
+export default nostrSession;
@@ -0,0 +1,360 @@
+/**
+ * contacts.js
+ *
+ * Picking who to pay. Recipients come from three places:
+ * - The user's follow list (kind 3): "p" tags naming each followed
+ *   pubkey, with an optional relay hint and petname
+ * - NIP-05 identifiers: "name@domain" resolves to a pubkey (and relays)
+ *   through https://domain/.well-known/nostr.json?name=name
+ * - Recent recipients: everyone we sent to, kept in the wallet's
+ *   storage, per user
+ *
+ * Names and pictures come from kind 0 profiles (cached in `profiles`).
+ * Whether a contact can receive nutzaps depends on their kind 10019
+ * (NIP-61 payment preferences), so the picker shows which contacts
+ * publish one. The check is done on our relays; send() still looks on
+ * the recipient's own relays before paying.
+ */
+
+import { decodeRecipient, encodeKey } from "./helpers.js";
+
+/**
+ * Most recent recipients remembered per user
+ */
+const MAX_RECENT_RECIPIENTS = 20;
+
+/**
+ * Pubkeys per relay query when loading profiles and kind 10019 events
+ */
+const AUTHOR_BATCH_SIZE = 250;
+
+/**
+ * Storage key for a user's recent recipients
+ * @param {string} pubkey - Hex pubkey of the sender
+ * @returns {string} The key
+ */
+const storageKey = (pubkey) => `recent_recipients:${pubkey}`;
+
+/**
+ * Check for a NIP-05 Identifier
+ *
+ * Accepts "name@domain" and a bare "domain" (short for "_@domain").
+ *
+ * @param {string} value - User input
+ * @returns {boolean} True if the value looks like a NIP-05 identifier
+ */
+export function isNip05Address(value) {
+  const input = (value || "").trim();
+  return /^([a-z0-9._-]+@)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(input);
+}
+
+/**
+ * Look Up a NIP-05 Identifier
+ *
+ * Fetches https://domain/.well-known/nostr.json?name=name. Done here
+ * rather than through NDKUser.fromNip05, which turns network, CORS and
+ * server errors into "not found".
+ *
+ * @param {string} nip05 - name@domain
+ * @returns {Object|null} { pubkey, relays } or null if the domain does
+ *   not list the name
+ * @throws {Error} If the domain cannot be reached, answers with an error
+ *   or returns an unreadable nostr.json
+ */
+async function lookupNip05(nip05) {
+  const [name, domain] = nip05.toLowerCase().split("@");
+
+  let response;
+  try {
+    response = await fetch(
+      `https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(
+        name
+      )}`
+    );
+  } catch (err) {
+    // Browsers report CORS failures the same way as network errors
+    throw new Error(`${domain} could not be reached (${err.message})`);
+  }
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`${domain} answered with HTTP ${response.status}`);
+  }
+
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    throw new Error(`${domain} returned an unreadable nostr.json`);
+  }
+
+  const pubkey = result?.names?.[name];
+  if (!/^[0-9a-f]{64}$/i.test(pubkey || "")) return null;
+  return {
+    pubkey: pubkey.toLowerCase(),
+    relays: result.relays?.[pubkey] || [],
+  };
+}
+
+/**
+ * Split a List into Batches
+ * @param {Array} list - Items to split
+ * @param {number} size - Items per batch
+ * @returns {Array[]} The batches
+ */
+const batches = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) =>
+    list.slice(i * size, (i + 1) * size)
+  );
+
+/**
+ * Contact State and Actions
+ * @param {Function} set - Updates the wallet state
+ * @param {Function} get - Reads the wallet state and actions
+ * @param {Object} context - { storage } (see createWallet)
+ * @returns {Object} State and actions merged into the wallet
+ */
+export const createContactsSlice = (set, get, { storage }) => ({
+  /**
+   * Load the Follow List and Recent Recipients
+   *
+   * Fetches our newest kind 3 event, then the profiles and kind 10019
+   * events of everyone in it (see loadContactDetails). Recent
+   * recipients are read from storage first, so they show right away.
+   *
+   * @returns {Array|null} The contacts [{ pubkey, relay, petname }] or
+   *   null on error
+   */
+  loadContacts: async () => {
+    const { ndkInstance, signer, setError } = get();
+    if (!ndkInstance || !signer) return null;
+
+    try {
+      const user = await signer.user();
+      let recentRecipients = [];
+      try {
+        recentRecipients =
+          JSON.parse(storage.getItem(storageKey(user.pubkey))) || [];
+      } catch {
+        recentRecipients = [];
+      }
+      set({ recentRecipients });
+
+      const event = await ndkInstance.fetchEvent({
+        kinds: [3],
+        authors: [user.pubkey],
+      });
+
+      // One entry per pubkey, in follow order
+      const followed = new Map();
+      for (const [t, pubkey, relay, petname] of event?.tags || []) {
+        if (t !== "p" || !/^[0-9a-f]{64}$/i.test(pubkey)) continue;
+        const key = pubkey.toLowerCase();
+        if (followed.has(key)) continue;
+        followed.set(key, {
+          pubkey: key,
+          relay: relay || null,
+          petname: petname || null,
+        });
+      }
+      const contacts = [...followed.values()];
+      set({ contacts });
+
+      await get().loadContactDetails([
+        ...recentRecipients.map(({ pubkey }) => pubkey),
+        ...contacts.map(({ pubkey }) => pubkey),
+      ]);
+      return contacts;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Load Profiles and Nutzap Support for Pubkeys
+   *
+   * Fetches kind 0 and kind 10019 events in batches for the pubkeys not
+   * looked up yet. Every pubkey ends up in `profiles` (empty fields if
+   * it has no profile) and `acceptsNutzaps` (true or false). Pubkeys in
+   * a batch that fails stay unchecked and are retried on the next call.
+   *
+   * @param {string[]} pubkeys - Hex pubkeys
+   */
+  loadContactDetails: async (pubkeys) => {
+    const { ndkInstance, profiles, acceptsNutzaps, setError } = get();
+    if (!ndkInstance) return;
+
+    const missing = [...new Set(pubkeys)].filter(
+      (pubkey) => !(pubkey in profiles) || !(pubkey in acceptsNutzaps)
+    );
+
+    for (const batch of batches(missing, AUTHOR_BATCH_SIZE)) {
+      let events = [];
+      try {
+        events = Array.from(
+          await ndkInstance.fetchEvents({ kinds: [0, 10019], authors: batch })
+        );
+      } catch (err) {
+        setError(`Could not load contact details: ${err.message}`);
+        continue;
+      }
+
+      const found = {};
+      const withNutzaps = new Set();
+      for (const event of events) {
+        if (event.kind === 10019) {
+          withNutzaps.add(event.pubkey);
+          continue;
+        }
+        if (found[event.pubkey]?.createdAt > event.created_at) continue;
+        try {
+          const metadata = JSON.parse(event.content);
+          found[event.pubkey] = {
+            createdAt: event.created_at,
+            name: metadata?.display_name || metadata?.name || null,
+            picture: metadata?.image || metadata?.picture || null,
+            nip05: metadata?.nip05 || null,
+          };
+        } catch {
+          // Unreadable profile: keep looking for another event
+        }
+      }
+
+      const nextProfiles = { ...get().profiles };
+      const nextAccepts = { ...get().acceptsNutzaps };
+      for (const pubkey of batch) {
+        if (!nextProfiles[pubkey]) {
+          const {
+            name = null,
+            picture = null,
+            nip05 = null,
+          } = found[pubkey] || {};
+          nextProfiles[pubkey] = { name, picture, nip05 };
+        }
+        nextAccepts[pubkey] = withNutzaps.has(pubkey);
+      }
+      set({ profiles: nextProfiles, acceptsNutzaps: nextAccepts });
+    }
+  },
+
+  /**
+   * Resolve a Recipient
+   *
+   * Accepts what send() does (npub, nprofile, hex pubkey) plus NIP-05
+   * identifiers, which are looked up over HTTPS. The recipient's
+   * profile and kind 10019 are loaded for display.
+   *
+   * @param {string} input - npub, nprofile, hex pubkey or name@domain
+   * @returns {Object|null} { pubkey, npub, relays, nip05 } or null if the
+   *   input is invalid or the NIP-05 lookup failed or found nobody
+   */
+  resolveRecipient: async (input) => {
+    const { setError, loadContactDetails } = get();
+    const value = (input || "").trim();
+
+    let recipient = decodeRecipient(value);
+    let nip05 = null;
+
+    if (!recipient && isNip05Address(value)) {
+      nip05 = value.includes("@") ? value : `_@${value}`;
+      try {
+        recipient = await lookupNip05(nip05);
+      } catch (err) {
+        setError(`Could not look up ${value}: ${err.message}`);
+        return null;
+      }
+      if (!recipient) {
+        setError(`No Nostr user found for ${value}`);
+        return null;
+      }
+    }
+
+    if (!recipient) {
+      setError("Recipient must be an npub, nprofile or name@domain");
+      return null;
+    }
+
+    await loadContactDetails([recipient.pubkey]);
+    return {
+      pubkey: recipient.pubkey,
+      npub: encodeKey("npub", recipient.pubkey),
+      relays: recipient.relays,
+      nip05,
+    };
+  },
+
+  /**
+   * Remember a Recipient
+   *
+   * Moves them to the front of the recent recipients and persists the
+   * list. Called by send() after a successful nutzap.
+   *
+   * @param {string} pubkey - Hex pubkey of the recipient
+   */
+  rememberRecipient: async (pubkey) => {
+    const { signer, recentRecipients } = get();
+
+    const next = [
+      { pubkey, lastSentAt: Math.floor(Date.now() / 1000) },
+      ...recentRecipients.filter((entry) => entry.pubkey !== pubkey),
+    ].slice(0, MAX_RECENT_RECIPIENTS);
+    set({ recentRecipients: next });
+    if (!signer) return;
+
+    const user = await signer.user();
+    storage.setItem(storageKey(user.pubkey), JSON.stringify(next));
+  },
+
+  /**
+   * Search Recipients
+   *
+   * Matches the query against names, petnames, NIP-05 identifiers and
+   * npubs of recent recipients and contacts, recent ones first. An
+   * empty query lists the recent recipients.
+   *
+   * @param {string} query - Text to search for
+   * @param {number} limit - Most results to return (default: 20)
+   * @returns {Array} [{ pubkey, npub, name, picture, nip05, petname,
+   *   recent, acceptsNutzaps }], acceptsNutzaps being true, false or null
+   *   (not checked yet)
+   */
+  searchRecipients: (query, limit = 20) => {
+    const { contacts, recentRecipients, profiles, acceptsNutzaps } = get();
+    const needle = (query || "").trim().toLowerCase();
+    const petnames = Object.fromEntries(
+      contacts.map(({ pubkey, petname }) => [pubkey, petname])
+    );
+
+    const candidates = needle
+      ? [
+          ...recentRecipients.map(({ pubkey }) => pubkey),
+          ...contacts.map(({ pubkey }) => pubkey),
+        ]
+      : recentRecipients.map(({ pubkey }) => pubkey);
+    const recent = new Set(recentRecipients.map(({ pubkey }) => pubkey));
+
+    const results = [];
+    for (const pubkey of new Set(candidates)) {
+      const profile = profiles[pubkey] || {};
+      const entry = {
+        pubkey,
+        npub: encodeKey("npub", pubkey),
+        name: profile.name || null,
+        picture: profile.picture || null,
+        nip05: profile.nip05 || null,
+        petname: petnames[pubkey] || null,
+        recent: recent.has(pubkey),
+        acceptsNutzaps: acceptsNutzaps[pubkey] ?? null,
+      };
+
+      const matches =
+        !needle ||
+        [entry.name, entry.petname, entry.nip05, entry.npub].some((field) =>
+          field?.toLowerCase().includes(needle)
+        );
+      if (matches) results.push(entry);
+      if (results.length >= limit) break;
+    }
+    return results;
+  },
+});
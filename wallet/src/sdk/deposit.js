@@ -0,0 +1,400 @@
+/**
+ * deposit.js
+ *
+ * Deposits (Lightning -> Ecash, NUT-04). A mint quote is persisted as a
+ * kind 7374 event so an unpaid or unminted deposit can be resumed on
+ * any device, and pending quotes are polled until they are minted,
+ * expire or are cancelled.
+ */
+
+import { NDKCashuDeposit, getBolt11ExpiresAt } from "@nostr-dev-kit/ndk-wallet";
+import {
+  DEPOSIT_POLL_INTERVAL,
+  normalizeMintUrl,
+  readQuoteEvent,
+} from "./helpers.js";
+
+/**
+ * Deposit Actions
+ * @param {Function} set - Updates the wallet state
+ * @param {Function} get - Reads the wallet state and actions
+ * @returns {Object} State and actions merged into the wallet
+ */
+export const createDepositSlice = (set, get) => ({
+  /**
+   * Initiate a Deposit (Lightning -> Ecash)
+   *
+   * Creates a Lightning invoice that, when paid, mints new ecash proofs.
+   * This is how users add funds to their Cashu wallet.
+   *
+   * Deposit Flow:
+   * 1. Request invoice from mint for specified amount
+   * 2. Return invoice for display (QR code / copy-paste)
+   * 3. User pays invoice with any Lightning wallet
+   * 4. Mint detects payment and issues proofs
+   * 5. Proofs are saved to wallet state (and synced to relays)
+   * 6. ndk-wallet publishes an incoming kind 7376 history entry, which
+   *    reaches the history list through startHistorySync()
+   *
+   * ndk-wallet also persists the mint quote as a kind 7374 event, so a
+   * deposit paid after the tab is closed is minted by
+   * resumePendingDeposits() on the next load. Until then it is listed
+   * in pendingDeposits.
+   *
+   * The deposit object is an event emitter:
+   * - "success": Payment received, proofs minted
+   * - "error": Payment failed or timed out
+   *
+   * Invoice Format (BOLT11):
+   * Lightning invoices start with "lnbc" and contain:
+   * - Amount in millisatoshis
+   * - Payment hash (unique identifier)
+   * - Expiry time
+   * - Destination node
+   *
+   * @param {number} amountInSats - Amount to deposit in satoshis (default: 10)
+   * @param {Object} options - Optional { mint, onSuccess, onError }; mint defaults to the first trusted mint
+   * @returns {string|null} BOLT11 invoice string or null on error
+   */
+  initiateDeposit: async (amountInSats = 10, options = {}) => {
+    const {
+      cashuWallet,
+      setError,
+      setInvoice,
+      verifyAndUpdateBalance,
+      startDepositPolling,
+    } = get();
+    const { onSuccess, onError } = options;
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    const mint = normalizeMintUrl(options.mint || cashuWallet.mints[0]);
+    if (!cashuWallet.mints.includes(mint)) {
+      setError("Deposits can only be made to a trusted mint");
+      return null;
+    }
+
+    try {
+      const deposit = cashuWallet.deposit(amountInSats, mint);
+
+      const forgetDeposit = () =>
+        set((state) => ({
+          pendingDeposits: state.pendingDeposits.filter(
+            (entry) => entry.quoteId !== deposit.quoteId
+          ),
+        }));
+
+      // Handle successful payment - proofs are minted
+      deposit.on("success", async (token) => {
+        forgetDeposit();
+
+        // Save proofs to relay for backup and multi-device sync
+        await cashuWallet.state.update({
+          store: token.proofs,
+          mint,
+        });
+
+        // Verify balance with mint to get accurate count
+        const newBalance = await verifyAndUpdateBalance();
+        setInvoice("");
+
+        if (typeof onSuccess === "function") {
+          onSuccess(newBalance);
+        }
+
+        await get().rebalanceMints();
+      });
+
+      // Handle payment failure or timeout
+      deposit.on("error", (e) => {
+        forgetDeposit();
+        setError(e.message || "Deposit failed");
+        setInvoice("");
+        if (typeof onError === "function") {
+          onError(e);
+        }
+      });
+
+      // Start the deposit - returns the Lightning invoice
+      const pr = await deposit.start();
+
+      set((state) => ({
+        pendingDeposits: [
+          ...state.pendingDeposits,
+          {
+            quoteId: deposit.quoteId,
+            mint,
+            amount: amountInSats,
+            invoice: pr,
+            expiresAt: getBolt11ExpiresAt(pr) || null,
+            quoteEvent: null, // Published by ndk-wallet as deposit.quoteEvent
+            deposit,
+          },
+        ],
+      }));
+      startDepositPolling();
+
+      setInvoice(pr);
+      return pr;
+    } catch (e) {
+      setError(e.message);
+      return null;
+    }
+  },
+
+  /**
+   * Resume Pending Deposits
+   *
+   * Loads the user's kind 7374 mint quote events and checks each quote
+   * with its mint, so deposits paid while the app was closed are not
+   * lost. Called by initWallet() after the wallet has started.
+   *
+   * Quotes that are still unpaid are listed in pendingDeposits and
+   * re-checked every DEPOSIT_POLL_INTERVAL until they are paid, expire
+   * or are cancelled. See checkPendingDeposits() for what happens to
+   * each quote state.
+   *
+   * @returns {Array} The pending deposits after the first check
+   */
+  resumePendingDeposits: async () => {
+    const { ndkInstance, signer, cashuWallet, checkPendingDeposits } = get();
+
+    if (!ndkInstance || !signer || !cashuWallet) return [];
+
+    try {
+      const user = await signer.user();
+      const quoteEvents = await ndkInstance.fetchEvents({
+        kinds: [7374],
+        authors: [user.pubkey],
+      });
+
+      const resumed = [];
+      for (const event of quoteEvents) {
+        let quote = null;
+        try {
+          quote = await readQuoteEvent(event);
+        } catch (e) {
+          cashuWallet.warn(`Could not read quote event: ${e.message}`);
+        }
+        if (!quote) continue;
+
+        resumed.push({ ...quote, invoice: null, quoteEvent: event });
+      }
+
+      set((state) => {
+        const known = new Set(state.pendingDeposits.map((d) => d.quoteId));
+        return {
+          pendingDeposits: [
+            ...state.pendingDeposits,
+            ...resumed.filter((d) => !known.has(d.quoteId)),
+          ],
+        };
+      });
+    } catch (e) {
+      cashuWallet.warn(`Could not load pending deposits: ${e.message}`);
+    }
+
+    return checkPendingDeposits();
+  },
+
+  /**
+   * Check Pending Deposits With Their Mints
+   *
+   * Asks each mint for the state of its quote (NUT-04):
+   * - ISSUED: Already minted (here or on another device) - forget it
+   * - PAID: Mint the proofs now; ndk-wallet stores them and publishes
+   *   the incoming history entry
+   * - UNPAID: Keep waiting, or forget it once the invoice has expired
+   *
+   * Deposits started in this session are polled by ndk-wallet itself,
+   * so only their expiry is checked here. Polling stops once nothing is
+   * pending.
+   *
+   * @returns {Array} The remaining pending deposits
+   */
+  checkPendingDeposits: async () => {
+    const {
+      cashuWallet,
+      pendingDeposits,
+      forgetPendingDeposit,
+      verifyAndUpdateBalance,
+      startDepositPolling,
+      isCheckingDeposits,
+    } = get();
+
+    if (!cashuWallet || isCheckingDeposits) return pendingDeposits;
+    set({ isCheckingDeposits: true });
+
+    const now = Math.floor(Date.now() / 1000);
+    let minted = false;
+
+    for (const entry of pendingDeposits) {
+      if (entry.deposit) {
+        if (entry.expiresAt && entry.expiresAt < now) {
+          await forgetPendingDeposit(entry.quoteId);
+        }
+        continue;
+      }
+
+      try {
+        const mintWallet = await cashuWallet.getCashuWallet(entry.mint);
+        const quote = await mintWallet.checkMintQuote(entry.quoteId);
+
+        if (quote.state === "ISSUED") {
+          await forgetPendingDeposit(entry.quoteId);
+        } else if (quote.state === "PAID") {
+          // Reuse the deposit ndk-wallet created for this quote on start
+          const deposit =
+            cashuWallet.depositMonitor.deposits.get(entry.quoteId) ||
+            NDKCashuDeposit.fromQuoteEvent(cashuWallet, entry);
+          await deposit.finalize();
+          if (deposit.finalized) {
+            cashuWallet.depositMonitor.removeDeposit(entry.quoteId);
+            await forgetPendingDeposit(entry.quoteId);
+            minted = true;
+          }
+        } else {
+          const expiresAt = quote.expiry || entry.expiresAt;
+          if (expiresAt && expiresAt < now) {
+            await forgetPendingDeposit(entry.quoteId);
+          } else {
+            set((state) => ({
+              pendingDeposits: state.pendingDeposits.map((d) =>
+                d.quoteId === entry.quoteId
+                  ? { ...d, invoice: quote.request, expiresAt }
+                  : d
+              ),
+            }));
+          }
+        }
+      } catch (e) {
+        // Mint unreachable - keep the quote and try again later
+        cashuWallet.warn(
+          `Could not check deposit ${entry.quoteId}: ${e.message}`
+        );
+      }
+    }
+
+    set({ isCheckingDeposits: false });
+
+    if (minted) {
+      await verifyAndUpdateBalance();
+      await get().rebalanceMints();
+    }
+
+    startDepositPolling();
+    return get().pendingDeposits;
+  },
+
+  /**
+   * Start (or Stop) Polling Pending Deposits
+   *
+   * Keeps a single interval running while there are pending deposits
+   * and clears it once the list is empty.
+   */
+  startDepositPolling: () => {
+    const { pendingDeposits, depositPollTimer, checkPendingDeposits } = get();
+
+    if (pendingDeposits.length === 0) {
+      if (depositPollTimer) clearInterval(depositPollTimer);
+      set({ depositPollTimer: null });
+      return;
+    }
+
+    if (!depositPollTimer) {
+      set({
+        depositPollTimer: setInterval(
+          checkPendingDeposits,
+          DEPOSIT_POLL_INTERVAL
+        ),
+      });
+    }
+  },
+
+  /**
+   * Forget a Pending Deposit
+   *
+   * Stops any in-session polling for the quote, deletes its kind 7374
+   * event (NIP-09) so other devices stop tracking it, and removes it from
+   * pendingDeposits. Clears the displayed invoice if it belongs to the
+   * quote.
+   *
+   * @param {string} quoteId - Mint quote ID
+   */
+  forgetPendingDeposit: async (quoteId) => {
+    const { cashuWallet, pendingDeposits, invoice, setInvoice } = get();
+    const entry = pendingDeposits.find((d) => d.quoteId === quoteId);
+    if (!entry) return;
+
+    set((state) => ({
+      pendingDeposits: state.pendingDeposits.filter(
+        (d) => d.quoteId !== quoteId
+      ),
+    }));
+    if (entry.invoice && entry.invoice === invoice) {
+      setInvoice("");
+    }
+
+    if (entry.deposit) {
+      // ndk-wallet keeps polling until the deposit is finalized
+      entry.deposit.finalized = true;
+      entry.deposit.removeAllListeners();
+    }
+    if (cashuWallet) {
+      cashuWallet.depositMonitor.removeDeposit(quoteId);
+    }
+
+    const quoteEvent = entry.quoteEvent || entry.deposit?.quoteEvent;
+    if (quoteEvent) {
+      try {
+        const deletion = await quoteEvent.delete(undefined, false);
+        await deletion.publish(cashuWallet?.relaySet);
+      } catch (e) {
+        cashuWallet?.warn(`Could not delete quote event: ${e.message}`);
+      }
+    }
+  },
+
+  /**
+   * Cancel a Pending Deposit
+   *
+   * Stops waiting for the invoice to be paid. The mint still honours the
+   * quote, so an invoice paid after cancelling is not minted
+   * automatically.
+   *
+   * @param {string} quoteId - Mint quote ID
+   * @returns {boolean} True if the deposit was pending
+   */
+  cancelPendingDeposit: async (quoteId) => {
+    const { pendingDeposits, forgetPendingDeposit, startDepositPolling } =
+      get();
+
+    if (!pendingDeposits.some((d) => d.quoteId === quoteId)) return false;
+
+    await forgetPendingDeposit(quoteId);
+    startDepositPolling();
+    return true;
+  },
+
+  /**
+   * Cancel the Current Deposit
+   *
+   * Cancels the deposit whose invoice is on screen: its "success" and
+   * "error" listeners are removed, ndk-wallet stops polling the mint and
+   * the invoice is cleared.
+   *
+   * @returns {boolean} True if a pending deposit was cancelled
+   */
+  cancelDeposit: async () => {
+    const { invoice, pendingDeposits, cancelPendingDeposit, setInvoice } =
+      get();
+
+    const entry = invoice && pendingDeposits.find((d) => d.invoice === invoice);
+    setInvoice("");
+
+    return entry ? cancelPendingDeposit(entry.quoteId) : false;
+  },
+});
@@ -0,0 +1,906 @@
+/**
+ * helpers.js
+ *
+ * Constants and protocol helpers shared by the wallet modules: key and
+ * NIP-19 decoding, mint and relay URL normalization, proof bookkeeping
+ * with a mint, and reading wallet events.
+ */
+
+import {
+  NDKPrivateKeySigner,
+  NDKEvent,
+  NDKCashuWalletTx,
+  NdkNutzapStatus,
+  tryNormalizeRelayUrl,
+} from "@nostr-dev-kit/ndk";
+import { NDKCashuDeposit, NDKCashuWallet } from "@nostr-dev-kit/ndk-wallet";
+import { getDecodedToken } from "@cashu/cashu-ts";
+import { Buffer } from "buffer";
+import { bech32 } from "bech32";
+
+/**
+ * How often pending mint quotes are re-checked with their mint (ms)
+ */
+export const DEPOSIT_POLL_INTERVAL = 5000;
+
+/**
+ * Proofs held at one mint before they are consolidated automatically
+ * (an optimal split of 1M sats is 20 proofs at most)
+ */
+export const CONSOLIDATE_PROOF_THRESHOLD = 32;
+
+/**
+ * Smallest amount rebalanceMints() moves; below this the Lightning fees
+ * cost more than the exposure they reduce (sats)
+ */
+export const REBALANCE_MIN_AMOUNT = 10;
+
+/**
+ * Handling of nutzaps from mints we don't trust (see
+ * setUntrustedMintPolicy), until the user picks their own
+ */
+export const DEFAULT_UNTRUSTED_MINT_POLICY = { mode: "ask", maxAmount: 1000 };
+
+/**
+ * Load the Untrusted Mint Policy
+ * Stored as "untrusted_mint_policy" in the wallet's storage.
+ * @param {Object} storage - See ./storage.js
+ * @returns {Object} { mode: "ask" | "move", maxAmount }
+ */
+export function loadUntrustedMintPolicy(storage) {
+  try {
+    const stored = JSON.parse(storage.getItem("untrusted_mint_policy"));
+    return { ...DEFAULT_UNTRUSTED_MINT_POLICY, ...stored };
+  } catch {
+    return DEFAULT_UNTRUSTED_MINT_POLICY;
+  }
+}
+
+/**
+ * Safely Extract Balance Value
+ *
+ * The wallet.balance property can return different types depending on
+ * the wallet state and library version. This normalizes all formats
+ * to a simple number.
+ *
+ * Possible input formats:
+ * - null/undefined: Wallet not initialized -> 0
+ * - number: Direct balance value -> return as-is
+ * - { amount: number }: Object with amount property -> extract amount
+ * - string: Stringified number -> parse to number
+ *
+ * @param {*} bal - The balance value in any format
+ * @returns {number} The normalized balance in satoshis
+ */
+export function extractBalance(bal) {
+  if (bal === null || bal === undefined) return 0;
+  if (typeof bal === "number") return bal;
+  if (typeof bal === "object" && typeof bal.amount === "number") {
+    return bal.amount;
+  }
+  const parsed = Number(bal);
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+export function nostrPubkeyToCompressed(nostrPubkey) {
+  // Nostr pubkeys are just the x-coordinate (32 bytes / 64 hex chars)
+  // Compressed pubkeys need a prefix byte (02 or 03) indicating the y-coordinate parity
+  // We'll use 02 as the default prefix (even y-coordinate)
+  if (nostrPubkey.length === 64) {
+    return "02" + nostrPubkey;
+  }
+  return nostrPubkey;
+}
+
+/**
+ * Decode Bech32 Key to Hexadecimal
+ *
+ * Converts human-readable Nostr keys (npub/nsec) to raw hex format
+ * required by cryptographic operations.
+ *
+ * Bech32 encoding provides:
+ * - Human-readable prefix (npub/nsec) identifying key type
+ * - Checksum for error detection
+ * - Case-insensitive characters avoiding confusion (no 1/l, 0/O)
+ *
+ * @param {string} key - Bech32 encoded key (npub1... or nsec1...)
+ * @returns {string|null} Hex encoded key or null on error
+ */
+export function decodeKey(key) {
+  try {
+    const { words } = bech32.decode(key);
+    return Buffer.from(bech32.fromWords(words)).toString("hex");
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find the Wallet Key for a P2PK Lock
+ *
+ * Nutzaps are locked to the P2PK pubkey from our kind 10019 event, which
+ * belongs to a wallet key in cashuWallet.privkeys (keyed by x-only hex
+ * pubkey). Locks may use the 33-byte compressed form ("02"/"03" prefix).
+ *
+ * @param {NDKCashuWallet} wallet - The wallet holding the P2PK keys
+ * @param {string} p2pk - Pubkey the proofs are locked to
+ * @returns {NDKPrivateKeySigner|null} The matching wallet key signer
+ */
+export function findWalletKey(wallet, p2pk) {
+  if (!p2pk) return null;
+  const xOnly = p2pk.length === 66 ? p2pk.slice(2) : p2pk;
+  return wallet.privkeys.get(xOnly) || null;
+}
+
+/**
+ * Normalize a Mint URL
+ *
+ * The same mint can be written with or without a trailing slash or with
+ * surrounding whitespace. Mint URLs are compared as plain strings
+ * throughout NIP-60/61, so they are normalized before being stored or
+ * matched against a recipient's mint list.
+ *
+ * @param {string} url - Mint URL as entered or found in an event
+ * @returns {string} The trimmed URL without trailing slashes
+ */
+export function normalizeMintUrl(url) {
+  return (url || "").trim().replace(/\/+$/, "");
+}
+
+/**
+ * Normalize a Relay URL
+ *
+ * Relay URLs are compared in NDK's normalized form (lowercase host,
+ * trailing slash). Only websocket URLs are accepted.
+ *
+ * @param {string} url - Relay URL as entered or found in an event
+ * @returns {string|null} Normalized URL or null if it is not a relay URL
+ */
+export function normalizeRelay(url) {
+  const trimmed = (url || "").trim();
+  if (!/^wss?:\/\//i.test(trimmed)) return null;
+  return tryNormalizeRelayUrl(trimmed) || null;
+}
+
+/**
+ * Build the Default Relay List
+ *
+ * Until the user publishes a kind 10002 event, every default relay is
+ * used for both reading and writing.
+ *
+ * @returns {Array} [{ url, read, write }]
+ */
+export function defaultRelayList(relays) {
+  return relays.map((url) => ({
+    url: normalizeRelay(url),
+    read: true,
+    write: true,
+  }));
+}
+
+/**
+ * Pick Relay URLs by Usage
+ *
+ * @param {Array} relays - Relay list entries [{ url, read, write }]
+ * @param {string} usage - "read" or "write"
+ * @returns {string[]} URLs of the relays used for that purpose
+ */
+export function relayUrls(relays, usage) {
+  return relays.filter((relay) => relay[usage]).map((relay) => relay.url);
+}
+
+/**
+ * Choose the Mint to Send From
+ *
+ * A nutzap is only useful if the recipient trusts the mint that issued
+ * its proofs (the "mint" tags of their kind 10019 event). Among our mints
+ * that the recipient accepts, pick the one with the largest verified
+ * balance that can cover the amount on its own - proofs from different
+ * mints cannot be combined in a single nutzap.
+ *
+ * @param {Object} mintBalances - Verified balance per mint URL
+ * @param {string[]} recipientMints - Mints the recipient accepts
+ * @param {number} amount - Amount to send in satoshis
+ * @returns {string|null} The mint URL to use or null if none qualifies
+ */
+export function selectSendMint(mintBalances, recipientMints, amount) {
+  const accepted = new Set(recipientMints.map(normalizeMintUrl));
+
+  const candidates = Object.entries(mintBalances)
+    .filter(
+      ([mint, balance]) =>
+        accepted.has(normalizeMintUrl(mint)) && balance >= amount
+    )
+    .sort(([, a], [, b]) => b - a);
+
+  return candidates[0]?.[0] ?? null;
+}
+
+/**
+ * Encode a Hex Key to Bech32
+ *
+ * The inverse of decodeKey(), used to show hex pubkeys found in events
+ * in the familiar npub format.
+ *
+ * @param {string} prefix - Bech32 prefix ("npub" or "nsec")
+ * @param {string} hex - Hex encoded key
+ * @returns {string|null} Bech32 encoded key or null on error
+ */
+export function encodeKey(prefix, hex) {
+  try {
+    return bech32.encode(prefix, bech32.toWords(Buffer.from(hex, "hex")));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encode an nprofile (NIP-19)
+ *
+ * The TLV payload holds the pubkey (type 0) and one entry per relay
+ * hint (type 1), the reverse of decodeRecipient().
+ *
+ * @param {string} pubkey - Hex public key
+ * @param {string[]} relays - Relay URLs where the user can be reached
+ * @returns {string} nprofile1... string
+ */
+export function encodeProfile(pubkey, relays = []) {
+  const entries = [
+    [0, Buffer.from(pubkey, "hex")],
+    ...relays.map((url) => [1, Buffer.from(url, "ascii")]),
+  ];
+  const data = Buffer.concat(
+    entries.map(([type, value]) =>
+      Buffer.concat([Buffer.from([type, value.length]), value])
+    )
+  );
+  return bech32.encode("nprofile", bech32.toWords(data), 5000);
+}
+
+/**
+ * Decode a Payment Recipient to Hexadecimal
+ *
+ * Recipients can be shared in several formats, so this accepts:
+ * - npub: A bare bech32 public key
+ * - nprofile: A bech32 TLV bundle holding the pubkey plus relay hints
+ * - hex: A raw 64 character public key
+ *
+ * In an nprofile's TLV payload (see decodeTlv) type 0 is the pubkey and
+ * type 1 is a relay URL.
+ *
+ * @param {string} recipient - npub1..., nprofile1... or hex pubkey
+ * @returns {Object|null} { pubkey, relays } or null if the input is invalid
+ */
+export function decodeRecipient(recipient) {
+  const value = recipient?.trim();
+  if (!value) return null;
+
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return { pubkey: value.toLowerCase(), relays: [] };
+  }
+
+  if (value.startsWith("npub")) {
+    const pubkey = decodeKey(value);
+    return pubkey?.length === 64 ? { pubkey, relays: [] } : null;
+  }
+
+  if (value.startsWith("nprofile")) {
+    const entries = decodeTlv(value);
+    if (!entries) return null;
+
+    const pubkey = entries.find((e) => e.type === 0 && e.value.length === 32);
+    const relays = entries
+      .filter((e) => e.type === 1)
+      .map((e) => e.value.toString("ascii"));
+
+    return pubkey ? { pubkey: pubkey.value.toString("hex"), relays } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Decode a Bech32 TLV Entity (NIP-19 nprofile, nevent, naddr)
+ *
+ * These strings are longer than the 90 character limit of the bech32
+ * library, so a larger limit is passed when decoding them. The payload
+ * is a sequence of [type, length, value] entries.
+ *
+ * @param {string} value - nprofile1..., nevent1... or naddr1...
+ * @returns {Array|null} [{ type, value: Buffer }] or null if invalid
+ */
+export function decodeTlv(value) {
+  try {
+    const { words } = bech32.decode(value, 5000);
+    const data = Buffer.from(bech32.fromWords(words));
+    const entries = [];
+
+    for (let i = 0; i + 2 <= data.length; ) {
+      const length = data[i + 1];
+      entries.push({
+        type: data[i],
+        value: data.subarray(i + 2, i + 2 + length),
+      });
+      i += 2 + length;
+    }
+    return entries;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode the Event a Nutzap Is For
+ *
+ * Nutzaps can pay for a specific note, answer or post. Accepts:
+ * - hex or note1: A bare event id
+ * - nevent1: Event id (TLV 0) with relay hints (1), author (2), kind (3)
+ * - naddr1: An addressable event (long-form posts, ...) by its
+ *   d identifier (TLV 0), relay hints (1), author (2) and kind (3)
+ * - "kind:pubkey:d": An address as used in "a" tags
+ *
+ * Addressable events are referenced by address, so the nutzap follows
+ * the latest version of the post rather than one edit of it.
+ *
+ * @param {string} target - Event reference in one of the formats above
+ * @returns {Object|null} { id, address, author, kind, relays } (missing
+ *   fields are null) or null if the input is invalid
+ */
+export function decodeEventTarget(target) {
+  const value = target?.trim().replace(/^nostr:/i, "");
+  if (!value) return null;
+
+  const result = {
+    id: null,
+    address: null,
+    author: null,
+    kind: null,
+    relays: [],
+  };
+
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return { ...result, id: value.toLowerCase() };
+  }
+
+  const coordinates = value.match(/^(\d+):([0-9a-f]{64}):(.*)$/i);
+  if (coordinates) {
+    const [, kind, author] = coordinates;
+    return {
+      ...result,
+      address: value,
+      author: author.toLowerCase(),
+      kind: Number(kind),
+    };
+  }
+
+  if (value.startsWith("note1")) {
+    const id = decodeKey(value);
+    return id?.length === 64 ? { ...result, id } : null;
+  }
+
+  if (!value.startsWith("nevent1") && !value.startsWith("naddr1")) {
+    return null;
+  }
+
+  const entries = decodeTlv(value);
+  if (!entries) return null;
+
+  for (const { type, value: data } of entries) {
+    if (type === 1) result.relays.push(data.toString("ascii"));
+    if (type === 2 && data.length === 32) result.author = data.toString("hex");
+    if (type === 3 && data.length === 4) result.kind = data.readUInt32BE(0);
+  }
+
+  const special = entries.find((e) => e.type === 0);
+  if (!special) return null;
+
+  if (value.startsWith("nevent1")) {
+    return special.value.length === 32
+      ? { ...result, id: special.value.toString("hex") }
+      : null;
+  }
+
+  if (!result.author || result.kind === null) return null;
+  return {
+    ...result,
+    address: `${result.kind}:${result.author}:${special.value.toString(
+      "utf8"
+    )}`,
+  };
+}
+
+/**
+ * Decode a Serialized Cashu Token
+ *
+ * Accepts cashuA (V3, JSON) and cashuB (V4, CBOR) token strings, with or
+ * without a "cashu:" URI prefix. Decoding happens locally - nothing is
+ * sent to the mint.
+ *
+ * @param {string} token - Serialized token string
+ * @returns {Object|null} { mint, unit, memo, proofs, amount } or null if invalid
+ */
+export function decodeCashuToken(token) {
+  const value = token?.trim().replace(/^cashu:/i, "");
+  if (!value || !/^cashu[AB]/.test(value)) return null;
+
+  try {
+    const decoded = getDecodedToken(value);
+    return {
+      mint: normalizeMintUrl(decoded.mint),
+      unit: decoded.unit || "sat",
+      memo: decoded.memo || "",
+      proofs: decoded.proofs,
+      amount: decoded.proofs.reduce((sum, p) => sum + p.amount, 0),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the Encrypted Wallet Configuration (Kind 17375)
+ *
+ * The NIP-60 wallet event content is a NIP-44 encrypted JSON array of
+ * tags, encrypted to the user's own key:
+ *   [["mint", "https://..."], ["privkey", "<hex>"], ...]
+ *
+ * "privkey" entries are wallet P2PK keys used to redeem nutzaps. They are
+ * never the user's Nostr private key.
+ *
+ * @param {NDKEvent} event - The kind 17375 wallet event
+ * @returns {Object} { mints, privkeys }
+ */
+export async function readWalletConfig(event) {
+  const decrypted = new NDKEvent(event.ndk, event.rawEvent());
+  await decrypted.decrypt();
+  const tags = JSON.parse(decrypted.content);
+
+  return {
+    mints: tags
+      .filter(([t, v]) => t === "mint" && v)
+      .map(([, url]) => normalizeMintUrl(url)),
+    privkeys: tags.filter(([t, v]) => t === "privkey" && v).map(([, k]) => k),
+  };
+}
+
+/**
+ * Read a Mint Quote Event
+ *
+ * NIP-60 kind 7374 events persist a deposit's mint quote so it can be
+ * minted later, from any device. The content is a NIP-44 encrypted JSON
+ * object; the invoice expiry is kept in a public "expiration" tag:
+ *   { quoteId, mint, amount, unit }
+ *
+ * @param {NDKEvent} event - The kind 7374 quote event
+ * @returns {Object|null} { quoteId, mint, amount, expiresAt } or null if unreadable
+ */
+export async function readQuoteEvent(event) {
+  const decrypted = new NDKEvent(event.ndk, event.rawEvent());
+  await decrypted.decrypt();
+  const { quoteId, mint, amount } = JSON.parse(decrypted.content);
+  if (!quoteId || !mint || !amount) return null;
+
+  return {
+    quoteId,
+    mint: normalizeMintUrl(mint),
+    amount,
+    expiresAt: Number(event.tagValue("expiration")) || null,
+  };
+}
+
+/**
+ * Convert a Spending History Event to a History Entry
+ *
+ * Kind 7376 events keep almost everything in their encrypted content;
+ * NDKCashuWalletTx.from() decrypts it and exposes the tags. Entries
+ * published by this store carry a "counterparty" tag. Nutzap redemptions
+ * published by ndk-wallet reference the sender with an unencrypted "p" tag
+ * instead.
+ *
+ * @param {NDKCashuWalletTx} tx - Decrypted history event
+ * @returns {Object} { id, direction, amount, fee, mint, counterparty, description, timestamp }
+ */
+export function historyEntryFromEvent(tx) {
+  return {
+    id: tx.id,
+    direction: tx.direction || "in",
+    amount: tx.amount || 0,
+    fee: tx.fee || 0,
+    mint: tx.mint || null,
+    counterparty: tx.tagValue("counterparty") || tx.tagValue("p") || null,
+    description:
+      tx.description || (tx.hasNutzapRedemption ? "Nutzap received" : ""),
+    timestamp: tx.created_at,
+  };
+}
+
+/**
+ * Reconcile a Mint's Proofs with the Mint (NUT-07)
+ *
+ * The mint is the source of truth for proof validity. Local state can
+ * hold proofs that were:
+ * 1. Spent elsewhere (multi-device sync issues)
+ * 2. Claimed by recipients
+ * 3. Caught in a payment that has not settled yet
+ *
+ * Proof States (from Cashu NUT-07):
+ * - UNSPENT: Spendable, counted in the balance
+ * - SPENT: Destroyed in our NIP-60 token events, so they stop coming
+ *   back on the next load (the token event is rolled over without them)
+ * - PENDING: In flight, e.g. a Lightning payment still settling. Kept,
+ *   reported separately and not counted, since they may still settle
+ *   either way.
+ *
+ * If the mint cannot be reached nothing is changed, and the local
+ * balance is returned marked as unverified.
+ *
+ * @param {NDKCashuWallet} wallet - The wallet instance
+ * @param {string} mintUrl - URL of the mint to verify against
+ * @returns {Object} { balance, pending, verified } (amounts in satoshis)
+ */
+export async function reconcileMintProofs(wallet, mintUrl) {
+  const proofs = wallet.state?.getProofs({ mint: mintUrl }) || [];
+
+  if (proofs.length === 0) {
+    return { balance: 0, pending: 0, verified: true };
+  }
+
+  let proofStates;
+  try {
+    const cashuWallet = await wallet.getCashuWallet(mintUrl);
+    proofStates = await cashuWallet.checkProofsStates(proofs);
+  } catch (e) {
+    wallet.warn(`Could not check proofs at ${mintUrl}: ${e.message}`);
+    return {
+      balance: extractBalance(wallet.mintBalance(mintUrl)),
+      pending: 0,
+      verified: false,
+    };
+  }
+
+  const byState = (state) =>
+    proofs.filter((_, i) => proofStates[i]?.state === state);
+  const sum = (list) => list.reduce((total, p) => total + p.amount, 0);
+
+  const spent = byState("SPENT");
+  if (spent.length > 0) {
+    try {
+      await wallet.state.update(
+        { mint: mintUrl, store: [], destroy: spent },
+        "Reconcile"
+      );
+    } catch (e) {
+      wallet.warn(`Could not remove spent proofs: ${e.message}`);
+    }
+  }
+
+  return {
+    balance: sum(byState("UNSPENT")),
+    pending: sum(byState("PENDING")),
+    verified: true,
+  };
+}
+
+/**
+ * Proofs a Spend Replaces
+ *
+ * After swapping the UNSPENT proofs of a mint, everything but its
+ * PENDING proofs leaves the wallet state: SPENT ones are dead, and the
+ * UNSPENT ones come back as new proofs (what the spend didn't need is
+ * returned in `keep`). PENDING proofs belong to a payment that may
+ * still fail, so they are kept.
+ *
+ * @param {Array} proofs - All proofs of the mint
+ * @param {Array} states - Their states from checkProofsStates()
+ * @returns {Array} The proofs to destroy
+ */
+export function replacedProofs(proofs, states) {
+  return proofs.filter((_, i) => states[i]?.state !== "PENDING");
+}
+
+/**
+ * Count Proofs by Denomination
+ *
+ * @param {Array} proofs - Cashu proofs
+ * @returns {Object} { count, total, denominations: { [amount]: count } }
+ */
+export function summarizeProofs(proofs) {
+  const denominations = {};
+  for (const proof of proofs) {
+    denominations[proof.amount] = (denominations[proof.amount] || 0) + 1;
+  }
+  return {
+    count: proofs.length,
+    total: proofs.reduce((sum, p) => sum + p.amount, 0),
+    denominations,
+  };
+}
+
+/**
+ * Fewest Proofs That Can Hold an Amount
+ *
+ * Mint keysets sign powers of two, so the optimal split has one proof
+ * per set bit (13 sats = 8 + 4 + 1).
+ *
+ * @param {number} amount - Amount in sats
+ * @returns {number} Number of proofs in the optimal split
+ */
+export function optimalProofCount(amount) {
+  return amount
+    .toString(2)
+    .split("")
+    .filter((bit) => bit === "1").length;
+}
+
+/**
+ * Consolidate the Proofs Held at One Mint
+ *
+ * Many small proofs (left behind by repeated small sends) make every
+ * proof state check and token event bigger. This:
+ * 1. Checks all available proofs with the mint (NUT-07)
+ * 2. Swaps the unspent ones for the optimal power-of-two split
+ * 3. Replaces the mint's token events (kind 7375) with a single one and
+ *    drops spent proofs
+ *
+ * The proofs are reserved during the swap so a concurrent send cannot
+ * pick them. Nothing happens if the proofs are already optimal and in a
+ * single token event, or if the swap fees would eat the whole amount.
+ *
+ * @param {NDKCashuWallet} wallet - The wallet instance
+ * @param {string} mint - Mint URL
+ * @returns {Object} { mint, proofsBefore, proofsAfter, fee }
+ */
+export async function consolidateMintProofs(wallet, mint) {
+  const proofs = wallet.state.getProofs({ mint });
+  const result = {
+    mint,
+    proofsBefore: proofs.length,
+    proofsAfter: proofs.length,
+    fee: 0,
+  };
+  if (proofs.length === 0) return result;
+
+  const cashuWallet = await wallet.getCashuWallet(mint);
+  const states = await cashuWallet.checkProofsStates(proofs);
+  const spent = proofs.filter((_, i) => states[i]?.state === "SPENT");
+  const unspent = proofs.filter((_, i) => states[i]?.state === "UNSPENT");
+  const total = unspent.reduce((sum, p) => sum + p.amount, 0);
+  const fee = unspent.length > 0 ? cashuWallet.getFeesForProofs(unspent) : 0;
+
+  const needsSwap =
+    total > fee &&
+    (unspent.length > optimalProofCount(total) ||
+      wallet.state.getTokens({ mint }).size > 1);
+
+  if (!needsSwap && spent.length === 0) return result;
+
+  let fresh = [];
+  if (needsSwap) {
+    wallet.state.reserveProofs(unspent, total);
+    try {
+      const { keep, send } = await cashuWallet.swap(total - fee, unspent);
+      fresh = [...keep, ...send];
+    } catch (e) {
+      wallet.state.unreserveProofs(unspent, total, "available");
+      throw e;
+    }
+    wallet.state.unreserveProofs(unspent, total, "deleted");
+  }
+
+  await wallet.state.update(
+    {
+      mint,
+      store: fresh,
+      destroy: needsSwap ? [...spent, ...unspent] : spent,
+    },
+    "Consolidate"
+  );
+
+  return {
+    mint,
+    proofsBefore: proofs.length,
+    proofsAfter: wallet.state.getProofs({ mint }).length,
+    fee: needsSwap ? fee : 0,
+  };
+}
+
+/**
+ * Move Ecash From One Mint to Another Over Lightning
+ *
+ * Mints can't exchange ecash directly, so the destination mint issues a
+ * mint quote (a Lightning invoice) and the source mint pays it with our
+ * proofs (a melt):
+ *
+ * 1. Request a mint quote at the destination for the amount to move
+ * 2. Request a melt quote for its invoice at the source
+ * 3. Swap for proofs worth amount + fee reserve
+ * 4. Persist the mint quote as a kind 7374 event, so the sats can still
+ *    be minted after a reload if anything below is interrupted
+ * 5. Melt the swapped proofs
+ * 6. Store keep + change proofs at the source, destroy the originals
+ *    (proofs already PENDING at the source stay; see replacedProofs)
+ * 7. Mint the paid quote at the destination (ndk-wallet stores the
+ *    proofs and records the incoming history entry)
+ *
+ * If the melt fails or comes back UNPAID, the swapped proofs are stored
+ * back and the quote event is deleted. If it comes back PENDING, they
+ * are stored back (now PENDING at the source) and the quote event is
+ * kept, so the deposit can be minted once the payment settles.
+ *
+ * Without an amount the whole balance is moved. The Lightning fee is
+ * only known once the invoice is quoted, so the amount is lowered by
+ * any shortfall and quoted again.
+ *
+ * @param {NDKCashuWallet} wallet - The wallet instance
+ * @param {string} fromMint - Mint holding the proofs
+ * @param {string} toMint - Mint to move them to
+ * @param {number|null} amount - Sats to arrive at toMint (null = all)
+ * @returns {Object} { amount, fee, stateUpdate, deposit, pending };
+ *   deposit is not finalized if the destination could not mint yet,
+ *   and fee and stateUpdate are null while the payment is pending
+ */
+export async function meltIntoMint(wallet, fromMint, toMint, amount = null) {
+  const source = await wallet.getCashuWallet(fromMint);
+  const target = await wallet.getCashuWallet(toMint);
+
+  const proofs = wallet.state.getProofs({ mint: fromMint });
+  const states = await source.checkProofsStates(proofs);
+  const unspent = proofs.filter((_, i) => states[i]?.state === "UNSPENT");
+  const available = unspent.reduce((sum, p) => sum + p.amount, 0);
+  // Inputs are paid for twice: swapping them, then melting the result
+  const inputFees = 2 * source.getFeesForProofs(unspent);
+
+  let receive = amount ?? available - inputFees;
+  let mintQuote = null;
+  let meltQuote = null;
+
+  for (let attempt = 0; attempt < 3 && !meltQuote; attempt++) {
+    if (receive <= 0) {
+      throw new Error("Balance is too small to cover the transfer fees");
+    }
+
+    mintQuote = await target.createMintQuote(receive);
+    const quote = await source.createMeltQuote(mintQuote.request);
+    const needed = quote.amount + quote.fee_reserve + inputFees;
+
+    if (needed <= available) {
+      meltQuote = quote;
+    } else if (amount !== null) {
+      throw new Error(
+        `Insufficient balance: ${quote.amount} sats plus up to ${
+          needed - quote.amount
+        } sats in fees needed`
+      );
+    } else {
+      receive -= needed - available;
+    }
+  }
+
+  if (!meltQuote) {
+    throw new Error("Could not fit the transfer fees in the balance");
+  }
+
+  const { keep, send: meltInputs } = await source.send(
+    meltQuote.amount + meltQuote.fee_reserve,
+    unspent,
+    { includeFees: true }
+  );
+
+  const deposit = NDKCashuDeposit.fromQuoteEvent(wallet, {
+    quoteId: mintQuote.quote,
+    mint: toMint,
+    amount: receive,
+  });
+  const storeBack = () =>
+    wallet.state.update({
+      store: [...keep, ...meltInputs],
+      destroy: replacedProofs(proofs, states),
+      mint: fromMint,
+    });
+
+  let meltResult;
+  try {
+    deposit.quoteEvent = await deposit.createQuoteEvent(
+      mintQuote.quote,
+      mintQuote.request
+    );
+    meltResult = await source.meltProofs(meltQuote, meltInputs);
+  } catch (e) {
+    await storeBack();
+    await deposit.destroyQuoteEvent();
+    throw e;
+  }
+
+  if (meltResult.quote?.state === "PENDING") {
+    await storeBack();
+    return {
+      amount: receive,
+      fee: null,
+      stateUpdate: null,
+      deposit,
+      pending: true,
+    };
+  }
+
+  if (meltResult.quote?.state !== "PAID") {
+    await storeBack();
+    await deposit.destroyQuoteEvent();
+    throw new Error(`${fromMint} could not pay the transfer invoice`);
+  }
+
+  const stateUpdate = await wallet.state.update(
+    {
+      store: [...keep, ...meltResult.change],
+      destroy: replacedProofs(proofs, states),
+      mint: fromMint,
+    },
+    "Transfer"
+  );
+
+  await deposit.finalize();
+
+  // Everything that left the source, including the swap's input fee
+  const sum = (list) => list.reduce((total, p) => total + p.amount, 0);
+  const fee = available - sum(keep) - sum(meltResult.change) - receive;
+
+  return { amount: receive, fee, stateUpdate, deposit, pending: false };
+}
+
+/**
+ * List Every Mint the Wallet Knows About
+ *
+ * Combines the trusted mint list with any mint we still hold proofs
+ * for. A mint can be removed from the trusted list (or a nutzap might
+ * arrive from elsewhere) while proofs remain, and those sats must still
+ * be counted in the balance.
+ *
+ * @param {NDKCashuWallet} wallet - The wallet instance
+ * @returns {string[]} Unique mint URLs
+ */
+export function getWalletMints(wallet) {
+  const mintsWithProofs = Object.keys(wallet.state?.getMintsBalance() || {});
+  return [...new Set([...wallet.mints, ...mintsWithProofs])];
+}
+
+/**
+ * Map a Nutzap Monitor State to an Inbox Status
+ *
+ * The monitor tracks each nutzap through ndk's NdkNutzapStatus values;
+ * the inbox only needs to tell the user whether the sats arrived, are
+ * on their way, or why they didn't.
+ *
+ * @param {Object} state - Entry of monitor.nutzapStates { status, errorMessage }
+ * @returns {Object} { status, error, retryable } for the inbox entry
+ */
+export function nutzapInboxStatus({ status, errorMessage }) {
+  switch (status) {
+    case NdkNutzapStatus.PROCESSING:
+      return { status: "processing", error: null, retryable: false };
+    case NdkNutzapStatus.REDEEMED:
+      return { status: "redeemed", error: null, retryable: false };
+    case NdkNutzapStatus.SPENT:
+      // Already claimed, by this wallet in an earlier session or elsewhere
+      return { status: "claimed", error: null, retryable: false };
+    case NdkNutzapStatus.MISSING_PRIVKEY:
+      return {
+        status: "failed",
+        error: "Locked to a key this wallet doesn't have",
+        retryable: false,
+      };
+    case NdkNutzapStatus.TEMPORARY_ERROR:
+      return {
+        status: "failed",
+        error: errorMessage || "Temporary error",
+        retryable: true,
+      };
+    case NdkNutzapStatus.PERMANENT_ERROR:
+    case NdkNutzapStatus.INVALID_NUTZAP:
+      return {
+        status: "failed",
+        error: errorMessage || "Invalid nutzap",
+        retryable: false,
+      };
+    default:
+      return { status: "seen", error: null, retryable: false };
+  }
+}
@@ -0,0 +1,801 @@
+/**
+ * identity.js
+ *
+ * Decentralized identity using the Nostr protocol. Nostr (Notes and
+ * Other Stuff Transmitted by Relays) is a decentralized protocol that
+ * enables censorship-resistant communication using cryptographic key
+ * pairs.
+ *
+ * Key Concepts:
+ * - npub: The public key in bech32 format (human-readable, starts with "npub1")
+ * - nsec: The private/secret key in bech32 format (starts with "nsec1")
+ * - bech32: An encoding format that provides error detection and is easier to read/copy
+ * - Relays: Servers that store and forward Nostr events between clients
+ *
+ * The identity handles:
+ * - Key generation and storage
+ * - Authentication with existing keys, a NIP-07 browser extension or a
+ *   NIP-46 remote signer
+ * - Session management (login/logout, lock/unlock)
+ * - The user's own profile (kind 0 metadata: name, picture, about,
+ *   Lightning address)
+ *
+ * The NDK instance, signer and relay connection live in the session
+ * (see ./session.js), which the wallet uses too.
+ *
+ * Login Methods (persisted as "local_signer" in the session's storage):
+ * - "nsec": The secret key is stored locally, encrypted with the user's
+ *   passphrase (NIP-49 "ncryptsec", under "local_ncryptsec"). It is only
+ *   decrypted into memory while unlocked.
+ * - "nip07": A browser extension (window.nostr) keeps the secret key and
+ *   signs on our behalf, so it never touches this site
+ * - "nip46": A remote signer ("bunker") keeps the secret key and signs
+ *   over Nostr relays. Only the session ("local_bunker") is stored.
+ */
+
+import { Buffer } from "buffer";
+import { bech32 } from "bech32";
+
+import {
+  NDKEvent,
+  NDKNip07Signer,
+  NDKPrivateKeySigner,
+} from "@nostr-dev-kit/ndk";
+import { isBunkerConnection } from "./session.js";
+import { createStateStore } from "./store.js";
+
+/**
+ * Shortest passphrase accepted for encrypting the secret key
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * npub used for read-only connections when nobody is logged in
+ */
+const FALLBACK_NPUB =
+  "npub1mgt5c7qh6dm9rg57mrp89rqtzn64958nj5w9g2d2h9dng27hmp0sww7u2v";
+
+/**
+ * Convert a hex private key to bech32 nsec
+ * @param {string} hex - Private key in hex
+ * @returns {string} nsec1... key
+ */
+const hexToNsec = (hex) =>
+  bech32.encode("nsec", bech32.toWords(Buffer.from(hex, "hex")));
+
+/**
+ * Convert a bech32 npub to a hex public key
+ * @param {string} npub - npub1... key
+ * @returns {string} Public key in hex
+ */
+const npubToHex = (npub) =>
+  Buffer.from(bech32.fromWords(bech32.decode(npub).words)).toString("hex");
+
+/**
+ * Profile fields the app edits. Other kind 0 fields (banner, nip05,
+ * website, ...) are kept as they were published.
+ */
+const PROFILE_FIELDS = ["name", "picture", "about", "lud16"];
+
+/**
+ * Parse Kind 0 Content
+ * @param {string} content - JSON metadata from a kind 0 event
+ * @returns {Object} The metadata, or {} if it isn't a JSON object
+ */
+const parseProfile = (content) => {
+  try {
+    const metadata = JSON.parse(content);
+    return metadata && typeof metadata === "object" ? metadata : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Check Profile Fields Before Publishing
+ * @param {Object} fields - { picture, lud16 } as entered
+ * @returns {string|null} What is wrong, or null if they look fine
+ */
+const validateProfile = ({ picture, lud16 }) => {
+  if (picture && !/^https?:\/\/\S+$/i.test(picture)) {
+    return "Picture must be an http(s) URL";
+  }
+  if (lud16 && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(lud16)) {
+    return "Lightning address should look like name@example.com";
+  }
+  return null;
+};
+
+/**
+ * Create an Identity
+ *
+ * The identity is a state store (see ./store.js): getState() returns
+ * the fields and actions below, and subscribe() reports changes.
+ *
+ * State:
+ * - isConnected, errorMessage
+ * - nostrPubKey: npub of the logged-in user
+ * - nostrPrivKey: Decrypted nsec, held in memory only while unlocked
+ * - loginMethod: "nsec" | "nip07" | "nip46" | null
+ * - isLocked: A stored key that has not been decrypted this session
+ * - autoLockMinutes: Idle minutes before the app locks (0 = never)
+ * - profile: Our kind 0 metadata ({ name, picture, about, lud16, ... }),
+ *   null until loaded and {} if we have none
+ *
+ * @param {Object} options
+ * @param {Object} options.session - Nostr session (see ./session.js)
+ * @param {Object} options.storage - Where keys are kept (default: the
+ *   session's storage)
+ * @param {string|null} options.fallbackNsec - Key connectToNostr() falls
+ *   back to when nobody is logged in
+ * @param {string} options.npub - npub to start with (default: the stored one)
+ * @param {string} options.nsec - Unlocked nsec to start with
+ * @returns {Object} The identity store
+ */
+export function createIdentity(options) {
+  const { session, fallbackNsec = null } = options;
+  const storage = options.storage || session.storage;
+
+  /**
+   * Check whether a key is stored that needs a passphrase to use
+   *
+   * "local_nsec" is the unencrypted key written by earlier versions. It
+   * is encrypted with the passphrase entered at the next unlock.
+   *
+   * @returns {boolean} True if an encrypted (or legacy) key is stored
+   */
+  const hasStoredKey = () =>
+    !!(storage.getItem("local_ncryptsec") || storage.getItem("local_nsec"));
+
+  /**
+   * Encrypt and Store a Private Key Signer (NIP-49)
+   *
+   * Replaces any previous key. scrypt makes each passphrase guess
+   * costly, so a stolen ncryptsec is only as weak as its passphrase.
+   *
+   * @param {NDKPrivateKeySigner} signer - Signer holding the key
+   * @param {string} passphrase - User's passphrase
+   * @returns {string} The stored ncryptsec1... string
+   */
+  const storeEncryptedKey = (signer, passphrase) => {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+
+    const ncryptsec = signer.encryptToNcryptsec(passphrase);
+    storage.setItem("local_ncryptsec", ncryptsec);
+    storage.removeItem("local_nsec");
+    return ncryptsec;
+  };
+
+  const storedAutoLock = storage.getItem("auto_lock_minutes");
+
+  const identity = createStateStore((setState, get) => {
+    // isLocked follows the key fields and what is stored
+    const set = (partial) => {
+      setState(partial);
+      const { loginMethod, nostrPrivKey, isLocked } = get();
+      const locked = loginMethod === "nsec" && hasStoredKey() && !nostrPrivKey;
+      if (locked !== isLocked) setState({ isLocked: locked });
+    };
+
+    const loginMethod =
+      storage.getItem("local_signer") || (hasStoredKey() ? "nsec" : null);
+    const nostrPrivKey = options.nsec || "";
+
+    return {
+      isConnected: session.isConnected,
+      errorMessage: null,
+      nostrPubKey: options.npub || storage.getItem("local_npub") || "",
+      nostrPrivKey,
+      loginMethod,
+      isLocked: loginMethod === "nsec" && hasStoredKey() && !nostrPrivKey,
+      autoLockMinutes: storedAutoLock === null ? 15 : Number(storedAutoLock),
+      profile: null,
+
+      /**
+       * Start the Session
+       *
+       * 1. Restore any existing session from storage
+       * 2. Connect the session and follow its connection state
+       *    (including automatic reconnects)
+       * 3. Reconnect an extension or bunker signer if the user logged
+       *    in with one
+       * 4. Load the user's profile
+       *
+       * A stored secret key stays encrypted until unlock() is called
+       * with the passphrase.
+       *
+       * @returns {Function} Call to stop following the connection state
+       */
+      start: () => {
+        const storedNpub = storage.getItem("local_npub");
+        if (storedNpub) set({ nostrPubKey: storedNpub });
+
+        const unsubscribe = session.on("status", () =>
+          set({ isConnected: session.isConnected })
+        );
+
+        const initializeConnection = async () => {
+          try {
+            await session.connect();
+            set({ isConnected: session.isConnected });
+
+            if (!session.signer) {
+              await session.signInWithCredential();
+            }
+            get().fetchProfile();
+          } catch (err) {
+            console.error("Error connecting to Nostr:", err);
+            set({ errorMessage: err.message });
+          }
+        };
+
+        initializeConnection();
+        return unsubscribe;
+      },
+
+      /**
+       * Generate New Nostr Key Pair
+       *
+       * Creates a brand new cryptographic identity for the user. This is
+       * the equivalent of "creating an account" in a decentralized
+       * system.
+       *
+       * How it works:
+       * 1. NDKPrivateKeySigner.generate() creates a new secp256k1 key
+       *    pair (the same elliptic curve used by Bitcoin)
+       * 2. The private key is encrypted with the passphrase (NIP-49) and
+       *    stored as "ncryptsec"; the bech32 "nsec" stays in memory
+       * 3. The public key is derived and stored as "npub"
+       *
+       * Security Note:
+       * - The nsec (private key) should NEVER be shared - it proves ownership
+       * - The npub (public key) can be freely shared - it's your public identity
+       * - Only the encrypted key is written to storage
+       *
+       * When a profile is given it is published as kind 0 right away, so
+       * the new account has a name on Nostr. A failed publish leaves the
+       * account in place (see errorMessage); the profile can be saved
+       * again later.
+       *
+       * @param {Object|string|null} profile - Optional { name, picture,
+       *   about, lud16 }, or just a display name
+       * @param {string} passphrase - Passphrase that encrypts the stored key
+       * @returns {Object} The generated key pair { npub, nsec }
+       */
+      generateNostrKeys: async (profile = null, passphrase) => {
+        const privateKeySigner = NDKPrivateKeySigner.generate();
+
+        const privateKey = privateKeySigner.privateKey;
+        const user = await privateKeySigner.user();
+
+        const publicKey = user.npub;
+
+        const encodedNsec = hexToNsec(privateKey);
+        storeEncryptedKey(privateKeySigner, passphrase);
+        await session.signIn(privateKeySigner);
+
+        storage.setItem("local_npub", publicKey);
+        storage.setItem("local_signer", "nsec");
+        storage.removeItem("local_bunker");
+        storage.setItem("uniqueId", publicKey);
+        set({
+          nostrPrivKey: encodedNsec,
+          nostrPubKey: publicKey,
+          loginMethod: "nsec",
+          profile: {},
+        });
+
+        const fields =
+          typeof profile === "string" ? { name: profile } : profile;
+        if (fields && Object.values(fields).some((value) => value?.trim())) {
+          await get().publishProfile(fields);
+        }
+
+        return { npub: publicKey, nsec: encodedNsec };
+      },
+
+      /**
+       * Connect to Nostr Network
+       *
+       * Connects the session and optionally initializes a signer for
+       * creating signed events.
+       *
+       * Connection Modes:
+       * - With nsec (private key): Full read/write access, can sign events
+       * - Without nsec: Read-only mode, can only fetch public data
+       *
+       * Key Resolution Order (falls back through each):
+       * 1. Explicitly passed keys (npubRef, nsecRef)
+       * 2. Keys from the identity state (the nsec only while unlocked)
+       * 3. npub from storage
+       * 4. Fallback keys (options.fallbackNsec)
+       *
+       * The session signer is returned as-is when one is attached; a
+       * signer built from an nsec is returned without attaching it.
+       *
+       * @param {string|null} npubRef - Optional public key to use
+       * @param {string|null} nsecRef - Optional private key to use
+       * @returns {Object|null} Connection details { ndkInstance, hexNpub, signer } or null on error
+       */
+      connectToNostr: async (npubRef = null, nsecRef = null) => {
+        const { nostrPrivKey, nostrPubKey } = get();
+
+        const nsec = nsecRef || nostrPrivKey || fallbackNsec;
+        const npub =
+          npubRef ||
+          storage.getItem("local_npub") ||
+          nostrPubKey ||
+          FALLBACK_NPUB;
+
+        try {
+          // Decode the npub from Bech32
+          const { words: npubWords } = bech32.decode(npub);
+          const hexNpub = Buffer.from(bech32.fromWords(npubWords)).toString(
+            "hex"
+          );
+
+          const ndkInstance = await session.connect();
+          set({ isConnected: session.isConnected });
+
+          if (session.signer) {
+            return { ndkInstance, hexNpub, signer: session.signer };
+          }
+
+          // Handle private key mode
+          if (nsec && nsec.startsWith("nsec")) {
+            const { words: nsecWords } = bech32.decode(nsec);
+            const hexNsec = Buffer.from(bech32.fromWords(nsecWords)).toString(
+              "hex"
+            );
+            return {
+              ndkInstance,
+              hexNpub,
+              signer: new NDKPrivateKeySigner(hexNsec),
+            };
+          }
+
+          // No signer available, return without one (read-only mode)
+          return { ndkInstance, hexNpub, signer: null };
+        } catch (err) {
+          console.error("Error connecting to Nostr:", err);
+          set({ errorMessage: err.message });
+          return null;
+        }
+      },
+
+      /**
+       * Authenticate with Existing Private Key
+       *
+       * Logs in a user using their existing nsec (private key). This is
+       * the equivalent of "signing in" with existing credentials.
+       *
+       * Authentication Flow:
+       * 1. Decode the bech32 nsec to raw hex format (or decrypt an
+       *    imported ncryptsec backup with the passphrase)
+       * 2. Create a signer object from the private key
+       * 3. Derive the public key (npub) from the private key
+       * 4. Attach the signer to the session
+       * 5. Store the key encrypted with the passphrase (NIP-49) so the
+       *    session survives reloads behind the unlock screen
+       *
+       * The signer.user() call derives the public key mathematically
+       * from the private key - this is a one-way operation (you cannot
+       * derive the private key from the public key).
+       *
+       * A bunker:// URI or NIP-05 address is handed to loginWithBunker()
+       * instead, so the same sign-in field works for remote signers.
+       *
+       * @param {string} nsec - The user's private key in bech32 format,
+       *   an ncryptsec backup, or a NIP-46 connection string
+       * @param {string} passphrase - Encrypts the stored key (and
+       *   decrypts an ncryptsec backup); not needed for NIP-46
+       * @returns {Object|null} The authenticated { user, signer, nsec } or null on error
+       */
+      auth: async (nsec, passphrase) => {
+        if (isBunkerConnection(nsec)) {
+          return get().loginWithBunker(nsec);
+        }
+
+        try {
+          let signer;
+          if (nsec.startsWith("ncryptsec")) {
+            // Imported backup: decrypting fails on a wrong passphrase
+            signer = NDKPrivateKeySigner.fromNcryptsec(nsec.trim(), passphrase);
+          } else {
+            // Decode nsec to hex
+            const { words: nsecWords } = bech32.decode(nsec);
+            const hexNsec = Buffer.from(bech32.fromWords(nsecWords)).toString(
+              "hex"
+            );
+            signer = new NDKPrivateKeySigner(hexNsec);
+          }
+          await signer.blockUntilReady();
+
+          storeEncryptedKey(signer, passphrase);
+          const user = await session.signIn(signer);
+
+          const encodedNsec = hexToNsec(signer.privateKey);
+          storage.setItem("local_npub", user.npub);
+          storage.setItem("local_signer", "nsec");
+          storage.removeItem("local_bunker");
+          set({
+            nostrPubKey: user.npub,
+            nostrPrivKey: encodedNsec,
+            loginMethod: "nsec",
+            errorMessage: null,
+            profile: null,
+          });
+          get().fetchProfile();
+
+          return { user, signer, nsec: encodedNsec };
+        } catch (error) {
+          console.error("Error logging in with keys:", error);
+          set({ errorMessage: error.message });
+          return null;
+        }
+      },
+
+      /**
+       * Authenticate with a NIP-07 Browser Extension
+       *
+       * Logs in through an extension such as Alby or nos2x that exposes
+       * window.nostr. The extension holds the private key and signs,
+       * encrypts and decrypts on request, so no nsec is pasted into or
+       * stored by this site.
+       *
+       * Authentication Flow:
+       * 1. Check that window.nostr exists
+       * 2. Ask the extension for the user's public key (it may prompt)
+       * 3. Attach the NIP-07 signer to the session
+       * 4. Remember the login method so the session survives reloads
+       *
+       * @returns {Object|null} The authenticated { user, signer } or null on error
+       */
+      loginWithExtension: async () => {
+        try {
+          if (typeof window === "undefined" || !window.nostr) {
+            throw new Error(
+              "No Nostr extension found. Install one (e.g. Alby or nos2x) and reload."
+            );
+          }
+
+          const signer = new NDKNip07Signer();
+          const user = await session.signIn(signer);
+
+          storage.setItem("local_npub", user.npub);
+          storage.removeItem("local_nsec");
+          storage.removeItem("local_ncryptsec");
+          storage.setItem("local_signer", "nip07");
+          storage.removeItem("local_bunker");
+          set({
+            nostrPubKey: user.npub,
+            nostrPrivKey: "",
+            loginMethod: "nip07",
+            errorMessage: null,
+            profile: null,
+          });
+          get().fetchProfile();
+
+          return { user, signer };
+        } catch (error) {
+          console.error("Error logging in with extension:", error);
+          set({ errorMessage: error.message });
+          return null;
+        }
+      },
+
+      /**
+       * Authenticate with a NIP-46 Remote Signer
+       *
+       * Pairs with a "bunker" (nsecBunker, Amber, nak bunker, ...) that
+       * keeps the private key and answers signing and encryption
+       * requests sent over Nostr relays.
+       *
+       * Authentication Flow:
+       * 1. Generate a local client key and send a "connect" request to
+       *    the bunker pubkey on the relays named in the URI
+       * 2. Open the bunker's approval page if it asks for one ("authUrl")
+       * 3. Ask the bunker for the user's public key
+       * 4. Store the session (not the user's key) so reloads reconnect
+       *    without pairing again
+       *
+       * @param {string} connection - bunker://<pubkey>?relay=wss://...&secret=...
+       *   or a NIP-05 address that publishes NIP-46 info
+       * @returns {Object|null} The authenticated { user, signer } or null on error
+       */
+      loginWithBunker: async (connection) => {
+        try {
+          // Pairs and stores "local_signer"/"local_bunker"
+          const user = await session.signInWithCredential(connection);
+          const signer = session.signer;
+
+          storage.setItem("local_npub", user.npub);
+          storage.removeItem("local_nsec");
+          storage.removeItem("local_ncryptsec");
+          set({
+            nostrPubKey: user.npub,
+            nostrPrivKey: "",
+            loginMethod: "nip46",
+            errorMessage: null,
+            profile: null,
+          });
+          get().fetchProfile();
+
+          return { user, signer };
+        } catch (error) {
+          console.error("Error connecting to remote signer:", error);
+          set({ errorMessage: error.message });
+          return null;
+        }
+      },
+
+      /**
+       * Unlock the Stored Key
+       *
+       * Decrypts the stored ncryptsec with the passphrase and attaches
+       * the signer. The decrypted nsec lives in memory until lock() or
+       * logout().
+       *
+       * A plain "local_nsec" left by earlier versions is encrypted with
+       * this passphrase on the way, so it is never stored unencrypted
+       * again.
+       *
+       * @param {string} passphrase - The passphrase the key was encrypted with
+       * @returns {Object|null} The unlocked { user, signer, nsec } or null on a wrong passphrase
+       */
+      unlock: async (passphrase) => {
+        try {
+          const ncryptsec = storage.getItem("local_ncryptsec");
+          const legacyNsec = storage.getItem("local_nsec");
+
+          let signer;
+          if (ncryptsec) {
+            signer = NDKPrivateKeySigner.fromNcryptsec(ncryptsec, passphrase);
+          } else if (legacyNsec) {
+            const { words: nsecWords } = bech32.decode(legacyNsec);
+            signer = new NDKPrivateKeySigner(
+              Buffer.from(bech32.fromWords(nsecWords)).toString("hex")
+            );
+            storeEncryptedKey(signer, passphrase);
+          } else {
+            throw new Error("No stored key to unlock");
+          }
+
+          const user = await session.signIn(signer);
+
+          const encodedNsec = hexToNsec(signer.privateKey);
+          set({
+            nostrPubKey: user.npub,
+            nostrPrivKey: encodedNsec,
+            errorMessage: null,
+          });
+
+          return { user, signer, nsec: encodedNsec };
+        } catch (error) {
+          console.error("Error unlocking key:", error);
+          set({
+            errorMessage: error.message.startsWith("Passphrase")
+              ? error.message
+              : "Wrong passphrase",
+          });
+          return null;
+        }
+      },
+
+      /**
+       * Lock
+       *
+       * Forgets the decrypted key and detaches the signer. The encrypted
+       * key stays stored, so unlock() with the passphrase resumes the
+       * session.
+       */
+      lock: () => {
+        if (get().loginMethod !== "nsec") return;
+        set({ nostrPrivKey: "" });
+        session.signOut();
+      },
+
+      /**
+       * Export the Encrypted Key (NIP-49)
+       *
+       * The ncryptsec string can be kept as a backup and imported on
+       * another device with auth(ncryptsec, passphrase). It is useless
+       * without the passphrase.
+       *
+       * @returns {string|null} ncryptsec1... or null if no key is stored
+       */
+      exportNcryptsec: () => storage.getItem("local_ncryptsec"),
+
+      /**
+       * Set the Idle Auto-Lock Delay
+       *
+       * @param {number} minutes - Minutes without activity before locking (0 = never)
+       */
+      setAutoLockMinutes: (minutes) => {
+        storage.setItem("auto_lock_minutes", String(minutes));
+        set({ autoLockMinutes: minutes });
+      },
+
+      /**
+       * Load Our Profile (Kind 0)
+       *
+       * Fetches the newest kind 0 event for the logged-in npub. The whole
+       * metadata object is kept, so publishProfile() can preserve fields
+       * this app doesn't edit.
+       *
+       * @returns {Object|null} The profile ({} if none is published) or
+       *   null on error
+       */
+      fetchProfile: async () => {
+        const { nostrPubKey } = get();
+        if (!nostrPubKey) return null;
+
+        try {
+          const ndkInstance = await session.connect();
+          const event = await ndkInstance.fetchEvent({
+            kinds: [0],
+            authors: [npubToHex(nostrPubKey)],
+          });
+
+          // Logged out or switched accounts while fetching
+          if (get().nostrPubKey !== nostrPubKey) return null;
+
+          const profile = event ? parseProfile(event.content) : {};
+          set({ profile });
+          return profile;
+        } catch (err) {
+          console.error("Error fetching profile:", err);
+          return null;
+        }
+      },
+
+      /**
+       * Publish Our Profile (Kind 0)
+       *
+       * Kind 0 is replaceable: relays keep only the newest one, so each
+       * publish carries the whole profile. The fields given here
+       * (name, picture, about, lud16) replace the loaded ones, an empty
+       * value removes the field, and everything else is kept. The name
+       * is written as both "name" and "display_name", which clients read
+       * interchangeably.
+       *
+       * @param {Object} fields - { name, picture, about, lud16 }
+       * @returns {Object|null} The published profile or null on error
+       */
+      publishProfile: async (fields) => {
+        const values = {};
+        PROFILE_FIELDS.forEach((key) => {
+          if (typeof fields[key] === "string") values[key] = fields[key].trim();
+        });
+
+        const problem = validateProfile(values);
+        if (problem) {
+          set({ errorMessage: problem });
+          return null;
+        }
+
+        try {
+          const signer = await get().ensureSigner();
+          if (!signer) {
+            throw new Error("Unlock your account to update your profile");
+          }
+
+          // Start from what is published so other fields survive
+          const current = get().profile ?? (await get().fetchProfile());
+          if (current === null) {
+            throw new Error("Could not load your current profile");
+          }
+
+          const metadata = { ...current };
+          Object.entries(values).forEach(([key, value]) => {
+            if (value) metadata[key] = value;
+            else delete metadata[key];
+          });
+          if ("name" in values) {
+            if (values.name) metadata.display_name = values.name;
+            else delete metadata.display_name;
+          }
+
+          const ndkInstance = await session.connect();
+          const event = new NDKEvent(ndkInstance, {
+            kind: 0,
+            content: JSON.stringify(metadata),
+          });
+          await event.sign(signer);
+          await event.publish();
+
+          set({ profile: metadata, errorMessage: null });
+          return metadata;
+        } catch (err) {
+          console.error("Error publishing profile:", err);
+          set({ errorMessage: err.message });
+          return null;
+        }
+      },
+
+      /**
+       * Ensure Signer is Available
+       *
+       * A utility function that guarantees a signer is ready for use.
+       * Used before any operation that requires signing (publishing
+       * events, sending payments, etc.).
+       *
+       * Resolution Strategy:
+       * 1. Return the session signer if one is attached
+       * 2. Reconnect the NIP-07 extension or NIP-46 bunker if the user
+       *    logged in with one
+       * 3. Use the unlocked nsec if no signer exists
+       * 4. Return null if no credentials are available (or the key is locked)
+       *
+       * @returns {NDKSigner|null} The signer instance or null
+       */
+      ensureSigner: async () => {
+        if (session.signer) return session.signer;
+
+        const method = storage.getItem("local_signer");
+        if (method === "nip07" || method === "nip46") {
+          try {
+            await session.signInWithCredential();
+            if (session.signer) return session.signer;
+          } catch (err) {
+            console.error("Failed to restore signer:", err);
+          }
+        }
+
+        // Use the unlocked nsec if available
+        const { nostrPrivKey } = get();
+        if (nostrPrivKey && nostrPrivKey.startsWith("nsec")) {
+          try {
+            await session.signInWithCredential(nostrPrivKey);
+            return session.signer;
+          } catch (err) {
+            console.error(
+              "Failed to initialize signer from unlocked nsec:",
+              err
+            );
+          }
+        }
+
+        return null;
+      },
+
+      /**
+       * Logout / Clear Session
+       *
+       * Completely clears the user's session by:
+       * 1. Removing all credentials from storage
+       * 2. Clearing the identity state
+       * 3. Signing out of the session (closing a bunker session)
+       *
+       * After logout, the user will need to either:
+       * - Generate new keys (new identity)
+       * - Authenticate with existing keys (login)
+       *
+       * Note: This does NOT delete the identity from the Nostr network -
+       * the keys still exist and can be used to log back in. Nostr
+       * identities are permanent unless the private key is lost.
+       */
+      logout: () => {
+        storage.removeItem("local_npub");
+        storage.removeItem("local_nsec");
+        storage.removeItem("local_ncryptsec");
+        storage.removeItem("local_signer");
+        storage.removeItem("local_bunker");
+        storage.removeItem("uniqueId");
+        set({
+          nostrPubKey: "",
+          nostrPrivKey: "",
+          loginMethod: null,
+          profile: null,
+        });
+        session.signOut();
+      },
+    };
+  });
+
+  return identity;
+}
@@ -0,0 +1,24 @@
+/**
+ * Wallet SDK
+ *
+ * The Nostr session, identity and NIP-60/NIP-61 wallet as plain
+ * JavaScript, with no React or browser-only dependencies. The app's
+ * hooks (../hooks) are thin adapters over these, and other apps - a
+ * Node service, a site without React - can use them directly.
+ *
+ * Modules import each other with file extensions so Node can load them
+ * without a bundler.
+ */
+
+export { createMemoryStorage, browserStorage } from "./storage.js";
+export { createStateStore } from "./store.js";
+export { createNostrSession, isBunkerConnection } from "./session.js";
+export { createIdentity, MIN_PASSPHRASE_LENGTH } from "./identity.js";
+export { createWallet } from "./wallet.js";
+export { isNip05Address } from "./contacts.js";
+export {
+  decodeRecipient,
+  decodeEventTarget,
+  decodeCashuToken,
+  normalizeMintUrl,
+} from "./helpers.js";
@@ -0,0 +1,1063 @@
+/**
+ * nutzap.js
+ *
+ * Nutzaps (NIP-61): ecash locked to a recipient's P2PK key and published
+ * as a kind 9321 event, optionally tagging the event it pays for.
+ *
+ * Incoming nutzaps are found and redeemed by ndk-wallet's
+ * NDKNutzapMonitor and listed in the inbox. Nutzaps from mints we don't
+ * trust are held or moved according to the untrusted mint policy.
+ *
+ * Outgoing nutzaps go to a mint the recipient lists in their kind 10019
+ * preferences and are published to their relays.
+ */
+
+import {
+  NDKPrivateKeySigner,
+  NDKEvent,
+  NDKNutzap,
+  NDKRelaySet,
+  NdkNutzapStatus,
+  getRelayListForUser,
+} from "@nostr-dev-kit/ndk";
+import { NDKNutzapMonitor } from "@nostr-dev-kit/ndk-wallet";
+import {
+  nostrPubkeyToCompressed,
+  findWalletKey,
+  normalizeMintUrl,
+  normalizeRelay,
+  selectSendMint,
+  decodeRecipient,
+  decodeEventTarget,
+  nutzapInboxStatus,
+  relayUrls,
+  replacedProofs,
+} from "./helpers.js";
+
+// Thrown back to the monitor for nutzaps the untrusted mint policy has
+// dealt with, so it neither marks them redeemed nor reports a failure
+const HELD_BY_POLICY = "Handled by the untrusted mint policy";
+
+/**
+ * Nutzap State and Actions
+ * @param {Function} set - Updates the wallet state
+ * @param {Function} get - Reads the wallet state and actions
+ * @param {Object} context - { session, storage, config } (see createWallet)
+ * @returns {Object} State and actions merged into the wallet
+ */
+export const createNutzapSlice = (set, get, { storage, config }) => ({
+  // ============================================================
+  // INCOMING NUTZAPS (NIP-61)
+  // ============================================================
+
+  /**
+   * Start Nutzap Monitor (Receive Incoming Payments)
+   *
+   * Monitors for incoming nutzaps (kind 9321) addressed to this user
+   * and automatically redeems them.
+   *
+   * The monitor:
+   * - Subscribes to kind 9321 events tagged with user's pubkey
+   * - Extracts P2PK-locked proofs from nutzap events
+   * - Redeems proofs locked to the wallet's P2PK key (from our kind 10019)
+   *   or to the user's Nostr key (senders that found no kind 10019)
+   * - Swaps locked proofs for fresh proofs at the mint
+   * - Updates wallet balance after redemption
+   *
+   * Every nutzap it sees, including ones redeemed in earlier sessions,
+   * is recorded in nutzapInbox with its redemption status.
+   *
+   * Nutzaps from mints outside our trusted list are not claimed there;
+   * see handleUntrustedNutzaps().
+   *
+   * @returns {NDKNutzapMonitor|null} The monitor instance or null on error
+   */
+  startNutzapMonitor: async () => {
+    const {
+      ndkInstance,
+      signer,
+      cashuWallet,
+      verifyAndUpdateBalance,
+      recordNutzap,
+      handleUntrustedNutzaps,
+      setError,
+    } = get();
+
+    if (!ndkInstance || !signer || !cashuWallet) {
+      return null;
+    }
+
+    // Prevent duplicate monitors
+    const { nutzapMonitor: existingMonitor } = get();
+    if (existingMonitor) {
+      return existingMonitor;
+    }
+
+    try {
+      const user = await signer.user();
+
+      const monitor = new NDKNutzapMonitor(ndkInstance, user, {});
+
+      // Every redemption (live or accumulated) goes through the wallet's
+      // redeemNutzaps(), so nutzaps from untrusted mints are routed to
+      // the policy before the swap
+      monitor.wallet = {
+        redeemNutzaps: (nutzaps, privkey, options) =>
+          get().mints.includes(normalizeMintUrl(options.mint))
+            ? cashuWallet.redeemNutzaps(nutzaps, privkey, options)
+            : handleUntrustedNutzaps(nutzaps, privkey, options),
+      };
+
+      // Wallet P2PK keys loaded from the kind 17375 wallet event
+      for (const walletSigner of cashuWallet.privkeys.values()) {
+        await monitor.addPrivkey(walletSigner);
+      }
+
+      // Nutzaps to users without a kind 10019 are locked to their Nostr
+      // key, which only a local key signer can redeem
+      if (signer instanceof NDKPrivateKeySigner) {
+        await monitor.addPrivkey(signer);
+      }
+
+      // ndk-wallet publishes a kind 7376 entry for each redemption, which
+      // reaches the history list through startHistorySync(). The rebalance
+      // is skipped while claimed nutzaps move off an unknown mint.
+      monitor.on("redeemed", async () => {
+        await verifyAndUpdateBalance();
+        await get().rebalanceMints();
+      });
+
+      monitor.on("seen", (nutzap) => recordNutzap(nutzap));
+
+      // Redemption errors the monitor may retry later; its state stays
+      // "processing", so the reason is only available here
+      monitor.on("failed", (nutzap, error) => {
+        if (error === HELD_BY_POLICY) return;
+        recordNutzap(nutzap, {
+          status: "failed",
+          error: error || "Redemption failed",
+          retryable: true,
+        });
+      });
+
+      // The event carries the previous status; read the new one
+      monitor.on("state_changed", (nutzapId) => {
+        const state = monitor.nutzapStates.get(nutzapId);
+        if (state?.nutzap) {
+          recordNutzap(state.nutzap, nutzapInboxStatus(state));
+        }
+      });
+
+      await monitor.start({});
+
+      set({ nutzapMonitor: monitor });
+
+      return monitor;
+    } catch (err) {
+      setError(`Could not start the nutzap monitor: ${err.message}`);
+      return null;
+    }
+  },
+
+  debugRedeemNutzap: async () => {
+    const { ndkInstance, signer, cashuWallet, verifyAndUpdateBalance } = get();
+
+    if (!ndkInstance || !signer || !cashuWallet) {
+      return;
+    }
+
+    const user = await signer.user();
+
+    const events = await ndkInstance.fetchEvents({
+      kinds: [9321],
+      "#p": [user.pubkey],
+      limit: 5,
+    });
+
+    for (const event of events) {
+      try {
+        const nutzap = await NDKNutzap.from(event);
+
+        if (!nutzap) {
+          continue;
+        }
+
+        const cashuWalletInstance = await cashuWallet.getCashuWallet(
+          nutzap.mint
+        );
+        const proofStates = await cashuWalletInstance.checkProofsStates(
+          nutzap.proofs
+        );
+
+        const hasUnspent = proofStates.some((s) => s.state === "UNSPENT");
+
+        if (!hasUnspent) {
+          continue;
+        }
+
+        const unspentProofs = nutzap.proofs.filter(
+          (_, i) => proofStates[i]?.state === "UNSPENT"
+        );
+
+        try {
+          // Redeem with the wallet key the proofs are locked to
+          const walletKey = findWalletKey(cashuWallet, nutzap.p2pk);
+          if (!walletKey) {
+            continue;
+          }
+
+          await cashuWallet.redeemNutzaps([nutzap], walletKey.privateKey, {
+            mint: nutzap.mint,
+            proofs: unspentProofs,
+            cashuWallet: cashuWalletInstance,
+          });
+
+          await verifyAndUpdateBalance();
+        } catch (redeemErr) {}
+      } catch (e) {}
+    }
+  },
+
+  /**
+   * Handle Nutzaps From a Mint We Don't Trust
+   *
+   * Anyone can send a nutzap from any mint, and claiming it means
+   * holding ecash that mint issued. Following untrustedMintPolicy:
+   *
+   * - maxAmount caps the sats held or claimed from one unknown mint in
+   *   total; nutzaps that would go over it are declined
+   * - "ask": Held as "untrusted" until the user trusts the mint
+   *   (trustNutzapMint) or adds it to the mint list and retries
+   * - "move": Claimed at the unknown mint, then moved to our first
+   *   trusted mint with transferBetweenMints(), so nothing stays there.
+   *   rebalanceMints() waits until the move is done.
+   *
+   * The monitor calls this in place of the wallet's redeemNutzaps(). The
+   * outcome is recorded in the inbox here, and HELD_BY_POLICY is thrown
+   * back so the monitor leaves the nutzaps alone. Held nutzaps are
+   * offered again on the next start.
+   *
+   * @param {NDKNutzap[]} nutzaps - Nutzaps locked to the same key
+   * @param {string} privkey - Private key their proofs are locked to
+   * @param {Object} options - { mint, proofs, cashuWallet } from the monitor
+   */
+  handleUntrustedNutzaps: async (nutzaps, privkey, options) => {
+    const {
+      cashuWallet,
+      mints,
+      nutzapInbox,
+      untrustedMintPolicy,
+      recordNutzap,
+      transferBetweenMints,
+      verifyAndUpdateBalance,
+    } = get();
+    const { mode, maxAmount } = untrustedMintPolicy;
+    const mint = normalizeMintUrl(options.mint);
+    const ids = new Set(nutzaps.map((nutzap) => nutzap.id));
+
+    let total = nutzapInbox
+      .filter(
+        (entry) =>
+          entry.unknownMint &&
+          !ids.has(entry.id) &&
+          normalizeMintUrl(entry.mint) === mint &&
+          (entry.status === "untrusted" || entry.status === "redeemed")
+      )
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    const accepted = [];
+    for (const nutzap of nutzaps) {
+      if (total + nutzap.amount > maxAmount) {
+        recordNutzap(nutzap, {
+          status: "declined",
+          error: `Over the ${maxAmount} sat limit for ${mint}`,
+          retryable: false,
+          unknownMint: true,
+        });
+        continue;
+      }
+
+      total += nutzap.amount;
+      if (mode === "move") {
+        accepted.push(nutzap);
+      } else {
+        recordNutzap(nutzap, {
+          status: "untrusted",
+          error: null,
+          retryable: false,
+          unknownMint: true,
+        });
+      }
+    }
+    if (accepted.length === 0 || !cashuWallet) {
+      throw new Error(HELD_BY_POLICY);
+    }
+
+    set({ isMovingNutzaps: true });
+    try {
+      const secrets = new Set(
+        accepted.flatMap((nutzap) => nutzap.proofs.map((p) => p.secret))
+      );
+      try {
+        await cashuWallet.redeemNutzaps(accepted, privkey, {
+          ...options,
+          proofs: options.proofs.filter((p) => secrets.has(p.secret)),
+        });
+      } catch (e) {
+        accepted.forEach((nutzap) =>
+          recordNutzap(nutzap, {
+            status: "failed",
+            error: e.message || "Redemption failed",
+            retryable: true,
+            unknownMint: true,
+          })
+        );
+        throw new Error(HELD_BY_POLICY);
+      }
+      accepted.forEach((nutzap) =>
+        recordNutzap(nutzap, {
+          status: "redeemed",
+          error: null,
+          retryable: false,
+          unknownMint: true,
+        })
+      );
+      await verifyAndUpdateBalance();
+
+      // A transfer started before the nutzaps arrived has to finish first
+      while (get().isTransferring) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+
+      const homeMint = mints[0];
+      const moved = await transferBetweenMints(options.mint, homeMint);
+      const update = moved
+        ? { unknownMint: true, movedTo: homeMint }
+        : {
+            unknownMint: true,
+            error: `Claimed, but could not move to ${homeMint}: ${
+              get().errorMessage
+            }`,
+          };
+      accepted.forEach((nutzap) => recordNutzap(nutzap, update));
+    } finally {
+      set({ isMovingNutzaps: false });
+    }
+
+    await get().rebalanceMints();
+    throw new Error(HELD_BY_POLICY);
+  },
+
+  /**
+   * Trust a Nutzap's Mint and Claim It
+   *
+   * Adds the mint to the trusted list, then redeems every nutzap that was
+   * held (or declined) because it came from that mint.
+   *
+   * @param {string} nutzapId - Event id of one of the held nutzaps
+   * @returns {boolean} True if the mint was added
+   */
+  trustNutzapMint: async (nutzapId) => {
+    const { nutzapInbox, mints, addMint, retryNutzap } = get();
+    const entry = nutzapInbox.find((item) => item.id === nutzapId);
+    if (!entry) return false;
+
+    const mint = normalizeMintUrl(entry.mint);
+    if (!mints.includes(mint) && !(await addMint(mint))) return false;
+
+    const held = get().nutzapInbox.filter(
+      (item) =>
+        normalizeMintUrl(item.mint) === mint &&
+        (item.status === "untrusted" || item.status === "declined")
+    );
+    for (const item of held) {
+      await retryNutzap(item.id);
+    }
+    return true;
+  },
+
+  /**
+   * Set the Untrusted Mint Policy
+   *
+   * Saved in the wallet's storage (per browser in the app). Nutzaps
+   * already held are not re-evaluated until the next monitor start.
+   *
+   * @param {Object} update - { mode: "ask" | "move", maxAmount } (either)
+   */
+  setUntrustedMintPolicy: (update) => {
+    const untrustedMintPolicy = { ...get().untrustedMintPolicy, ...update };
+    storage.setItem(
+      "untrusted_mint_policy",
+      JSON.stringify(untrustedMintPolicy)
+    );
+    set({ untrustedMintPolicy });
+  },
+
+  /**
+   * Record an Incoming Nutzap in the Inbox
+   *
+   * Adds the nutzap the first time it is seen (and starts loading the
+   * sender's profile), then merges status updates into the same entry.
+   *
+   * @param {NDKNutzap} nutzap - The kind 9321 event
+   * @param {Object} update - Fields to set, e.g. { status, error, retryable }
+   */
+  recordNutzap: (nutzap, update = {}) => {
+    const { nutzapInbox, fetchProfile } = get();
+    const existing = nutzapInbox.find((entry) => entry.id === nutzap.id);
+
+    const entry = {
+      id: nutzap.id,
+      sender: nutzap.pubkey,
+      amount: nutzap.amount,
+      unit: nutzap.unit,
+      comment: nutzap.comment || "",
+      mint: nutzap.mint,
+      createdAt: nutzap.created_at,
+      status: "seen",
+      error: null,
+      retryable: false,
+      unknownMint: false,
+      ...existing,
+      ...update,
+    };
+
+    set({
+      nutzapInbox: [
+        entry,
+        ...nutzapInbox.filter((item) => item.id !== nutzap.id),
+      ].sort((a, b) => b.createdAt - a.createdAt),
+    });
+
+    if (!existing) fetchProfile(nutzap.pubkey);
+  },
+
+  /**
+   * Retry Redeeming a Failed Nutzap
+   *
+   * Hands the nutzap back to the monitor, which swaps its proofs again.
+   * The result arrives through the monitor's events like any other
+   * redemption, and the balance is refreshed by its "redeemed" handler.
+   *
+   * @param {string} nutzapId - Event id of the nutzap
+   * @returns {boolean} True if the retry was started
+   */
+  retryNutzap: async (nutzapId) => {
+    const { nutzapMonitor, recordNutzap } = get();
+    const nutzap = nutzapMonitor?.nutzapStates.get(nutzapId)?.nutzap;
+
+    if (!nutzap) {
+      set({ errorMessage: "Nutzap monitor is not running" });
+      return false;
+    }
+
+    recordNutzap(nutzap, { status: "processing", error: null });
+    try {
+      const state = await nutzapMonitor.redeemNutzap(nutzap);
+      // The monitor stays silent when a retry ends in the same state.
+      // Nutzaps it never got to (still initial) were handled elsewhere,
+      // e.g. held by handleUntrustedNutzaps()
+      const settled =
+        state?.status !== NdkNutzapStatus.INITIAL &&
+        state?.status !== NdkNutzapStatus.PROCESSING;
+      if (state && settled) {
+        recordNutzap(nutzap, nutzapInboxStatus(state));
+      }
+    } catch (e) {
+      recordNutzap(nutzap, {
+        status: "failed",
+        error: e.message || "Redemption failed",
+        retryable: true,
+      });
+    }
+    return true;
+  },
+
+  /**
+   * Load a User's Profile (Kind 0)
+   *
+   * Cached per pubkey in `profiles`, so each sender is fetched once.
+   * Users without a profile are stored with empty fields.
+   *
+   * @param {string} pubkey - Hex pubkey
+   * @returns {Object|null} { name, picture, nip05 } or null if unavailable
+   */
+  fetchProfile: async (pubkey) => {
+    const { ndkInstance, profiles } = get();
+    if (!ndkInstance || !pubkey) return null;
+    if (pubkey in profiles) return profiles[pubkey];
+
+    set({ profiles: { ...get().profiles, [pubkey]: null } });
+
+    let profile = null;
+    try {
+      const metadata = await ndkInstance.getUser({ pubkey }).fetchProfile();
+      profile = {
+        name: metadata?.displayName || metadata?.name || null,
+        picture: metadata?.image || metadata?.picture || null,
+        nip05: metadata?.nip05 || null,
+      };
+    } catch {
+      profile = { name: null, picture: null, nip05: null };
+    }
+
+    set({ profiles: { ...get().profiles, [pubkey]: profile } });
+    return profile;
+  },
+
+  /**
+   * Stop Nutzap Monitor
+   *
+   * Stops monitoring for incoming nutzaps. Call when logging out
+   * or when the wallet is no longer needed.
+   */
+  stopNutzapMonitor: () => {
+    const { nutzapMonitor } = get();
+
+    if (nutzapMonitor) {
+      nutzapMonitor.stop();
+      set({ nutzapMonitor: null });
+    }
+  },
+
+  // ============================================================
+  // OUTGOING NUTZAPS (NIP-61)
+  // ============================================================
+
+  /**
+   * Fetch Recipient's Payment Preferences (NIP-61)
+   *
+   * Retrieves a user's preferred payment configuration from their
+   * kind 10019 event (NIP-61 Nutzap Preferences).
+   *
+   * NIP-61 Kind 10019 Event Structure:
+   * - "mint" tags: Mints the user accepts payments from
+   * - "relay" tags: Relays to publish nutzaps to
+   * - "pubkey" tag: Public key for P2PK locking (optional)
+   *
+   * Why this matters:
+   * - Users may only trust certain mints
+   * - P2PK locking ensures only the recipient can claim funds
+   * - Publishing to recipient's relays ensures they see the payment
+   *
+   * Fallback Behavior:
+   * If no preferences are found, uses:
+   * - Default mint for ecash tokens
+   * - Recipient's npub as P2PK pubkey
+   * - Empty relay list (uses sender's default relays)
+   *
+   * @param {string} recipientNpub - Recipient's npub, nprofile or hex pubkey
+   * @returns {Object} { mints, p2pkPubkey, relays }
+   */
+  fetchUserPaymentInfo: async (recipientNpub) => {
+    const { ndkInstance } = get();
+
+    if (!ndkInstance) {
+      return { mints: [config.mint], p2pkPubkey: null, relays: [] };
+    }
+
+    const hexNpub = decodeRecipient(recipientNpub)?.pubkey;
+    if (!hexNpub) {
+      return { mints: [config.mint], p2pkPubkey: null, relays: [] };
+    }
+
+    try {
+      const filter = {
+        kinds: [10019],
+        authors: [hexNpub],
+        limit: 1,
+      };
+
+      // Look on our relays, the recipient's nprofile hints and the
+      // relays they write to (NIP-65 outbox)
+      const outboxRelays = await getRelayListForUser(hexNpub, ndkInstance)
+        .then((relayList) => relayList?.writeRelayUrls || [])
+        .catch(() => []);
+      const lookupRelays = [
+        ...relayUrls(get().relays, "read"),
+        ...(decodeRecipient(recipientNpub)?.relays || []),
+        ...outboxRelays,
+      ]
+        .map(normalizeRelay)
+        .filter(Boolean);
+
+      const events = await ndkInstance.fetchEvents(
+        filter,
+        {},
+        NDKRelaySet.fromRelayUrls([...new Set(lookupRelays)], ndkInstance)
+      );
+      const eventsArray = Array.from(events);
+
+      if (eventsArray.length === 0) {
+        return { mints: [config.mint], p2pkPubkey: hexNpub, relays: [] };
+      }
+
+      const userEvent = eventsArray[0];
+      let mints = [];
+      let relays = [];
+      let p2pkPubkey = null;
+
+      // Parse NIP-61 tags from the event
+      for (const tag of userEvent.tags) {
+        const [t, v1] = tag;
+        if (t === "mint" && v1) mints.push(v1);
+        else if (t === "relay" && v1) relays.push(v1);
+        else if (t === "pubkey" && v1) p2pkPubkey = v1;
+      }
+
+      if (mints.length === 0) mints = [config.mint];
+      if (!p2pkPubkey) p2pkPubkey = hexNpub;
+
+      return { mints, p2pkPubkey, relays };
+    } catch (e) {
+      return { mints: [config.mint], p2pkPubkey: hexNpub, relays: [] };
+    }
+  },
+
+  /**
+   * Send Satoshis via Nutzap (NIP-61)
+   *
+   * Sends ecash to another Nostr user by publishing a nutzap event.
+   * The recipient, amount and an optional comment are chosen by the caller.
+   *
+   * === NUTZAP FLOW ===
+   *
+   * 1. PREPARATION:
+   *    - Validate the amount against the verified balance
+   *    - Fetch recipient's payment preferences (kind 10019)
+   *    - Refresh wallet state to get latest proofs
+   *    - Pick one of our mints the recipient accepts that can cover the amount
+   *    - Verify proofs are unspent at the mint
+   *
+   * 2. PROOF SPLITTING:
+   *    The cashuWallet.send() operation "splits" proofs:
+   *    - Input: Your proofs (e.g., one 10-sat proof)
+   *    - Output: "send" proofs (e.g. 3 sats for recipient) + "keep" proofs (7 sat change)
+   *
+   *    The mint performs this atomically:
+   *    - Marks original proofs as spent
+   *    - Issues new proofs for send and keep amounts
+   *    - P2PK locking applied to send proofs
+   *
+   * 3. P2PK LOCKING:
+   *    Send proofs are locked to the recipient's public key.
+   *    Only someone with the corresponding private key can redeem them.
+   *    This prevents anyone else from claiming the funds.
+   *
+   * 4. NUTZAP PUBLICATION (Kind 9321):
+   *    Event published to Nostr containing:
+   *    - content: The optional comment for the recipient
+   *    - "proof" tags: JSON-serialized locked proofs
+   *    - "amount" tag: Total amount being sent
+   *    - "unit" tag: Currency unit (sat)
+   *    - "u" tag: Mint URL where proofs are redeemable
+   *    - "p" tag: Recipient's hex pubkey
+   *    - "e"/"a" and "k" tags: The event being paid for, if any (see
+   *      sendNutzap)
+   *    It goes to our write relays plus the relays in the recipient's
+   *    kind 10019, and the outcome for each relay is returned.
+   *
+   * 5. STATE UPDATE:
+   *    - Store change proofs (keep)
+   *    - Destroy original proofs (prevent double-spend attempts)
+   *    - Sync state to relays
+   *    - Record an outgoing kind 7376 history entry
+   *
+   * === ERROR HANDLING ===
+   *
+   * "Already spent" errors trigger automatic retry because:
+   * - Proofs might have been spent from another device
+   * - State might be stale from relay sync delays
+   * - Refreshing wallet state often resolves the issue
+   *
+   * @param {string} recipientNpub - Recipient's npub, nprofile or hex pubkey (default: project donation address)
+   * @param {number} amount - Whole number of sats to send (default: 1)
+   * @param {string} comment - Optional comment published as the nutzap content
+   * @param {Object} options - Optional { tags } added to the nutzap event,
+   *   and retryCount (internal retry counter, do not set manually)
+   * @returns {Object|boolean} { relayResults: [{ url, ok, error }] } if the nutzap
+   *   was sent, false otherwise
+   */
+  send: async (
+    recipientNpub = config.receiver,
+    amount = 1,
+    comment = "",
+    options = {}
+  ) => {
+    const { tags = [], retryCount = 0 } = options;
+    const {
+      cashuWallet,
+      ndkInstance,
+      signer,
+      fetchUserPaymentInfo,
+      setError,
+      walletBalance,
+      verifyAndUpdateBalance,
+      initWallet,
+      recordTransaction,
+      relays,
+    } = get();
+
+    const MAX_RETRIES = 2;
+
+    if (!cashuWallet) {
+      return false;
+    }
+
+    const recipient = decodeRecipient(recipientNpub);
+    if (!recipient) {
+      setError("Invalid recipient: expected an npub or nprofile");
+      return false;
+    }
+
+    if (!Number.isInteger(amount) || amount < 1) {
+      setError("Amount must be a whole number of sats greater than zero");
+      return false;
+    }
+
+    if (walletBalance < amount) {
+      setError(`Insufficient balance: ${walletBalance} sats available`);
+      return false;
+    }
+
+    // Refresh wallet state to get latest proofs from relays
+    await initWallet();
+
+    const freshWallet = get().cashuWallet;
+
+    if (!freshWallet) {
+      return false;
+    }
+
+    try {
+      const unit = "sat";
+
+      // Get recipient's P2PK pubkey for locking proofs and their accepted mints
+      const {
+        p2pkPubkey,
+        mints: recipientMints,
+        relays: recipientRelays,
+      } = await fetchUserPaymentInfo(recipientNpub);
+      const compressedPubkey = nostrPubkeyToCompressed(p2pkPubkey);
+
+      const sendMint = selectSendMint(
+        get().mintBalances,
+        recipientMints,
+        amount
+      );
+      if (!sendMint) {
+        throw new Error(
+          `None of your mints accepted by the recipient holds ${amount} sats`
+        );
+      }
+
+      const cashuWalletInstance = await freshWallet.getCashuWallet(sendMint);
+
+      // Get proofs from wallet state
+      let proofs = freshWallet.state?.getProofs({ mint: sendMint }) || [];
+      if (proofs.length === 0) {
+        throw new Error("No proofs available");
+      }
+
+      // CRITICAL: Verify proof states with mint before spending
+      // Local state might be stale if proofs were spent elsewhere
+      const proofStates = await cashuWalletInstance.checkProofsStates(proofs);
+
+      // Filter to only unspent proofs
+      const validProofs = proofs.filter((proof, index) => {
+        const state = proofStates[index];
+        return state?.state === "UNSPENT";
+      });
+
+      if (validProofs.length === 0) {
+        throw new Error("No valid proofs available");
+      }
+
+      // Check if we have enough balance with valid proofs
+      const validBalance = validProofs.reduce((sum, p) => sum + p.amount, 0);
+      if (validBalance < amount) {
+        throw new Error(`Insufficient valid balance: ${validBalance}`);
+      }
+
+      const recipientHex = recipient.pubkey;
+
+      // Split proofs: creates send proofs (locked) and keep proofs (change)
+      // P2PK locking is applied via the pubkey option
+      const { keep, send } = await cashuWalletInstance.send(
+        amount,
+        validProofs,
+        {
+          pubkey: compressedPubkey,
+        }
+      );
+
+      // Update wallet state: store change, destroy originals
+      // Spent proofs go too (stale state); pending ones may still settle
+      const stateUpdate = await freshWallet.state.update({
+        store: keep,
+        destroy: replacedProofs(proofs, proofStates),
+        mint: sendMint,
+      });
+
+      // Build nutzap event (kind 9321) with P2PK-locked proofs
+      const proofTags = send.map((proof) => ["proof", JSON.stringify(proof)]);
+
+      const nutzapEvent = new NDKEvent(ndkInstance, {
+        kind: 9321,
+        content: comment || "",
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ...proofTags,
+          ["amount", amount.toString()],
+          ["unit", unit],
+          ["u", sendMint],
+          ["p", recipientHex],
+          ...tags,
+        ],
+      });
+
+      // Sign and publish the nutzap to our write relays and the relays
+      // the recipient reads nutzaps from
+      await nutzapEvent.sign(signer);
+
+      const targetRelays = [
+        ...new Set(
+          [...relayUrls(relays, "write"), ...recipientRelays]
+            .map(normalizeRelay)
+            .filter(Boolean)
+        ),
+      ];
+      let publishedTo = new Set();
+      let relayErrors = new Map();
+      try {
+        publishedTo = await nutzapEvent.publish(
+          NDKRelaySet.fromRelayUrls(targetRelays, ndkInstance)
+        );
+      } catch (publishError) {
+        // The proofs are already spent into the nutzap, so a failed
+        // publish is reported rather than retried as a new send
+        publishedTo = publishError.publishedToRelays || new Set();
+        relayErrors = publishError.errors || new Map();
+      }
+
+      const relayResults = targetRelays.map((url) => {
+        const error = [...relayErrors].find(
+          ([relay]) => relay.url === url
+        )?.[1];
+        return {
+          url,
+          ok: [...publishedTo].some((relay) => relay.url === url),
+          error: error?.message || null,
+        };
+      });
+      if (!relayResults.some((result) => result.ok)) {
+        setError("The nutzap was not accepted by any relay");
+      }
+
+      await recordTransaction({
+        direction: "out",
+        amount,
+        mint: sendMint,
+        counterparty: recipientHex,
+        description: comment || "Nutzap",
+        stateUpdate,
+      });
+      await get().rememberRecipient(recipientHex);
+
+      // Update displayed balance
+      await verifyAndUpdateBalance();
+
+      return { relayResults };
+    } catch (e) {
+      // Retry on spent proof errors (likely stale state)
+      const isSpentError =
+        e.message?.toLowerCase().includes("already spent") ||
+        e.message?.toLowerCase().includes("no valid proofs") ||
+        e.message?.toLowerCase().includes("insufficient valid");
+
+      if (isSpentError && retryCount < MAX_RETRIES) {
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        return get().send(recipientNpub, amount, comment, {
+          ...options,
+          retryCount: retryCount + 1,
+        });
+      }
+
+      setError(e.message);
+      await verifyAndUpdateBalance();
+
+      return false;
+    }
+  },
+
+  /**
+   * Look Up the Event a Nutzap Is For
+   *
+   * Decodes the reference (see decodeEventTarget) and fetches the event
+   * from its relay hints and our relays, to learn who wrote it and which
+   * relay it lives on. An nevent/naddr that names its author can still
+   * be paid when the event itself can't be found.
+   *
+   * @param {string} target - Event id, note1, nevent1, naddr1 or "kind:pubkey:d"
+   * @returns {Object|null} { id, address, author, kind, relayHint, event }
+   *   or null if the target is invalid or its author is unknown
+   */
+  resolveNutzapTarget: async (target) => {
+    const { ndkInstance, setError } = get();
+
+    const decoded = decodeEventTarget(target);
+    if (!decoded) {
+      setError("Invalid event: expected a note, nevent or naddr");
+      return null;
+    }
+
+    let event = null;
+    if (ndkInstance) {
+      const [kind, author, ...identifier] = decoded.address?.split(":") || [];
+      const filter = decoded.address
+        ? {
+            kinds: [Number(kind)],
+            authors: [author],
+            "#d": [identifier.join(":")],
+          }
+        : { ids: [decoded.id] };
+      const hints = decoded.relays.map(normalizeRelay).filter(Boolean);
+
+      try {
+        event = await ndkInstance.fetchEvent(
+          filter,
+          undefined,
+          hints.length > 0
+            ? NDKRelaySet.fromRelayUrls(
+                [...new Set([...hints, ...relayUrls(get().relays, "read")])],
+                ndkInstance
+              )
+            : undefined
+        );
+      } catch {
+        event = null;
+      }
+    }
+
+    const author = event?.pubkey || decoded.author;
+    if (!author) {
+      setError("Could not find the event or its author");
+      return null;
+    }
+
+    return {
+      id: event?.id || decoded.id,
+      address: decoded.address,
+      author,
+      kind: event?.kind ?? decoded.kind,
+      relayHint: decoded.relays[0] || event?.relay?.url || "",
+      event,
+    };
+  },
+
+  /**
+   * Send a Nutzap for an Event (NIP-61)
+   *
+   * Pays the author of a note, answer or post, and tags the nutzap with
+   * the event so it can be counted towards it (see getEventNutzaps):
+   * - ["e", id, relayHint]: The event (or the version that was seen)
+   * - ["a", address, relayHint]: Addressable events, by address
+   * - ["k", kind]: The event's kind, when known
+   *
+   * Everything else works like send().
+   *
+   * @param {string} target - Event id, note1, nevent1, naddr1 or "kind:pubkey:d"
+   * @param {number} amount - Whole number of sats to send
+   * @param {string} comment - Optional comment published as the nutzap content
+   * @returns {Object|boolean} Same as send()
+   */
+  sendNutzap: async (target, amount = 1, comment = "") => {
+    const { resolveNutzapTarget, send } = get();
+
+    const resolved = await resolveNutzapTarget(target);
+    if (!resolved) return false;
+
+    const { id, address, author, kind, relayHint } = resolved;
+    const tags = [];
+    if (id) tags.push(["e", id, relayHint]);
+    if (address) tags.push(["a", address, relayHint]);
+    if (kind !== null && kind !== undefined) tags.push(["k", String(kind)]);
+
+    return send(author, amount, comment, { tags });
+  },
+
+  /**
+   * Total the Nutzaps an Event Received
+   *
+   * Fetches every kind 9321 event tagging the target ("e" for its id,
+   * "a" for its address) and adds up their proofs, e.g. to show "this
+   * answer earned 42 sats". Amounts are what the nutzaps claim to hold;
+   * the proofs are not checked with their mints.
+   *
+   * @param {string} target - Event id, note1, nevent1, naddr1 or "kind:pubkey:d"
+   * @returns {Object|null} { total, count, zappers: [{ pubkey, amount, count }]
+   *   (largest first), nutzaps: [{ id, sender, amount, comment, mint, createdAt }]
+   *   (newest first) } or null on error
+   */
+  getEventNutzaps: async (target) => {
+    const { ndkInstance, setError } = get();
+
+    if (!ndkInstance) {
+      setError("Not connected to Nostr");
+      return null;
+    }
+
+    const decoded = decodeEventTarget(target);
+    if (!decoded) {
+      setError("Invalid event: expected a note, nevent or naddr");
+      return null;
+    }
+
+    const filters = [];
+    if (decoded.id) filters.push({ kinds: [9321], "#e": [decoded.id] });
+    if (decoded.address) {
+      filters.push({ kinds: [9321], "#a": [decoded.address] });
+    }
+
+    try {
+      const events = await ndkInstance.fetchEvents(filters);
+
+      const nutzaps = [];
+      for (const event of events) {
+        const nutzap = await NDKNutzap.from(event);
+        if (!nutzap || nutzap.unit !== "sat") continue;
+        nutzaps.push({
+          id: nutzap.id,
+          sender: nutzap.pubkey,
+          amount: nutzap.amount,
+          comment: nutzap.comment || "",
+          mint: nutzap.mint,
+          createdAt: nutzap.created_at,
+        });
+      }
+      nutzaps.sort((a, b) => b.createdAt - a.createdAt);
+
+      const bySender = new Map();
+      for (const { sender, amount } of nutzaps) {
+        const zapper = bySender.get(sender) || {
+          pubkey: sender,
+          amount: 0,
+          count: 0,
+        };
+        zapper.amount += amount;
+        zapper.count += 1;
+        bySender.set(sender, zapper);
+      }
+
+      return {
+        total: nutzaps.reduce((sum, n) => sum + n.amount, 0),
+        count: nutzaps.length,
+        zappers: [...bySender.values()].sort((a, b) => b.amount - a.amount),
+        nutzaps,
+      };
+    } catch (e) {
+      setError(e.message || "Could not load nutzaps");
+      return null;
+    }
+  },
+});
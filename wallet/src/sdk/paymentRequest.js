@@ -0,0 +1,589 @@
+/**
+ * paymentRequest.js
+ *
+ * Payment requests (NUT-18). Instead of pushing sats to someone, the
+ * receiver shares what they want paid - amount, unit, accepted mints and
+ * how to deliver the proofs - as a "creqA..." string or QR code, and the
+ * payer's wallet sends proofs to match.
+ *
+ * Requests we create use the Nostr transport: the payer sends a
+ * PaymentRequestPayload ({ id, memo, mint, unit, proofs }) to our pubkey
+ * as a NIP-17 direct message (a kind 14 rumor, sealed and gift wrapped
+ * in a kind 1059 event) on the relays named in the request. The payload
+ * carries the request id, so each payment is matched back to its
+ * request. Our requests are kept in the wallet's storage, per user.
+ *
+ * Paying a request supports the Nostr (NIP-17) and HTTP POST transports.
+ * A request without a transport is paid in band: a token is returned
+ * for the payer to hand over.
+ */
+
+import {
+  NDKEvent,
+  NDKRelaySet,
+  giftUnwrap,
+  giftWrap,
+} from "@nostr-dev-kit/ndk";
+import {
+  PaymentRequest,
+  PaymentRequestTransportType,
+  decodePaymentRequest,
+  getEncodedTokenV4,
+} from "@cashu/cashu-ts";
+import { Buffer } from "buffer";
+import {
+  decodeRecipient,
+  encodeProfile,
+  normalizeMintUrl,
+  normalizeRelay,
+  relayUrls,
+  replacedProofs,
+  selectSendMint,
+} from "./helpers.js";
+
+/**
+ * How far back NIP-59 gift wraps may be dated (s). Wrap timestamps are
+ * randomized into the past so they don't reveal when a message was sent.
+ */
+const GIFT_WRAP_BACKDATE = 2 * 24 * 60 * 60;
+
+/**
+ * Storage key for a user's payment requests
+ * @param {string} pubkey - Hex pubkey of the receiver
+ * @returns {string} The key
+ */
+const storageKey = (pubkey) => `payment_requests:${pubkey}`;
+
+/**
+ * Load a User's Payment Requests
+ * @param {Object} storage - See ./storage.js
+ * @param {string} pubkey - Hex pubkey of the receiver
+ * @returns {Array} Stored requests, newest first
+ */
+function loadPaymentRequests(storage, pubkey) {
+  try {
+    return JSON.parse(storage.getItem(storageKey(pubkey))) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Check Whether a Request Still Takes Payments
+ *
+ * Single-use requests close after their first payment; others stay
+ * open until they are forgotten.
+ *
+ * @param {Object} request - Entry from paymentRequests
+ * @returns {boolean} True if payments are still accepted
+ */
+export function isPaymentRequestOpen(request) {
+  return !(request.singleUse && request.payments.length > 0);
+}
+
+/**
+ * Decode a Payment Request String
+ * @param {string} encoded - creqA... string, optionally with a "cashu:" prefix
+ * @returns {PaymentRequest|null} The request or null if invalid
+ */
+function decodeRequest(encoded) {
+  try {
+    return decodePaymentRequest((encoded || "").trim().replace(/^cashu:/i, ""));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick How to Deliver a Payment
+ *
+ * Nostr transports are only usable with NIP-17 messaging ("n" tag "17").
+ *
+ * @param {PaymentRequest} request - Decoded request
+ * @returns {Object|null} The transport { type, target, tags } to use, or
+ *   null if none is supported
+ */
+function pickTransport(request) {
+  const transports = request.transport || [];
+  return (
+    transports.find(
+      (t) =>
+        t.type === PaymentRequestTransportType.NOSTR &&
+        t.tags?.some(([key, value]) => key === "n" && value === "17")
+    ) ||
+    transports.find((t) => t.type === PaymentRequestTransportType.POST) ||
+    null
+  );
+}
+
+/**
+ * Payment Request State and Actions
+ * @param {Function} set - Updates the wallet state
+ * @param {Function} get - Reads the wallet state and actions
+ * @param {Object} context - { storage } (see createWallet)
+ * @returns {Object} State and actions merged into the wallet
+ */
+export const createPaymentRequestSlice = (set, get, { storage }) => ({
+  /**
+   * Store the Payment Requests
+   * @param {Array} paymentRequests - The full list, newest first
+   */
+  savePaymentRequests: async (paymentRequests) => {
+    const { signer } = get();
+    set({ paymentRequests });
+    if (!signer) return;
+
+    const user = await signer.user();
+    storage.setItem(storageKey(user.pubkey), JSON.stringify(paymentRequests));
+  },
+
+  /**
+   * Create a Payment Request (NUT-18)
+   *
+   * The request names our pubkey and read relays (as an nprofile) for
+   * NIP-17 delivery, and starts listening for payments to it.
+   *
+   * @param {Object} options
+   * @param {number|null} options.amount - Sats requested (null lets the
+   *   payer choose)
+   * @param {string} options.description - Shown to the payer
+   * @param {string[]} options.mints - Mints we accept (default: our mints)
+   * @param {boolean} options.singleUse - Close after one payment (default: true)
+   * @returns {Object|null} { id, encoded, amount, unit, mints, description,
+   *   singleUse, createdAt, payments } or null on error
+   */
+  createPaymentRequest: async ({
+    amount = null,
+    description = "",
+    mints = null,
+    singleUse = true,
+  } = {}) => {
+    const {
+      ndkInstance,
+      signer,
+      relays,
+      paymentRequests,
+      paymentRequestSubscription,
+      savePaymentRequests,
+      startPaymentRequestListener,
+      setError,
+    } = get();
+
+    if (!ndkInstance || !signer) {
+      setError("Not connected to Nostr");
+      return null;
+    }
+
+    if (amount !== null && (!Number.isInteger(amount) || amount < 1)) {
+      setError("Amount must be a whole number of sats greater than zero");
+      return null;
+    }
+
+    const user = await signer.user();
+    const acceptedMints = (mints || get().mints).map(normalizeMintUrl);
+    const id = Buffer.from(crypto.getRandomValues(new Uint8Array(4))).toString(
+      "hex"
+    );
+
+    const request = new PaymentRequest(
+      [
+        {
+          type: PaymentRequestTransportType.NOSTR,
+          target: encodeProfile(user.pubkey, relayUrls(relays, "read")),
+          tags: [["n", "17"]],
+        },
+      ],
+      id,
+      amount || undefined,
+      "sat",
+      acceptedMints,
+      description || undefined,
+      singleUse
+    );
+
+    const entry = {
+      id,
+      encoded: request.toEncodedRequest(),
+      amount,
+      unit: "sat",
+      mints: acceptedMints,
+      description,
+      singleUse,
+      createdAt: Math.floor(Date.now() / 1000),
+      payments: [], // { eventId, amount, mint, sender, memo, receivedAt }
+    };
+
+    await savePaymentRequests([entry, ...paymentRequests]);
+    if (!paymentRequestSubscription) await startPaymentRequestListener();
+
+    return entry;
+  },
+
+  /**
+   * Forget a Payment Request
+   *
+   * Payments sent to it afterwards are no longer matched or claimed.
+   *
+   * @param {string} id - Request id
+   */
+  forgetPaymentRequest: async (id) => {
+    const { paymentRequests, savePaymentRequests } = get();
+    await savePaymentRequests(paymentRequests.filter((r) => r.id !== id));
+  },
+
+  /**
+   * Inspect a Payment Request Before Paying It
+   *
+   * @param {string} encoded - creqA... string
+   * @returns {Object|null} { id, amount, unit, description, mints,
+   *   singleUse, transport, recipient, payableMint, error } or null if the
+   *   string is not a payment request. payableMint is the mint we would
+   *   pay from; error explains why the request can't be paid.
+   */
+  inspectPaymentRequest: (encoded) => {
+    const { mintBalances } = get();
+    const request = decodeRequest(encoded);
+    if (!request) return null;
+
+    const transport = pickTransport(request);
+    const recipient =
+      transport?.type === PaymentRequestTransportType.NOSTR
+        ? decodeRecipient(transport.target)?.pubkey || null
+        : null;
+    const accepted = request.mints?.length
+      ? request.mints
+      : Object.keys(mintBalances);
+    const payableMint = request.amount
+      ? selectSendMint(mintBalances, accepted, request.amount)
+      : null;
+
+    let error = null;
+    if ((request.unit || "sat") !== "sat") {
+      error = `Unsupported unit: ${request.unit}`;
+    } else if (request.nut10) {
+      error = "Requests with spending conditions are not supported";
+    } else if (request.transport?.length && !transport) {
+      error = "Unsupported transport";
+    } else if (request.amount && !payableMint) {
+      error = `None of your mints accepted by the request holds ${request.amount} sats`;
+    }
+
+    return {
+      id: request.id || null,
+      amount: request.amount || null,
+      unit: request.unit || "sat",
+      description: request.description || "",
+      mints: request.mints || [],
+      singleUse: request.singleUse,
+      transport: transport ? transport.type : null,
+      recipient,
+      payableMint,
+      error,
+    };
+  },
+
+  /**
+   * Pay a Payment Request
+   *
+   * 1. Pick one of our mints the request accepts that covers the amount
+   * 2. Split off proofs worth exactly the amount (change stays with us)
+   * 3. Deliver { id, memo, mint, unit, proofs } over the request's
+   *    transport: a gift-wrapped NIP-17 message to the receiver's relays,
+   *    or an HTTP POST to its URL
+   * 4. Record an outgoing kind 7376 history entry
+   *
+   * If delivery fails the proofs are put back into the wallet, so
+   * nothing is lost. A request without a transport returns a token
+   * instead, for the payer to hand over.
+   *
+   * @param {string} encoded - creqA... string
+   * @param {Object} options - Optional { amount } when the request leaves
+   *   it open, and a { memo } for the receiver
+   * @returns {Object|null} { amount, mint, transport, token } or null on error
+   */
+  payPaymentRequest: async (encoded, options = {}) => {
+    const {
+      cashuWallet,
+      ndkInstance,
+      signer,
+      relays,
+      mintBalances,
+      inspectPaymentRequest,
+      createToken,
+      setError,
+      verifyAndUpdateBalance,
+      recordTransaction,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    const request = decodeRequest(encoded);
+    if (!request) {
+      setError("Invalid payment request");
+      return null;
+    }
+
+    const { error } = inspectPaymentRequest(encoded);
+    if (error) {
+      setError(error);
+      return null;
+    }
+
+    const amount = request.amount || options.amount;
+    if (!Number.isInteger(amount) || amount < 1) {
+      setError("Amount must be a whole number of sats greater than zero");
+      return null;
+    }
+
+    const accepted = request.mints?.length
+      ? request.mints
+      : Object.keys(mintBalances);
+    const mint = selectSendMint(mintBalances, accepted, amount);
+    if (!mint) {
+      setError(
+        `None of your mints accepted by the request holds ${amount} sats`
+      );
+      return null;
+    }
+
+    const memo = options.memo || undefined;
+    const transport = pickTransport(request);
+
+    // No transport: the payer hands over a token themselves
+    if (!transport) {
+      const token = await createToken(amount, {
+        mint,
+        memo: memo || request.description,
+      });
+      return token ? { amount, mint, transport: null, token } : null;
+    }
+
+    const recipient =
+      transport.type === PaymentRequestTransportType.NOSTR
+        ? decodeRecipient(transport.target)
+        : null;
+    if (transport.type === PaymentRequestTransportType.NOSTR && !recipient) {
+      setError("Invalid Nostr transport in payment request");
+      return null;
+    }
+
+    try {
+      const cashuWalletInstance = await cashuWallet.getCashuWallet(mint);
+
+      const proofs = cashuWallet.state?.getProofs({ mint }) || [];
+      const proofStates = await cashuWalletInstance.checkProofsStates(proofs);
+      const validProofs = proofs.filter(
+        (_, i) => proofStates[i]?.state === "UNSPENT"
+      );
+
+      const { keep, send } = await cashuWalletInstance.send(
+        amount,
+        validProofs
+      );
+
+      const stateUpdate = await cashuWallet.state.update({
+        store: keep,
+        destroy: replacedProofs(proofs, proofStates),
+        mint,
+      });
+
+      const payload = { id: request.id, memo, mint, unit: "sat", proofs: send };
+
+      try {
+        if (recipient) {
+          const rumor = new NDKEvent(ndkInstance, {
+            kind: 14,
+            content: JSON.stringify(payload),
+            created_at: Math.floor(Date.now() / 1000),
+            tags: [["p", recipient.pubkey]],
+          });
+          const wrap = await giftWrap(
+            rumor,
+            ndkInstance.getUser({ pubkey: recipient.pubkey }),
+            signer
+          );
+
+          const targetRelays = [
+            ...new Set(
+              (recipient.relays.length > 0
+                ? recipient.relays
+                : relayUrls(relays, "write")
+              )
+                .map(normalizeRelay)
+                .filter(Boolean)
+            ),
+          ];
+          await wrap.publish(
+            NDKRelaySet.fromRelayUrls(targetRelays, ndkInstance)
+          );
+        } else {
+          const response = await fetch(transport.target, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(payload),
+          });
+          if (!response.ok) {
+            throw new Error(
+              `Payment request endpoint answered ${response.status}`
+            );
+          }
+        }
+      } catch (deliveryError) {
+        // Nobody received the proofs, so they are still ours
+        await cashuWallet.state.update({ store: send, mint });
+        throw new Error(
+          `Could not deliver the payment: ${deliveryError.message}`
+        );
+      }
+
+      await recordTransaction({
+        direction: "out",
+        amount,
+        mint,
+        counterparty: recipient?.pubkey,
+        description: request.description || "Payment request",
+        stateUpdate,
+      });
+
+      await verifyAndUpdateBalance();
+
+      return { amount, mint, transport: transport.type, token: null };
+    } catch (e) {
+      setError(e.message);
+      await verifyAndUpdateBalance();
+      return null;
+    }
+  },
+
+  /**
+   * Listen for Payments to Our Requests
+   *
+   * Loads the user's stored requests and, while any is open, subscribes
+   * to gift wraps (kind 1059) addressed to us on our read relays, from
+   * shortly before the oldest request (wraps are backdated).
+   *
+   * @returns {NDKSubscription|null} The subscription, or null when
+   *   there is nothing to listen for
+   */
+  startPaymentRequestListener: async () => {
+    const { ndkInstance, signer, relays, paymentRequestSubscription } = get();
+    if (!ndkInstance || !signer) return null;
+
+    if (paymentRequestSubscription) paymentRequestSubscription.stop();
+
+    const user = await signer.user();
+    const paymentRequests = loadPaymentRequests(storage, user.pubkey);
+    set({ paymentRequests, paymentRequestSubscription: null });
+
+    const open = paymentRequests.filter(isPaymentRequestOpen);
+    if (open.length === 0) return null;
+
+    const oldest = Math.min(...open.map((request) => request.createdAt));
+    const subscription = ndkInstance.subscribe(
+      {
+        kinds: [1059],
+        "#p": [user.pubkey],
+        since: oldest - GIFT_WRAP_BACKDATE,
+      },
+      {
+        closeOnEose: false,
+        relaySet: NDKRelaySet.fromRelayUrls(
+          relayUrls(relays, "read"),
+          ndkInstance
+        ),
+      },
+      false
+    );
+
+    subscription.on("event", (event) => get().receivePaymentRequest(event));
+
+    subscription.start();
+    set({ paymentRequestSubscription: subscription });
+
+    return subscription;
+  },
+
+  /**
+   * Claim a Payment Sent to One of Our Requests
+   *
+   * Unwraps a NIP-17 message and, if it carries a payload for one of
+   * our requests, receives its proofs (see receiveToken) and adds the
+   * payment to the request. Payments to a request that was already paid
+   * are claimed too, so the sats aren't stranded. Other direct messages
+   * are ignored, and a message is only claimed once.
+   *
+   * @param {NDKEvent} event - Kind 1059 gift wrap addressed to us
+   * @returns {Object|null} { request, payment } or null if it was not a
+   *   payment we could claim
+   */
+  receivePaymentRequest: async (event) => {
+    const { signer, paymentRequests, receiveToken, savePaymentRequests } =
+      get();
+
+    const claimed = paymentRequests.some((request) =>
+      request.payments.some((payment) => payment.eventId === event.id)
+    );
+    if (!signer || claimed) return null;
+
+    let rumor;
+    let payload;
+    try {
+      rumor = await giftUnwrap(event, undefined, signer);
+      payload = JSON.parse(rumor.content);
+    } catch {
+      // Not a payment (a chat message, or a wrap we can't open)
+      return null;
+    }
+
+    const request = paymentRequests.find((r) => r.id === payload?.id);
+    if (
+      rumor.kind !== 14 ||
+      !request ||
+      !payload.mint ||
+      !Array.isArray(payload.proofs)
+    ) {
+      return null;
+    }
+
+    const result = await receiveToken(
+      getEncodedTokenV4({
+        mint: payload.mint,
+        unit: payload.unit || "sat",
+        memo: payload.memo || request.description || "Payment request",
+        proofs: payload.proofs,
+      })
+    );
+    if (!result) return null;
+
+    const payment = {
+      eventId: event.id,
+      amount: result.amount,
+      mint: result.mint,
+      sender: rumor.pubkey,
+      memo: payload.memo || "",
+      receivedAt: Math.floor(Date.now() / 1000),
+    };
+    const updated = {
+      ...request,
+      payments: [...request.payments, payment],
+    };
+
+    await savePaymentRequests(
+      get().paymentRequests.map((r) => (r.id === request.id ? updated : r))
+    );
+
+    return { request: updated, payment };
+  },
+
+  /**
+   * Stop Listening for Payments
+   */
+  stopPaymentRequestListener: () => {
+    const { paymentRequestSubscription } = get();
+    if (paymentRequestSubscription) paymentRequestSubscription.stop();
+    set({ paymentRequestSubscription: null });
+  },
+});
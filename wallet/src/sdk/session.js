@@ -0,0 +1,381 @@
+/**
+ * session.js
+ *
+ * A Nostr session shared by the identity and the wallet. It owns:
+ * - The NDK instance and its relay connections
+ * - The signer (local key, NIP-07 extension or NIP-46 bunker)
+ * - The active user
+ * - Connection state, with automatic reconnect
+ *
+ * The identity and wallet read the session instead of building their
+ * own NDK, so a login in one is immediately visible to the other and
+ * relays are only connected once. The app's session is created in
+ * ../nostrSession.js.
+ *
+ * === EVENTS ===
+ *
+ * session.on(event, listener) returns an unsubscribe function.
+ * - "status": (status) Connection state changed
+ *   "disconnected" | "connecting" | "connected" | "reconnecting"
+ * - "connected": First relay connected
+ * - "disconnected": The last connected relay dropped
+ * - "reconnecting": ({ attempt, delay }) A reconnect is scheduled
+ * - "reconnected": A relay is back after a disconnect
+ * - "signer": (signer, user) Signer attached or removed (both null)
+ *
+ * === RECONNECT ===
+ *
+ * When no relay is connected, ndk.connect() is retried with exponential
+ * backoff (1s, 2s, 4s, ... up to a minute), and right away when the
+ * browser comes back online. close() stops this and disconnects the
+ * relays, so a Node process using the session can exit.
+ *
+ * === STORAGE ===
+ *
+ * The NIP-07/NIP-46 login is remembered in the session's storage (see
+ * ./storage.js) as "local_signer" and "local_bunker".
+ */
+
+import NDK, {
+  NDKNip07Signer,
+  NDKNip46Signer,
+  NDKPrivateKeySigner,
+} from "@nostr-dev-kit/ndk";
+import { Buffer } from "buffer";
+import { bech32 } from "bech32";
+import { createMemoryStorage } from "./storage.js";
+
+/**
+ * How long ndk.connect() waits for relays before resolving (ms)
+ */
+const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Reconnect backoff bounds (ms)
+ */
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+
+/**
+ * Check for a NIP-46 Connection String
+ *
+ * Remote signers are reached with a "bunker://<pubkey>?relay=...&secret=..."
+ * URI or, for bunkers that publish NIP-46 info in their NIP-05, a
+ * "name@domain" identifier.
+ *
+ * @param {string} value - User input
+ * @returns {boolean} True if the value should be handed to a NIP-46 signer
+ */
+export function isBunkerConnection(value) {
+  const trimmed = (value || "").trim();
+  return (
+    trimmed.startsWith("bunker://") ||
+    /^[^\s@/]+@[^\s@/]+\.[^\s@/]+$/.test(trimmed)
+  );
+}
+
+/**
+ * Open a NIP-46 Approval Page
+ *
+ * Bunkers may ask the user to approve a connection on a web page. In a
+ * browser it opens in a new tab; elsewhere the URL is logged.
+ *
+ * @param {string} url - The bunker's approval page
+ */
+function openAuthUrl(url) {
+  if (typeof window !== "undefined" && window.open) {
+    window.open(url, "_blank");
+  } else {
+    console.info("Approve the remote signer connection at:", url);
+  }
+}
+
+/**
+ * Create a Session
+ *
+ * @param {Object} options
+ * @param {string[]} options.relays - Relays to connect to
+ * @param {string[]} options.outboxRelays - Relays to look up other
+ *   users' relay lists on (default: NDK's outbox relays)
+ * @param {Object} options.storage - Where the login method is kept
+ *   (default: in memory)
+ * @param {Function} options.onAuthUrl - Shows a bunker's approval page
+ *   (default: a new browser tab)
+ * @returns {Object} The session API
+ */
+export function createNostrSession(options = {}) {
+  const relays = options.relays || [];
+  const outboxRelays = options.outboxRelays;
+  const storage = options.storage || createMemoryStorage();
+  const onAuthUrl = options.onAuthUrl || openAuthUrl;
+  const listeners = new Map();
+
+  let ndk = null;
+  let signer = null;
+  let user = null;
+  let status = "disconnected";
+  let connectPromise = null;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const emit = (event, ...args) => {
+    for (const listener of listeners.get(event) || []) {
+      try {
+        listener(...args);
+      } catch (e) {
+        console.error(`Nostr session "${event}" listener failed:`, e);
+      }
+    }
+  };
+
+  const setStatus = (next) => {
+    if (status === next) return;
+    status = next;
+    emit("status", next);
+  };
+
+  const connectedRelayCount = () =>
+    ndk ? ndk.pool.connectedRelays().length : 0;
+
+  const scheduleReconnect = () => {
+    if (reconnectTimer || !ndk || closed) return;
+
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** reconnectAttempt,
+      RECONNECT_MAX_DELAY
+    );
+    reconnectAttempt += 1;
+
+    setStatus("reconnecting");
+    emit("reconnecting", { attempt: reconnectAttempt, delay });
+
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      try {
+        await ndk.connect(CONNECT_TIMEOUT);
+      } catch (e) {
+        console.warn("Nostr reconnect failed:", e);
+      }
+      if (connectedRelayCount() === 0) scheduleReconnect();
+    }, delay);
+  };
+
+  const reconnectNow = () => {
+    if (!ndk || connectedRelayCount() > 0) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempt = 0;
+    scheduleReconnect();
+  };
+
+  const handleRelayConnect = () => {
+    if (status === "connected") return;
+
+    const wasReconnecting = status === "reconnecting";
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempt = 0;
+
+    setStatus("connected");
+    emit(wasReconnecting ? "reconnected" : "connected");
+  };
+
+  const handleRelayDisconnect = () => {
+    if (connectedRelayCount() > 0) return;
+
+    emit("disconnected");
+    scheduleReconnect();
+  };
+
+  const session = {
+    get ndk() {
+      return ndk;
+    },
+    get signer() {
+      return signer;
+    },
+    get user() {
+      return user;
+    },
+    get status() {
+      return status;
+    },
+    get isConnected() {
+      return status === "connected";
+    },
+    get storage() {
+      return storage;
+    },
+
+    /**
+     * Listen for a session event
+     * @param {string} event - Event name (see EVENTS above)
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {Function} Call to stop listening
+     */
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => listeners.get(event)?.delete(listener);
+    },
+
+    /**
+     * Connect to Relays
+     *
+     * Creates the NDK instance on first use and connects it. Later calls
+     * return the same instance, so concurrent callers share one
+     * connection attempt.
+     *
+     * @returns {NDK} The connected (or reconnecting) NDK instance
+     */
+    connect() {
+      if (closed) return Promise.reject(new Error("Session is closed"));
+      if (connectPromise) return connectPromise;
+
+      connectPromise = (async () => {
+        ndk = new NDK({
+          explicitRelayUrls: relays,
+          outboxRelayUrls: outboxRelays,
+        });
+        ndk.pool.on("relay:connect", handleRelayConnect);
+        ndk.pool.on("relay:disconnect", handleRelayDisconnect);
+
+        if (typeof window !== "undefined") {
+          window.addEventListener("online", reconnectNow);
+        }
+
+        setStatus("connecting");
+        try {
+          await ndk.connect(CONNECT_TIMEOUT);
+        } catch (e) {
+          console.warn("Nostr connect failed:", e);
+        }
+        if (connectedRelayCount() === 0) scheduleReconnect();
+
+        return ndk;
+      })();
+
+      return connectPromise;
+    },
+
+    /**
+     * Attach a Signer
+     *
+     * Waits for the signer to be ready (an extension or bunker may ask
+     * the user first), then makes it the NDK signer and active user.
+     *
+     * @param {NDKSigner} nextSigner - Signer to use for this session
+     * @returns {NDKUser} The signed-in user
+     */
+    async signIn(nextSigner) {
+      const ndkInstance = await session.connect();
+      const nextUser = await nextSigner.blockUntilReady();
+
+      if (signer && signer !== nextSigner && signer.stop) {
+        signer.stop();
+      }
+
+      signer = nextSigner;
+      user = nextUser;
+      ndkInstance.signer = nextSigner;
+      ndkInstance.activeUser = nextUser;
+
+      emit("signer", signer, user);
+      return user;
+    },
+
+    /**
+     * Sign In with a Credential or the Stored Login Method
+     *
+     * - bech32 nsec: A local private key signer
+     * - bunker:// URI or NIP-05: A new NIP-46 session. The session is
+     *   stored ("local_signer" = "nip46", "local_bunker") so reloads
+     *   reconnect without pairing again.
+     * - Nothing: Restores the NIP-07 extension or NIP-46 bunker the user
+     *   logged in with last time
+     *
+     * @param {string|null} credential - nsec, bunker URI or NIP-05
+     * @returns {NDKUser|null} The signed-in user, or null without credentials
+     */
+    async signInWithCredential(credential = null) {
+      const ndkInstance = await session.connect();
+      const method = storage.getItem("local_signer");
+      let nextSigner = null;
+
+      if (isBunkerConnection(credential)) {
+        nextSigner = NDKNip46Signer.bunker(ndkInstance, credential.trim());
+        nextSigner.on("authUrl", onAuthUrl);
+        await nextSigner.blockUntilReady();
+        storage.setItem("local_signer", "nip46");
+        storage.setItem("local_bunker", nextSigner.toPayload());
+      } else if (credential && credential.startsWith("nsec")) {
+        const { words } = bech32.decode(credential);
+        nextSigner = new NDKPrivateKeySigner(
+          Buffer.from(bech32.fromWords(words)).toString("hex")
+        );
+      } else if (method === "nip07") {
+        if (typeof window === "undefined" || !window.nostr) {
+          throw new Error("No NIP-07 browser extension found");
+        }
+        nextSigner = new NDKNip07Signer();
+      } else if (method === "nip46" && storage.getItem("local_bunker")) {
+        nextSigner = await NDKNip46Signer.fromPayload(
+          storage.getItem("local_bunker"),
+          ndkInstance
+        );
+        nextSigner.on("authUrl", onAuthUrl);
+      }
+
+      if (!nextSigner) return null;
+      return session.signIn(nextSigner);
+    },
+
+    /**
+     * Detach the Signer
+     *
+     * Closes a NIP-46 session and leaves the relays connected for
+     * read-only use.
+     */
+    signOut() {
+      if (signer?.stop) signer.stop();
+      signer = null;
+      user = null;
+      if (ndk) {
+        ndk.signer = undefined;
+        ndk.activeUser = undefined;
+      }
+      emit("signer", null, null);
+    },
+
+    /**
+     * Close the Session
+     *
+     * Signs out, stops reconnecting and disconnects every relay in the
+     * pool. The session can't be connected again afterwards.
+     */
+    close() {
+      if (closed) return;
+      closed = true;
+
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (typeof window !== "undefined") {
+        window.removeEventListener("online", reconnectNow);
+      }
+
+      if (signer) session.signOut();
+      if (ndk) {
+        ndk.pool.off("relay:connect", handleRelayConnect);
+        ndk.pool.off("relay:disconnect", handleRelayDisconnect);
+        // The outbox pool holds the relays used to look up relay lists
+        for (const pool of [ndk.pool, ndk.outboxPool].filter(Boolean)) {
+          for (const url of [...pool.relays.keys()]) pool.removeRelay(url);
+        }
+      }
+      setStatus("disconnected");
+    },
+  };
+
+  return session;
+}
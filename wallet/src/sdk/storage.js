@@ -0,0 +1,56 @@
+/**
+ * storage.js
+ *
+ * Key-value storage for the SDK. Everything the session, identity and
+ * wallet persist (login method, encrypted key, mint cap, ...) goes
+ * through an object with the Web Storage methods:
+ *
+ *   getItem(key) -> string | null
+ *   setItem(key, value)
+ *   removeItem(key)
+ *
+ * localStorage and sessionStorage fit as they are. A Node service can
+ * pass a wrapper around a file or database, or the in-memory storage
+ * below when nothing needs to survive a restart.
+ */
+
+/**
+ * Create an In-Memory Storage
+ *
+ * @param {Object} initial - Optional { key: value } to start with
+ * @returns {Object} Storage that forgets everything when the process exits
+ */
+export function createMemoryStorage(initial = {}) {
+  const items = new Map(
+    Object.entries(initial).map(([key, value]) => [key, String(value)])
+  );
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+}
+
+/**
+ * The Browser's localStorage
+ *
+ * Falls back to memory where localStorage is missing (Node, workers) or
+ * blocked (some private browsing modes).
+ *
+ * @returns {Object} Storage
+ */
+export function browserStorage() {
+  try {
+    if (typeof localStorage !== "undefined" && localStorage) {
+      return localStorage;
+    }
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+  }
+  return createMemoryStorage();
+}
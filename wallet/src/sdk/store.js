@@ -0,0 +1,67 @@
+/**
+ * store.js
+ *
+ * A minimal observable state container. The identity and wallet keep
+ * their state and actions in one, so plain scripts read them with
+ * getState() and UIs re-render on subscribe().
+ *
+ * The API matches zustand's vanilla stores (getState, setState,
+ * subscribe, getInitialState), so the React adapters hand it to
+ * zustand's useStore() without the SDK depending on React.
+ */
+
+/**
+ * Create a State Store
+ *
+ * The initializer receives set and get and returns the initial state,
+ * actions included:
+ *
+ *   const counter = createStateStore((set, get) => ({
+ *     count: 0,
+ *     increment: () => set({ count: get().count + 1 }),
+ *   }));
+ *
+ * @param {Function} initializer - (set, get, store) => initial state
+ * @returns {Object} { getState, setState, subscribe, getInitialState }
+ */
+export function createStateStore(initializer) {
+  const listeners = new Set();
+  let state;
+
+  const getState = () => state;
+
+  /**
+   * Merge a partial update into the state
+   * @param {Object|Function} partial - Fields to change, or a function
+   *   of the current state returning them
+   * @param {boolean} replace - Replace the state instead of merging
+   */
+  const setState = (partial, replace = false) => {
+    const next = typeof partial === "function" ? partial(state) : partial;
+    if (Object.is(next, state)) return;
+
+    const previous = state;
+    state = replace ? next : { ...state, ...next };
+    listeners.forEach((listener) => listener(state, previous));
+  };
+
+  /**
+   * Listen for state changes
+   * @param {Function} listener - Called with (state, previousState)
+   * @returns {Function} Call to stop listening
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const store = {
+    getState,
+    setState,
+    subscribe,
+    getInitialState: () => initialState,
+  };
+
+  const initialState = (state = initializer(setState, getState, store));
+  return store;
+}
@@ -0,0 +1,1774 @@
+/**
+ * wallet.js
+ *
+ * A wallet implementing NIP-60 (Cashu Wallets) and NIP-61 (Nutzaps) for
+ * Bitcoin Lightning payments via the Cashu ecash protocol. It is a plain
+ * state store (see ./store.js) with no React imports; the app's
+ * useBitcoinWalletStore hook is a thin adapter over one.
+ *
+ * === PROTOCOL OVERVIEW ===
+ *
+ * Cashu is an ecash protocol that provides:
+ * - Privacy: Transactions are unlinkable (the mint cannot track spending)
+ * - Speed: Instant settlement without on-chain confirmations
+ * - Low fees: Minimal transaction costs compared to on-chain Bitcoin
+ *
+ * === KEY CONCEPTS ===
+ *
+ * Proofs:
+ *   Proofs are cryptographic tokens representing value. Each proof contains:
+ *   - amount: The satoshi value of this proof
+ *   - secret: A unique identifier that prevents double-spending
+ *   - C: A blinded signature from the mint proving authenticity
+ *   When you "spend" a proof, the mint marks the secret as used.
+ *   Proofs are atomic - a 10 sat proof cannot be partially spent.
+ *
+ * Mints:
+ *   Mints are trusted servers that issue and redeem proofs. They:
+ *   - Accept Lightning payments and issue proofs in return
+ *   - Verify proofs haven't been spent and allow transfers
+ *   - Redeem proofs by paying Lightning invoices
+ *   Users must trust their mint not to steal funds or go offline.
+ *   Spreading sats over several mints (see mintCap) limits what any
+ *   one of them can lose.
+ *
+ * NIP-60 (Cashu Wallet):
+ *   Stores wallet state (proofs, mints) as encrypted Nostr events.
+ *   Kind 17375: Wallet configuration (trusted mints, wallet P2PK private key)
+ *   Kind 37513: Wallet metadata and configuration
+ *   Kind 7374/7375: Token and proof storage events
+ *   Kind 7376: Spending history (direction, amount, tokens created/destroyed)
+ *
+ * NIP-61 (Nutzaps):
+ *   Enables sending ecash via Nostr events:
+ *   Kind 9321: Nutzap event containing proofs locked to recipient
+ *   Kind 10019: User's payment preferences (mints, relays, pubkey)
+ *
+ * P2PK (Pay-to-Public-Key):
+ *   Proofs can be locked to a specific public key, meaning only the
+ *   holder of the corresponding private key can redeem them.
+ *   The wallet has its own P2PK key, separate from the user's Nostr key.
+ *   Its private half is stored in the encrypted kind 17375 event and its
+ *   public half is advertised in our kind 10019 event so senders lock
+ *   nutzaps to it.
+ *
+ * NIP-65 (Relay List):
+ *   Kind 10002 lists the relays a user writes to and reads from. Our own
+ *   list decides where wallet events are published and which relays we
+ *   advertise for nutzaps; a recipient's write relays are where we look
+ *   for their kind 10019 preferences (the "outbox" model).
+ *
+ * === TRANSACTION FLOW ===
+ *
+ * Deposit (Lightning -> Ecash):
+ *   1. Request invoice from mint for X sats
+ *   2. Pay the Lightning invoice
+ *   3. Mint issues proofs worth X sats
+ *   4. Store proofs in wallet (published to Nostr relays)
+ *
+ * Send (Nutzap):
+ *   1. Select proofs totaling the send amount
+ *   2. "Split" proofs with mint: original proofs -> send proofs + change proofs
+ *   3. Lock send proofs to recipient's public key (P2PK)
+ *   4. Publish nutzap event (kind 9321) with locked proofs to our write
+ *      relays and the relays listed in the recipient's kind 10019
+ *   5. Store change proofs, mark original proofs as spent
+ *
+ * Withdraw (Ecash -> Lightning):
+ *   1. Request a melt quote from the mint for a BOLT11 invoice
+ *   2. Confirm the invoice amount plus the mint's fee reserve
+ *   3. Swap proofs for exactly amount + fee reserve, hand them to the mint
+ *   4. Mint pays the invoice and returns change for unused fee reserve
+ *   5. Store change proofs, destroy the spent ones
+ *
+ * Receive:
+ *   1. Find nutzap events addressed to our pubkey
+ *   2. Claim proofs from the mint (swap for fresh proofs)
+ *   3. Store new proofs in wallet
+ *
+ * Bearer Tokens (cashuA / cashuB strings):
+ *   Proofs can also be serialized into a token string (NUT-00) and handed
+ *   over out of band - a QR code, a chat message, paper. Whoever holds
+ *   the string can claim it, so receiving swaps the proofs at the mint
+ *   for fresh ones right away.
+ *
+ * === MODULES ===
+ *
+ * createWallet() merges the state and actions of:
+ * - This file: Connection, wallet setup, mints, relays, history, tokens
+ * - ./nutzap.js: Incoming and outgoing nutzaps
+ * - ./deposit.js: Lightning deposits (mint quotes)
+ * - ./withdraw.js: Lightning withdrawals (melt quotes)
+ * - ./paymentRequest.js: NUT-18 payment requests, made and paid
+ * - ./contacts.js: Follow list, NIP-05 lookup and recent recipients
+ * - ./helpers.js: Protocol helpers shared by all of them
+ */
+
+import {
+  NDKPrivateKeySigner,
+  NDKEvent,
+  NDKCashuWalletTx,
+  NDKRelayList,
+  NDKRelaySet,
+  getRelayListForUser,
+} from "@nostr-dev-kit/ndk";
+import {
+  NDKCashuWallet,
+  getBolt11Amount,
+  getBolt11Description,
+  getBolt11ExpiresAt,
+} from "@nostr-dev-kit/ndk-wallet";
+import { getEncodedTokenV4 } from "@cashu/cashu-ts";
+import { Buffer } from "buffer";
+import { isBunkerConnection } from "./session.js";
+import { createStateStore } from "./store.js";
+import {
+  CONSOLIDATE_PROOF_THRESHOLD,
+  REBALANCE_MIN_AMOUNT,
+  loadUntrustedMintPolicy,
+  decodeKey,
+  normalizeMintUrl,
+  normalizeRelay,
+  defaultRelayList,
+  relayUrls,
+  encodeKey,
+  decodeRecipient,
+  decodeEventTarget,
+  decodeCashuToken,
+  readWalletConfig,
+  historyEntryFromEvent,
+  reconcileMintProofs,
+  summarizeProofs,
+  replacedProofs,
+  optimalProofCount,
+  consolidateMintProofs,
+  meltIntoMint,
+  getWalletMints,
+} from "./helpers.js";
+import { createNutzapSlice } from "./nutzap.js";
+import { createDepositSlice } from "./deposit.js";
+import { createWithdrawSlice } from "./withdraw.js";
+import { createPaymentRequestSlice } from "./paymentRequest.js";
+import { createContactsSlice } from "./contacts.js";
+
+// Polyfill Buffer for browser environments (Node.js Buffer API)
+if (typeof window !== "undefined") {
+  window.Buffer = Buffer;
+}
+
+/**
+ * Connection, Wallet, Mint, Relay, History and Token State and Actions
+ */
+const createWalletSlice = (set, get, { session, storage, config }) => ({
+  // ============================================================
+  // STATE
+  // ============================================================
+  // Connection and identity state
+  isConnected: false, // Whether connected to Nostr relays
+  errorMessage: null, // Last error message for UI display
+  nostrPubKey: "", // User's public key (npub format)
+  nostrPrivKey: "", // User's private key (nsec format) - in memory while unlocked
+
+  // NDK instances
+  ndkInstance: null, // Active NDK connection to relays
+  signer: null, // NDKPrivateKeySigner, NDKNip07Signer or NDKNip46Signer for signing events
+  relays: defaultRelayList(config.relays), // User's relay list (kind 10002) [{ url, read, write }]
+
+  // Wallet state
+  cashuWallet: null, // NDKCashuWallet instance
+  walletBalance: 0, // Current balance in satoshis (verified with mint)
+  mints: [config.mint], // Trusted mint URLs (stored in the kind 17375 wallet event)
+  mintBalances: {}, // Verified balance per mint URL
+  pendingBalances: {}, // Sats in PENDING (in flight) proofs per mint URL
+  unverifiedMints: [], // Mints that could not be reached on the last check
+  proofs: [], // Local cache of proofs (source of truth is mint)
+  invoice: "", // Current Lightning invoice for deposits
+  invoiceExpiryTimer: null, // Clears the invoice once it expires
+  pendingDeposits: [], // Unminted mint quotes (kind 7374) { quoteId, mint, amount, invoice, expiresAt, quoteEvent, deposit }
+  depositPollTimer: null, // Interval re-checking pending deposits with their mints
+  isCheckingDeposits: false, // Guards against overlapping deposit checks
+  isConsolidating: false, // Guards against overlapping proof consolidations
+  isTransferring: false, // Guards against overlapping inter-mint transfers
+  isMovingNutzaps: false, // Holds off rebalanceMints() while claimed nutzaps leave an unknown mint
+  mintCap: Number(storage.getItem("mint_cap")) || null, // Most sats to keep at one mint before rebalancing (null = no cap)
+  pendingWithdrawal: null, // Melt quote awaiting confirmation { mint, quote, invoice, amount, feeReserve }
+  history: [], // Spending history entries (kind 7376), newest first
+  historySubscription: null, // Live subscription keeping history in sync
+  isCreatingWallet: false, // Loading state during wallet creation
+  isWalletReady: false, // Whether wallet is initialized and ready
+  nutzapMonitor: null,
+  nutzapInbox: [], // Incoming nutzaps (kind 9321), newest first { id, sender, amount, unit, comment, mint, createdAt, status, error, retryable, unknownMint, movedTo }
+  untrustedMintPolicy: loadUntrustedMintPolicy(storage), // What to do with nutzaps from mints we don't trust { mode, maxAmount }
+  profiles: {}, // Kind 0 metadata by hex pubkey { name, picture, nip05 } (null while loading)
+  paymentRequests: [], // Our NUT-18 payment requests, newest first { id, encoded, amount, unit, mints, description, singleUse, createdAt, payments }
+  paymentRequestSubscription: null, // Gift wraps carrying payments to our requests
+  contacts: [], // Our follow list (kind 3) { pubkey, relay, petname }
+  recentRecipients: [], // People we sent to, newest first { pubkey, lastSentAt }
+  acceptsNutzaps: {}, // Whether a hex pubkey publishes a kind 10019 (can receive nutzaps)
+
+  // ============================================================
+  // BASIC SETTERS
+  // ============================================================
+
+  /**
+   * Set error message for display in UI
+   * @param {string} msg - Error message
+   */
+  setError: (msg) => set({ errorMessage: msg }),
+
+  /**
+   * Set the current Lightning invoice (for QR display)
+   *
+   * An expired invoice can no longer be paid, so the deposit it belongs
+   * to is cancelled and the invoice cleared when its BOLT11 expiry passes.
+   *
+   * @param {string} data - Lightning invoice (BOLT11 format)
+   */
+  setInvoice: (data) => {
+    const { invoiceExpiryTimer } = get();
+    if (invoiceExpiryTimer) clearTimeout(invoiceExpiryTimer);
+
+    const expiresAt = data ? getBolt11ExpiresAt(data) : undefined;
+    const timer = expiresAt
+      ? setTimeout(
+          () => get().cancelDeposit(),
+          Math.max(expiresAt * 1000 - Date.now(), 0)
+        )
+      : null;
+
+    set({ invoice: data, invoiceExpiryTimer: timer });
+  },
+
+  /**
+   * Decode a BOLT11 Invoice
+   *
+   * Reads the amount, description and expiry straight from the invoice,
+   * without asking a mint or node.
+   *
+   * @param {string} invoice - Lightning invoice (BOLT11 format)
+   * @returns {Object|null} { amount, description, expiresAt } or null if invalid;
+   *   amount is in sats (null for amountless invoices), expiresAt in unix seconds
+   */
+  decodeInvoice: (invoice) => {
+    try {
+      const msats = getBolt11Amount(invoice);
+      return {
+        amount: msats ? Math.floor(msats / 1000) : null,
+        description: getBolt11Description(invoice) || "",
+        expiresAt: getBolt11ExpiresAt(invoice) || null,
+      };
+    } catch {
+      return null;
+    }
+  },
+
+  // ============================================================
+  // UTILITY FUNCTIONS
+  // ============================================================
+
+  /**
+   * Convert npub to hex format
+   * Utility wrapper around decodeKey for convenience.
+   *
+   * @param {string} npub - Public key in bech32 format
+   * @returns {string|null} Hex encoded public key
+   */
+  getHexNPub: (npub) => decodeKey(npub),
+
+  /**
+   * Convert hex pubkey to npub format
+   *
+   * @param {string} hex - Hex encoded public key
+   * @returns {string|null} Public key in bech32 format
+   */
+  getNpub: (hex) => encodeKey("npub", hex),
+
+  /**
+   * Check whether a string is a usable payment recipient
+   * Accepts npub, nprofile or hex pubkeys (see decodeRecipient).
+   *
+   * @param {string} recipient - Recipient identifier
+   * @returns {boolean} True if the recipient can be decoded
+   */
+  isValidRecipient: (recipient) => !!decodeRecipient(recipient),
+
+  /**
+   * Check whether a string references an event a nutzap can pay for
+   * Accepts note, nevent, naddr, hex ids and addresses (see decodeEventTarget).
+   *
+   * @param {string} target - Event reference
+   * @returns {boolean} True if the reference can be decoded
+   */
+  isValidNutzapTarget: (target) => !!decodeEventTarget(target),
+
+  /**
+   * Verify Balance with Mints and Update State
+   *
+   * Reconciles the proofs at every mint the wallet holds proofs for (see
+   * reconcileMintProofs()) and calculates the true spendable balance per
+   * mint and in total. Spent proofs are removed from the token events,
+   * pending ones are tracked in pendingBalances, and mints that could
+   * not be reached are listed in unverifiedMints so the UI can flag
+   * their (local) balance. This should be called:
+   * - After any transaction (send/receive)
+   * - When the wallet is loaded
+   * - Periodically to catch external changes
+   *
+   * Mints holding too many proofs are consolidated afterwards (in the
+   * background, see autoConsolidate()).
+   *
+   * @returns {number} The verified total balance in satoshis
+   */
+  verifyAndUpdateBalance: async () => {
+    const { cashuWallet } = get();
+    if (!cashuWallet) return 0;
+
+    const entries = await Promise.all(
+      getWalletMints(cashuWallet).map(async (mint) => [
+        mint,
+        await reconcileMintProofs(cashuWallet, mint),
+      ])
+    );
+
+    const mintBalances = {};
+    const pendingBalances = {};
+    const unverifiedMints = [];
+    for (const [mint, result] of entries) {
+      mintBalances[mint] = result.balance;
+      if (result.pending > 0) pendingBalances[mint] = result.pending;
+      if (!result.verified) unverifiedMints.push(mint);
+    }
+    const balance = entries.reduce((sum, [, r]) => sum + r.balance, 0);
+
+    set({
+      walletBalance: balance,
+      mintBalances,
+      pendingBalances,
+      unverifiedMints,
+    });
+    get().autoConsolidate();
+    return balance;
+  },
+
+  // ============================================================
+  // PROOF MAINTENANCE
+  // ============================================================
+
+  /**
+   * Summarize Proofs per Mint (Proof Inspector)
+   *
+   * @returns {Array} [{ mint, count, total, denominations, tokenEvents, optimalCount }]
+   */
+  getProofSummary: () => {
+    const { cashuWallet } = get();
+    if (!cashuWallet?.state) return [];
+
+    return getWalletMints(cashuWallet).map((mint) => {
+      const summary = summarizeProofs(cashuWallet.state.getProofs({ mint }));
+      return {
+        mint,
+        ...summary,
+        tokenEvents: cashuWallet.state.getTokens({ mint }).size,
+        optimalCount: optimalProofCount(summary.total),
+      };
+    });
+  },
+
+  /**
+   * Consolidate Proofs
+   *
+   * Swaps the unspent proofs at a mint (or every mint) into the optimal
+   * power-of-two split and republishes them as a single token event.
+   * See consolidateMintProofs().
+   *
+   * @param {string|null} mintUrl - Mint to consolidate (default: all)
+   * @returns {Array|null} Per-mint { mint, proofsBefore, proofsAfter, fee }, or null on error
+   */
+  consolidateProofs: async (mintUrl = null) => {
+    const { cashuWallet, isConsolidating, setError } = get();
+    if (!cashuWallet || isConsolidating) return null;
+
+    set({ isConsolidating: true });
+    try {
+      const mints = mintUrl ? [mintUrl] : getWalletMints(cashuWallet);
+      const results = [];
+      for (const mint of mints) {
+        results.push(await consolidateMintProofs(cashuWallet, mint));
+      }
+      return results;
+    } catch (e) {
+      setError(`Consolidation failed: ${e.message}`);
+      return null;
+    } finally {
+      // Still flagged, so this balance check does not start another round
+      await get().verifyAndUpdateBalance();
+      set({ isConsolidating: false });
+    }
+  },
+
+  /**
+   * Consolidate Crowded Mints
+   *
+   * Consolidates every mint holding more than CONSOLIDATE_PROOF_THRESHOLD
+   * proofs. Called after each balance check, so it runs after sends,
+   * receives and deposits without extra wiring.
+   */
+  autoConsolidate: async () => {
+    const { cashuWallet, isConsolidating, consolidateProofs } = get();
+    if (!cashuWallet?.state || isConsolidating) return;
+
+    const crowded = getWalletMints(cashuWallet).filter(
+      (mint) =>
+        cashuWallet.state.getProofs({ mint }).length >
+        CONSOLIDATE_PROOF_THRESHOLD
+    );
+    for (const mint of crowded) {
+      await consolidateProofs(mint);
+    }
+  },
+
+  // ============================================================
+  // CONNECTION FUNCTIONS
+  // ============================================================
+
+  /**
+   * Connect to Nostr Relay Network
+   *
+   * Connects the Nostr session (see ./session.js) and makes sure it
+   * has a signer for authenticated operations. The identity uses the
+   * same session, so a signer it attached is reused here.
+   *
+   * This is required before:
+   * - Loading wallet data from relays
+   * - Publishing transactions
+   * - Fetching recipient payment info
+   *
+   * A bunker:// URI (or NIP-05) passed as nsecRef starts a NIP-46 remote
+   * signer session. Users who logged in with a NIP-07 extension or a
+   * bunker sign through it. Otherwise the key is resolved from (falling
+   * back through each):
+   * 1. Explicitly passed nsecRef parameter
+   * 2. Unlocked nsec from current state
+   *
+   * @param {string|null} npubRef - Optional public key (currently unused)
+   * @param {string|null} nsecRef - Optional private key or bunker:// URI to use
+   * @returns {Object|null} { ndkInstance, signer } or null on failure
+   */
+  connectToNostr: async (npubRef = null, nsecRef = null) => {
+    const { setError, nostrPrivKey } = get();
+
+    const nsec = nsecRef || nostrPrivKey;
+
+    try {
+      const ndkInstance = await session.connect();
+
+      // Stored nsec, NIP-07 extension or NIP-46 bunker, depending on how
+      // the user logged in
+      if (!session.signer || isBunkerConnection(nsec)) {
+        await session.signInWithCredential(nsec);
+      }
+      const signer = session.signer;
+      if (!signer) {
+        return null;
+      }
+
+      set({ isConnected: session.isConnected, ndkInstance, signer });
+
+      // Switch to the user's own relays if they have published a list
+      await get().loadRelayList();
+
+      return { ndkInstance, signer };
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  },
+
+  // ============================================================
+  // INITIALIZATION FUNCTIONS
+  // ============================================================
+
+  /**
+   * Initialize Store from Persisted State
+   *
+   * Called on app startup to restore the user's session.
+   * Attempts to reconnect to Nostr if credentials exist.
+   *
+   * Flow:
+   * 1. Load the public key from storage
+   * 2. Update the wallet state with the loaded key
+   * 3. Attempt to connect to Nostr relays (with the unlocked nsec, or the
+   *    NIP-07 extension or NIP-46 bunker the user logged in with)
+   *
+   * The secret key is stored encrypted (NIP-49) and never read here.
+   * While the app is locked, init() returns false without connecting;
+   * call it again with the nsec from the identity's unlock().
+   *
+   * @param {string|null} nsec - Unlocked bech32 nsec for key logins
+   * @returns {boolean} True if successfully connected, false otherwise
+   */
+  init: async (nsec = null) => {
+    const storedNpub = storage.getItem("local_npub");
+    const unlockedNsec = nsec || get().nostrPrivKey;
+
+    if (storedNpub) set({ nostrPubKey: storedNpub });
+    if (unlockedNsec) set({ nostrPrivKey: unlockedNsec });
+
+    const { connectToNostr } = get();
+
+    const usesRemoteSigner = ["nip07", "nip46"].includes(
+      storage.getItem("local_signer")
+    );
+
+    if (storedNpub && (unlockedNsec || usesRemoteSigner)) {
+      const connection = await connectToNostr(storedNpub, unlockedNsec);
+      return !!connection;
+    }
+
+    return false;
+  },
+
+  /**
+   * Initialize Wallet (Load Existing Only)
+   *
+   * Attempts to load an existing wallet from Nostr relays.
+   * Does NOT create a new wallet if none exists.
+   *
+   * NIP-60 Wallet Discovery:
+   * Searches for wallet-related events published by the user:
+   * - Kind 17375: Wallet configuration (trusted mints)
+   * - Kind 37513: Wallet metadata (replaceable event)
+   * - Kind 7374: Token events (encrypted proofs)
+   * - Kind 7375: Proof events (individual proof storage)
+   *
+   * If events are found, the wallet is reconstructed from relay data.
+   * This enables multi-device sync - your wallet follows your keys.
+   *
+   * Event Listeners:
+   * - "balance_updated": Fires when proofs change
+   * - "ready": Fires when wallet is fully loaded
+   * - "warning": Non-fatal issues (relay errors, etc.)
+   *
+   * @returns {NDKCashuWallet|null} The loaded wallet or null if not found
+   */
+  initWallet: async () => {
+    const {
+      ndkInstance,
+      signer,
+      cashuWallet,
+      setError,
+      verifyAndUpdateBalance,
+      fetchUserPaymentInfo,
+      publishWallet,
+      publishNutzapPreferences,
+      startHistorySync,
+      resumePendingDeposits,
+    } = get();
+
+    // Clean up existing wallet listeners to prevent memory leaks
+    if (cashuWallet) {
+      cashuWallet.removeAllListeners();
+    }
+
+    if (!ndkInstance || !signer) {
+      return null;
+    }
+
+    try {
+      const user = await signer.user();
+
+      // Check for wallet events - try multiple possible kinds
+      // These are NIP-60 defined event kinds for Cashu wallets
+      const walletEvents = await ndkInstance.fetchEvents({
+        kinds: [17375, 37513, 7374, 7375], // wallet, token, and proof kinds
+        authors: [user.pubkey],
+        limit: 5,
+      });
+
+      if (walletEvents.size === 0) {
+        return null;
+      }
+
+      const wallet = new NDKCashuWallet(ndkInstance);
+      wallet.walletId = config.walletId;
+
+      // Restore the trusted mints and wallet P2PK keys from the
+      // encrypted wallet event
+      let walletConfig = { mints: [], privkeys: [] };
+      const walletConfigEvent = await ndkInstance.fetchEvent({
+        kinds: [17375],
+        authors: [user.pubkey],
+      });
+      if (walletConfigEvent) {
+        try {
+          walletConfig = await readWalletConfig(walletConfigEvent);
+        } catch (e) {
+          wallet.warn(`Could not decrypt wallet event: ${e.message}`);
+        }
+      }
+
+      const storedMints = [...new Set(walletConfig.mints)];
+      wallet.mints = storedMints.length > 0 ? storedMints : [config.mint];
+
+      for (const privkey of walletConfig.privkeys) {
+        await wallet.addPrivkey(privkey);
+      }
+
+      ndkInstance.wallet = wallet;
+
+      // Start the wallet - this fetches and decrypts stored proofs
+      await wallet.start({ pubkey: user.pubkey });
+
+      // Listen for balance changes from the wallet
+      wallet.on("balance_updated", (balance) => {
+        if (balance?.amount !== undefined) {
+          set({ walletBalance: balance.amount });
+        } else {
+          // Fallback to manual check
+          verifyAndUpdateBalance();
+        }
+      });
+
+      wallet.on("ready", () => {
+        verifyAndUpdateBalance();
+      });
+
+      wallet.on("warning", (warning) => {});
+
+      set({ cashuWallet: wallet, isWalletReady: true, mints: wallet.mints });
+
+      // Wallets created before the wallet had its own key (or without a
+      // wallet event at all) get one now, stored in a fresh wallet event
+      if (walletConfig.privkeys.length === 0) {
+        await wallet.getP2pk();
+        await publishWallet();
+      }
+
+      // Keep our kind 10019 in sync with the wallet's mints and P2PK key
+      const ownPreferences = await fetchUserPaymentInfo(user.pubkey);
+      const preferencesChanged =
+        ownPreferences.p2pkPubkey !== wallet.p2pk ||
+        ownPreferences.mints.map(normalizeMintUrl).sort().join() !==
+          [...wallet.mints].sort().join();
+      if (preferencesChanged) {
+        await publishNutzapPreferences();
+      }
+
+      // Load spending history and keep it in sync across devices
+      await startHistorySync();
+
+      // Claim payments made to our payment requests while we were away
+      await get().startPaymentRequestListener();
+
+      // Mint any deposits that were paid while the app was closed
+      await resumePendingDeposits();
+
+      // Verify balance with mint (proofs might have been spent elsewhere)
+      await verifyAndUpdateBalance();
+
+      return wallet;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  },
+
+  // ============================================================
+  // WALLET MANAGEMENT FUNCTIONS
+  // ============================================================
+
+  /**
+   * Create and Publish New Wallet
+   *
+   * Creates a fresh NIP-60 wallet and publishes it to Nostr relays.
+   * Should only be called when initWallet() returns null (no existing wallet).
+   *
+   * Wallet Creation Process:
+   * 1. Create NDKCashuWallet instance
+   * 2. Configure with the default mint and a freshly generated P2PK key
+   * 3. Start the wallet (initializes internal state)
+   * 4. Publish wallet event to relays (kind 17375, encrypted)
+   * 5. Publish nutzap preferences (kind 10019) so others can pay us
+   *
+   * Publishing to relays enables:
+   * - Multi-device access (wallet follows your keys)
+   * - Backup (proofs stored encrypted on public relays)
+   * - Recovery (can restore wallet with just the nsec)
+   *
+   * Note: Publishing might fail due to relay issues but the wallet
+   * still works locally. Publishing is retried on subsequent operations.
+   *
+   * @returns {NDKCashuWallet|null} The created wallet or null on error
+   */
+  createNewWallet: async () => {
+    const {
+      ndkInstance,
+      signer,
+      setError,
+      verifyAndUpdateBalance,
+      publishWallet,
+      publishNutzapPreferences,
+      startHistorySync,
+    } = get();
+
+    if (!ndkInstance || !signer) {
+      return null;
+    }
+
+    set({ isCreatingWallet: true });
+
+    try {
+      const wallet = new NDKCashuWallet(ndkInstance);
+      wallet.mints = [config.mint];
+      wallet.walletId = config.walletId;
+
+      // Generate the wallet's own P2PK key. Nutzaps sent to us are locked
+      // to it, so the user's Nostr key never has to touch ecash.
+      await wallet.getP2pk();
+
+      ndkInstance.wallet = wallet;
+
+      const user = await signer.user();
+      await wallet.start({ pubkey: user.pubkey });
+
+      set({
+        cashuWallet: wallet,
+        isWalletReady: true,
+        isCreatingWallet: false,
+        mints: wallet.mints,
+      });
+
+      // Attempt to publish wallet and preferences to relays for
+      // multi-device sync and so others can pay us
+      // Non-critical: wallet works locally even if publish fails
+      await publishWallet();
+      await publishNutzapPreferences();
+      await startHistorySync();
+      await get().startPaymentRequestListener();
+
+      await verifyAndUpdateBalance();
+
+      return wallet;
+    } catch (err) {
+      setError(err.message);
+      set({ isCreatingWallet: false });
+      return null;
+    }
+  },
+
+  // ============================================================
+  // TRANSACTION HISTORY (NIP-60 KIND 7376)
+  // ============================================================
+
+  /**
+   * Subscribe to Spending History
+   *
+   * Loads the user's kind 7376 history events and keeps listening for new
+   * ones, the same way the wallet subscribes to its token events. Entries
+   * written on other devices (or by ndk-wallet itself for deposits and
+   * nutzap redemptions) show up without a reload.
+   *
+   * @returns {NDKSubscription|null} The history subscription
+   */
+  startHistorySync: async () => {
+    const { ndkInstance, signer, cashuWallet, historySubscription } = get();
+    if (!ndkInstance || !signer || !cashuWallet) return null;
+
+    if (historySubscription) historySubscription.stop();
+
+    const user = await signer.user();
+
+    const subscription = ndkInstance.subscribe(
+      { kinds: [7376], authors: [user.pubkey] },
+      { closeOnEose: false, relaySet: cashuWallet.relaySet },
+      false
+    );
+
+    subscription.on("event", async (event) => {
+      const tx = await NDKCashuWalletTx.from(event);
+      if (!tx) return;
+
+      const entry = historyEntryFromEvent(tx);
+      set((state) => {
+        if (state.history.some((h) => h.id === entry.id)) return state;
+        return {
+          history: [...state.history, entry].sort(
+            (a, b) => b.timestamp - a.timestamp
+          ),
+        };
+      });
+    });
+
+    subscription.start();
+    set({ historySubscription: subscription });
+
+    return subscription;
+  },
+
+  /**
+   * Record a Transaction (Kind 7376)
+   *
+   * Publishes an encrypted spending history event describing a change in
+   * the wallet's balance. Token events created and destroyed by the
+   * change are referenced with "created" / "destroyed" markers so other
+   * clients can follow how the proofs moved.
+   *
+   * ndk-wallet already writes these events for deposits and nutzap
+   * redemptions, so this is only used for operations the store performs
+   * itself (sends, withdrawals, bearer tokens).
+   *
+   * Non-critical: the transaction itself already happened, so a failed
+   * publish is recorded as a wallet warning.
+   *
+   * @param {Object} details - { direction, amount, fee, mint, counterparty, description, stateUpdate }
+   * @returns {Object|null} The history entry or null if publishing failed
+   */
+  recordTransaction: async ({
+    direction,
+    amount,
+    fee = 0,
+    mint,
+    counterparty = null,
+    description = "",
+    stateUpdate = {},
+  }) => {
+    const { cashuWallet, ndkInstance } = get();
+    if (!cashuWallet || !ndkInstance) return null;
+
+    try {
+      const tx = new NDKCashuWalletTx(ndkInstance);
+      tx.direction = direction;
+      tx.amount = amount;
+      tx.unit = "sat";
+      tx.mint = mint;
+      tx.description = description;
+      if (fee) tx.fee = fee;
+      if (counterparty) tx.tags.push(["counterparty", counterparty]);
+      if (stateUpdate.created) tx.createdTokens = [stateUpdate.created];
+      if (stateUpdate.deleted) tx.destroyedTokenIds = stateUpdate.deleted;
+
+      await tx.sign();
+      await tx.publish(cashuWallet.relaySet);
+
+      const entry = {
+        id: tx.id,
+        direction,
+        amount,
+        fee,
+        mint,
+        counterparty,
+        description,
+        timestamp: tx.created_at,
+      };
+
+      set((state) => ({
+        history: state.history.some((h) => h.id === entry.id)
+          ? state.history
+          : [entry, ...state.history],
+      }));
+
+      return entry;
+    } catch (e) {
+      cashuWallet.warn(`Could not publish history event: ${e.message}`);
+      return null;
+    }
+  },
+
+  // ============================================================
+  // MINT MANAGEMENT
+  // ============================================================
+
+  /**
+   * Add a Trusted Mint
+   *
+   * Adds a mint to the wallet's trusted list so it can be used for
+   * deposits and for receiving and sending ecash.
+   *
+   * Before the mint is stored, its info and keysets are loaded through
+   * getCashuWallet(). This catches typos and offline mints early instead
+   * of failing on the first deposit.
+   *
+   * The mint list lives in the encrypted kind 17375 wallet event, so the
+   * event is republished to keep other devices in sync. Our kind 10019
+   * is republished too so senders know the new mint is accepted.
+   *
+   * @param {string} mintUrl - Mint URL (https://...)
+   * @returns {boolean} True if the mint was added
+   */
+  addMint: async (mintUrl) => {
+    const {
+      cashuWallet,
+      setError,
+      publishWallet,
+      publishNutzapPreferences,
+      verifyAndUpdateBalance,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return false;
+    }
+
+    const url = normalizeMintUrl(mintUrl);
+
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+        throw new Error();
+      }
+    } catch {
+      setError("Invalid mint URL");
+      return false;
+    }
+
+    if (cashuWallet.mints.includes(url)) {
+      setError("Mint is already in your wallet");
+      return false;
+    }
+
+    try {
+      await cashuWallet.getCashuWallet(url);
+    } catch (e) {
+      setError(`Could not reach mint: ${e.message}`);
+      return false;
+    }
+
+    cashuWallet.mints = [...cashuWallet.mints, url];
+    set({ mints: cashuWallet.mints, errorMessage: null });
+
+    await publishWallet();
+    await publishNutzapPreferences();
+    await verifyAndUpdateBalance();
+
+    return true;
+  },
+
+  /**
+   * Remove a Trusted Mint
+   *
+   * Removes a mint from the trusted list. A mint that still holds a
+   * verified balance cannot be removed - those sats would disappear from
+   * view while remaining at the mint. The last mint cannot be removed
+   * either, since deposits need somewhere to go.
+   *
+   * @param {string} mintUrl - Mint URL to remove
+   * @returns {boolean} True if the mint was removed
+   */
+  removeMint: async (mintUrl) => {
+    const {
+      cashuWallet,
+      mintBalances,
+      setError,
+      publishWallet,
+      publishNutzapPreferences,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return false;
+    }
+
+    const url = normalizeMintUrl(mintUrl);
+
+    if (!cashuWallet.mints.includes(url)) {
+      setError("Mint is not in your wallet");
+      return false;
+    }
+
+    if (cashuWallet.mints.length === 1) {
+      setError("Your wallet needs at least one mint");
+      return false;
+    }
+
+    const remaining = mintBalances[url] || 0;
+    if (remaining > 0) {
+      setError(
+        `This mint still holds ${remaining} sats. Spend or move them before removing it.`
+      );
+      return false;
+    }
+
+    cashuWallet.mints = cashuWallet.mints.filter((mint) => mint !== url);
+    set({ mints: cashuWallet.mints, errorMessage: null });
+
+    await publishWallet();
+    await publishNutzapPreferences();
+
+    return true;
+  },
+
+  /**
+   * Move Sats From One Mint to Another
+   *
+   * A melt at the source mint pays a mint quote at the destination
+   * (see meltIntoMint). The Lightning fee is paid by the source, and
+   * the move shows up in history as an outgoing entry at the source and
+   * an incoming deposit at the destination.
+   *
+   * If the destination can't mint right after the invoice is paid, the
+   * quote is added to pendingDeposits and minted by the next check. The
+   * same happens while the source's payment is still PENDING, and no
+   * outgoing entry is recorded for it.
+   *
+   * @param {string} fromMint - Mint holding the sats (trusted or not)
+   * @param {string} toMint - Trusted mint to move them to
+   * @param {number|null} amount - Sats to arrive at toMint (null = all)
+   * @returns {Object|null} { amount, fee, pending } or null on error
+   */
+  transferBetweenMints: async (fromMint, toMint, amount = null) => {
+    const {
+      cashuWallet,
+      mints,
+      isTransferring,
+      setError,
+      recordTransaction,
+      startDepositPolling,
+      verifyAndUpdateBalance,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    if (isTransferring) {
+      setError("Another transfer is still in progress");
+      return null;
+    }
+
+    const to = normalizeMintUrl(toMint);
+    if (!mints.includes(to)) {
+      setError("Sats can only be moved to a trusted mint");
+      return null;
+    }
+
+    if (normalizeMintUrl(fromMint) === to) {
+      setError("Pick two different mints");
+      return null;
+    }
+
+    set({ isTransferring: true });
+    try {
+      const {
+        amount: moved,
+        fee,
+        stateUpdate,
+        deposit,
+        pending,
+      } = await meltIntoMint(cashuWallet, fromMint, to, amount);
+
+      if (!pending) {
+        await recordTransaction({
+          direction: "out",
+          amount: moved + fee,
+          fee,
+          mint: fromMint,
+          description: `Moved to ${to}`,
+          stateUpdate,
+        });
+      }
+
+      if (!deposit.finalized) {
+        set((state) => ({
+          pendingDeposits: [
+            ...state.pendingDeposits,
+            {
+              quoteId: deposit.quoteId,
+              mint: to,
+              amount: moved,
+              invoice: null,
+              expiresAt: null,
+              quoteEvent: deposit.quoteEvent,
+            },
+          ],
+        }));
+        startDepositPolling();
+      }
+
+      set({ errorMessage: null });
+      return { amount: moved, fee, pending };
+    } catch (e) {
+      setError(e.message || "Transfer failed");
+      return null;
+    } finally {
+      set({ isTransferring: false });
+      await verifyAndUpdateBalance();
+    }
+  },
+
+  /**
+   * Set the Per-Mint Cap
+   *
+   * Saved in the wallet's storage. A new cap is applied right
+   * away by rebalanceMints().
+   *
+   * @param {number|null} sats - Most sats to hold at one mint (null = no cap)
+   */
+  setMintCap: async (sats) => {
+    const mintCap = sats > 0 ? sats : null;
+    if (mintCap) {
+      storage.setItem("mint_cap", String(mintCap));
+    } else {
+      storage.removeItem("mint_cap");
+    }
+    set({ mintCap });
+    await get().rebalanceMints();
+  },
+
+  /**
+   * Rebalance Mints Over the Cap
+   *
+   * Moves the excess of every mint holding more than mintCap to the
+   * trusted mint with the most room under the cap, never filling it past
+   * the cap. Runs after deposits and received nutzaps. Excess that no
+   * mint has room for stays where it is, and moves smaller than
+   * REBALANCE_MIN_AMOUNT are skipped. Nothing is moved while another
+   * transfer or a nutzap move (see handleUntrustedNutzaps) is running.
+   *
+   * @returns {Array} The moves made [{ from, to, amount, fee, pending }]
+   */
+  rebalanceMints: async () => {
+    const {
+      cashuWallet,
+      mintCap,
+      isTransferring,
+      isMovingNutzaps,
+      transferBetweenMints,
+    } = get();
+    if (!cashuWallet || !mintCap || isTransferring || isMovingNutzaps) {
+      return [];
+    }
+
+    const moves = [];
+    for (const from of Object.keys(get().mintBalances)) {
+      const { mints, mintBalances } = get();
+      const excess = (mintBalances[from] || 0) - mintCap;
+      if (excess < REBALANCE_MIN_AMOUNT) continue;
+
+      const [to, room] = mints
+        .filter((mint) => mint !== from)
+        .map((mint) => [mint, mintCap - (mintBalances[mint] || 0)])
+        .sort(([, a], [, b]) => b - a)[0] || [null, 0];
+      if (room < REBALANCE_MIN_AMOUNT) continue;
+
+      const result = await transferBetweenMints(
+        from,
+        to,
+        Math.min(excess, room)
+      );
+      if (result) moves.push({ from, to, ...result });
+    }
+    return moves;
+  },
+
+  /**
+   * Publish the Wallet Event (Kind 17375)
+   *
+   * Republishes the encrypted wallet configuration after it changes so
+   * other devices pick up the new mint list.
+   *
+   * Non-critical: the change still applies locally if publishing fails.
+   *
+   * @returns {boolean} True if the event was published
+   */
+  publishWallet: async () => {
+    const { cashuWallet } = get();
+    if (!cashuWallet) return false;
+
+    try {
+      await cashuWallet.publish();
+      return true;
+    } catch (e) {
+      cashuWallet.warn(`Could not publish wallet event: ${e.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Publish Our Nutzap Preferences (Kind 10019)
+   *
+   * Tells senders how to pay us (NIP-61). The replaceable event lists:
+   * - "relay" tags: Relays where nutzaps for us should be published
+   * - "mint" tags: Mints we accept, with the unit they are used for
+   * - "pubkey" tag: The wallet's P2PK pubkey that proofs must be locked to
+   *
+   * Without this event senders fall back to locking proofs to our Nostr
+   * pubkey, which would require the user's Nostr key to redeem them.
+   *
+   * Non-critical: publishing failures are recorded as wallet warnings.
+   *
+   * @returns {boolean} True if the event was published
+   */
+  publishNutzapPreferences: async () => {
+    const { cashuWallet, ndkInstance, signer, relays } = get();
+    if (!cashuWallet || !ndkInstance || !signer) return false;
+
+    try {
+      const p2pk = await cashuWallet.getP2pk();
+
+      const preferencesEvent = new NDKEvent(ndkInstance, {
+        kind: 10019,
+        content: "",
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ...relayUrls(relays, "read").map((relay) => ["relay", relay]),
+          ...cashuWallet.mints.map((mint) => ["mint", mint, "sat"]),
+          ["pubkey", p2pk],
+        ],
+      });
+
+      await preferencesEvent.sign(signer);
+      await preferencesEvent.publish();
+      return true;
+    } catch (e) {
+      cashuWallet.warn(`Could not publish nutzap preferences: ${e.message}`);
+      return false;
+    }
+  },
+
+  // ============================================================
+  // RELAY LIST (NIP-65)
+  // ============================================================
+
+  /**
+   * Load the User's Relay List (kind 10002)
+   *
+   * Replaces the default relays with the ones the user has published and
+   * connects to any that are not in the pool yet. Without a published
+   * list the defaults stay in place.
+   *
+   * NIP-65 "r" tags:
+   *   ["r", "wss://..."]          - read and write
+   *   ["r", "wss://...", "read"]  - read only (where others reach us)
+   *   ["r", "wss://...", "write"] - write only (where we publish)
+   *
+   * @returns {Array} The relay list [{ url, read, write }]
+   */
+  loadRelayList: async () => {
+    const { ndkInstance, signer, relays } = get();
+    if (!ndkInstance || !signer) return relays;
+
+    try {
+      const user = await signer.user();
+      const relayList = await getRelayListForUser(user.pubkey, ndkInstance);
+      if (!relayList || relayList.relays.length === 0) return relays;
+
+      const loaded = [];
+      for (const tag of relayList.getMatchingTags("r")) {
+        const url = normalizeRelay(tag[1]);
+        if (!url || loaded.some((relay) => relay.url === url)) continue;
+        loaded.push({
+          url,
+          read: tag[2] !== "write",
+          write: tag[2] !== "read",
+        });
+      }
+      if (loaded.length === 0) return relays;
+
+      for (const relay of loaded) {
+        ndkInstance.addExplicitRelay(relay.url, undefined, true);
+      }
+
+      set({ relays: loaded });
+      return loaded;
+    } catch (e) {
+      get().setError(`Could not load relay list: ${e.message}`);
+      return relays;
+    }
+  },
+
+  /**
+   * Publish the User's Relay List (kind 10002)
+   *
+   * Kind 10002 is replaceable: the newest event is the whole list.
+   * The nutzap preferences (kind 10019) advertise our read relays, so
+   * they are republished too.
+   *
+   * @returns {boolean} True if the relay list was published
+   */
+  publishRelayList: async () => {
+    const {
+      ndkInstance,
+      signer,
+      relays,
+      cashuWallet,
+      publishNutzapPreferences,
+    } = get();
+    if (!ndkInstance || !signer) return false;
+
+    try {
+      const relayList = new NDKRelayList(ndkInstance);
+      relayList.tags = relays.map(({ url, read, write }) => {
+        if (read && write) return ["r", url];
+        return ["r", url, read ? "read" : "write"];
+      });
+
+      await relayList.sign(signer);
+      await relayList.publish(
+        NDKRelaySet.fromRelayUrls(
+          relays.map((relay) => relay.url),
+          ndkInstance
+        )
+      );
+
+      if (cashuWallet) {
+        await publishNutzapPreferences();
+      }
+      return true;
+    } catch (e) {
+      get().setError(`Could not publish relay list: ${e.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Add a Relay
+   *
+   * Connects to the relay and publishes the updated relay list.
+   *
+   * @param {string} url - Relay URL (wss://...)
+   * @param {Object} options - Optional { read, write }; both default to true
+   * @returns {boolean} True if the relay was added
+   */
+  addRelay: async (url, options = {}) => {
+    const { ndkInstance, relays, setError, publishRelayList } = get();
+    const { read = true, write = true } = options;
+
+    const relayUrl = normalizeRelay(url);
+    if (!relayUrl) {
+      setError("Invalid relay URL: expected wss://...");
+      return false;
+    }
+    if (!read && !write) {
+      setError("A relay must be used for reading, writing or both");
+      return false;
+    }
+    if (relays.some((relay) => relay.url === relayUrl)) {
+      setError("Relay is already in your list");
+      return false;
+    }
+
+    if (ndkInstance) {
+      ndkInstance.addExplicitRelay(relayUrl, undefined, true);
+    }
+
+    set({ relays: [...relays, { url: relayUrl, read, write }] });
+    return publishRelayList();
+  },
+
+  /**
+   * Remove a Relay
+   *
+   * Disconnects from the relay and publishes the updated relay list.
+   * At least one write relay has to remain so wallet events can be saved.
+   *
+   * @param {string} url - Relay URL to remove
+   * @returns {boolean} True if the relay was removed
+   */
+  removeRelay: async (url) => {
+    const { ndkInstance, relays, setError, publishRelayList } = get();
+    const relayUrl = normalizeRelay(url);
+
+    const remaining = relays.filter((relay) => relay.url !== relayUrl);
+    if (remaining.length === relays.length) {
+      setError("Relay is not in your list");
+      return false;
+    }
+    if (relayUrls(remaining, "write").length === 0) {
+      setError("Cannot remove your last write relay");
+      return false;
+    }
+
+    if (ndkInstance) {
+      ndkInstance.pool.removeRelay(relayUrl);
+    }
+
+    set({ relays: remaining });
+    return publishRelayList();
+  },
+
+  // ============================================================
+  // BEARER TOKENS (NUT-00)
+  // ============================================================
+
+  /**
+   * Create a Bearer Token (cashuB)
+   *
+   * Takes N sats out of the wallet and serializes them as a V4 token
+   * string that can be shown as a QR code or pasted anywhere. The token is
+   * not locked to anyone: whoever receives it first owns the sats.
+   *
+   * The proofs are swapped for exactly the requested amount and removed
+   * from the wallet state, so they are no longer counted in the balance.
+   * To cancel an unclaimed token, receive it back with receiveToken().
+   *
+   * @param {number} amount - Whole number of sats to put in the token
+   * @param {Object} options - Optional { mint, memo }; mint defaults to the one with the largest balance
+   * @returns {string|null} The cashuB token string or null on error
+   */
+  createToken: async (amount, options = {}) => {
+    const {
+      cashuWallet,
+      mintBalances,
+      setError,
+      verifyAndUpdateBalance,
+      recordTransaction,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    if (!Number.isInteger(amount) || amount < 1) {
+      setError("Amount must be a whole number of sats greater than zero");
+      return null;
+    }
+
+    const mint = options.mint
+      ? normalizeMintUrl(options.mint)
+      : Object.entries(mintBalances)
+          .filter(([, balance]) => balance >= amount)
+          .sort(([, a], [, b]) => b - a)[0]?.[0];
+
+    if (!mint || (mintBalances[mint] || 0) < amount) {
+      setError(`No single mint holds ${amount} sats`);
+      return null;
+    }
+
+    try {
+      const cashuWalletInstance = await cashuWallet.getCashuWallet(mint);
+
+      const proofs = cashuWallet.state?.getProofs({ mint }) || [];
+      const proofStates = await cashuWalletInstance.checkProofsStates(proofs);
+      const validProofs = proofs.filter(
+        (_, i) => proofStates[i]?.state === "UNSPENT"
+      );
+
+      const { keep, send } = await cashuWalletInstance.send(
+        amount,
+        validProofs
+      );
+
+      const stateUpdate = await cashuWallet.state.update({
+        store: keep,
+        destroy: replacedProofs(proofs, proofStates),
+        mint,
+      });
+
+      await recordTransaction({
+        direction: "out",
+        amount,
+        mint,
+        description: options.memo || "Cashu token",
+        stateUpdate,
+      });
+
+      await verifyAndUpdateBalance();
+
+      return getEncodedTokenV4({
+        mint,
+        unit: "sat",
+        memo: options.memo || undefined,
+        proofs: send,
+      });
+    } catch (e) {
+      setError(e.message);
+      await verifyAndUpdateBalance();
+      return null;
+    }
+  },
+
+  /**
+   * Inspect a Token Before Receiving It
+   *
+   * Decodes a pasted token locally so the UI can show its amount and
+   * mint, and whether the mint is one we already trust.
+   *
+   * @param {string} token - cashuA/cashuB token string
+   * @returns {Object|null} { mint, unit, memo, amount, isTrustedMint } or null if invalid
+   */
+  inspectToken: (token) => {
+    const { mints } = get();
+    const decoded = decodeCashuToken(token);
+    if (!decoded) return null;
+
+    const { proofs: _proofs, ...details } = decoded;
+    return { ...details, isTrustedMint: mints.includes(decoded.mint) };
+  },
+
+  /**
+   * Receive a Bearer Token
+   *
+   * Claims a cashuA/cashuB token by swapping its proofs at the issuing
+   * mint for fresh proofs only we know, then stores them in the wallet.
+   *
+   * Checks before swapping:
+   * - Unit must be sats
+   * - Mint must be trusted, unless options.trustMint adds it first
+   * - Proof states (NUT-07): fully spent tokens are rejected, partially
+   *   spent tokens are redeemed for their unspent proofs only, and
+   *   pending proofs are reported so the user can try again later
+   *
+   * @param {string} token - cashuA/cashuB token string
+   * @param {Object} options - Optional { trustMint } to add an unknown mint
+   * @returns {Object|null} { amount, mint } or null on error
+   */
+  receiveToken: async (token, options = {}) => {
+    const {
+      cashuWallet,
+      mints,
+      setError,
+      addMint,
+      verifyAndUpdateBalance,
+      recordTransaction,
+    } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    const decoded = decodeCashuToken(token);
+    if (!decoded) {
+      setError("Invalid Cashu token");
+      return null;
+    }
+
+    const { mint, unit, proofs } = decoded;
+
+    if (unit !== "sat") {
+      setError(`Unsupported token unit: ${unit}`);
+      return null;
+    }
+
+    if (!mints.includes(mint)) {
+      if (!options.trustMint) {
+        setError(`Token is from an untrusted mint: ${mint}`);
+        return null;
+      }
+      const added = await addMint(mint);
+      if (!added) return null;
+    }
+
+    try {
+      const cashuWalletInstance = await cashuWallet.getCashuWallet(mint);
+      const proofStates = await cashuWalletInstance.checkProofsStates(proofs);
+
+      const unspentProofs = proofs.filter(
+        (_, i) => proofStates[i]?.state === "UNSPENT"
+      );
+
+      if (unspentProofs.length === 0) {
+        const isPending = proofStates.some((s) => s?.state === "PENDING");
+        setError(
+          isPending
+            ? "This token is part of a pending payment. Try again later."
+            : "This token has already been redeemed"
+        );
+        return null;
+      }
+
+      const received = await cashuWalletInstance.receive({
+        mint,
+        unit,
+        proofs: unspentProofs,
+      });
+
+      const stateUpdate = await cashuWallet.state.update({
+        store: received,
+        mint,
+      });
+      const amount = received.reduce((sum, p) => sum + p.amount, 0);
+      const tokenAmount = unspentProofs.reduce((sum, p) => sum + p.amount, 0);
+
+      await recordTransaction({
+        direction: "in",
+        amount,
+        fee: tokenAmount - amount,
+        mint,
+        description: decoded.memo || "Cashu token",
+        stateUpdate,
+      });
+
+      await verifyAndUpdateBalance();
+
+      set({ errorMessage: null });
+
+      return { amount, mint };
+    } catch (e) {
+      const alreadySpent = e.message?.toLowerCase().includes("already spent");
+      setError(
+        alreadySpent ? "This token has already been redeemed" : e.message
+      );
+      return null;
+    }
+  },
+
+  // ============================================================
+  // SESSION MANAGEMENT
+  // ============================================================
+
+  /**
+   * Reset State (Logout)
+   *
+   * Clears all wallet and connection state, returning the store
+   * to its initial state. Called when user logs out.
+   *
+   * What gets cleared:
+   * - Connection state (isConnected, ndkInstance, signer)
+   * - Identity (nostrPubKey, nostrPrivKey)
+   * - Wallet (cashuWallet, walletBalance, mints, mintBalances, proofs, history)
+   * - UI state (invoice, pendingDeposits, pendingWithdrawal, isCreatingWallet, isWalletReady)
+   * - Payment requests (they stay stored and reload at the next login)
+   * - Contacts (contacts, recentRecipients, acceptsNutzaps)
+   *
+   * Note: This does NOT clear storage or sign out of the session - use
+   * the identity's logout() for that. This only resets the in-memory
+   * wallet state.
+   *
+   * The wallet and proofs still exist on relays and can be
+   * recovered by logging in again with the same nsec.
+   */
+  resetState: () => {
+    const {
+      cashuWallet,
+      nutzapMonitor,
+      historySubscription,
+      paymentRequestSubscription,
+      pendingDeposits,
+      depositPollTimer,
+      invoiceExpiryTimer,
+    } = get();
+
+    // Clean up wallet listeners
+    if (cashuWallet) {
+      cashuWallet.removeAllListeners();
+    }
+
+    // Stop nutzap monitor
+    if (nutzapMonitor) {
+      nutzapMonitor.stop();
+    }
+
+    // Stop history sync
+    if (historySubscription) {
+      historySubscription.stop();
+    }
+    if (paymentRequestSubscription) {
+      paymentRequestSubscription.stop();
+    }
+
+    // Stop polling pending deposits (their quote events stay on relays)
+    if (depositPollTimer) {
+      clearInterval(depositPollTimer);
+    }
+    if (invoiceExpiryTimer) {
+      clearTimeout(invoiceExpiryTimer);
+    }
+    for (const entry of pendingDeposits) {
+      if (entry.deposit) {
+        entry.deposit.finalized = true;
+        entry.deposit.removeAllListeners();
+      }
+    }
+
+    set({
+      isConnected: session.isConnected,
+      errorMessage: null,
+      nostrPubKey: "",
+      nostrPrivKey: "",
+      ndkInstance: null,
+      signer: null,
+      relays: defaultRelayList(config.relays),
+      cashuWallet: null,
+      nutzapMonitor: null,
+      nutzapInbox: [],
+      profiles: {},
+      walletBalance: 0,
+      mints: [config.mint],
+      mintBalances: {},
+      pendingBalances: {},
+      unverifiedMints: [],
+      proofs: [],
+      invoice: "",
+      invoiceExpiryTimer: null,
+      pendingDeposits: [],
+      depositPollTimer: null,
+      isCheckingDeposits: false,
+      isConsolidating: false,
+      isTransferring: false,
+      isMovingNutzaps: false,
+      pendingWithdrawal: null,
+      history: [],
+      historySubscription: null,
+      paymentRequests: [],
+      paymentRequestSubscription: null,
+      contacts: [],
+      recentRecipients: [],
+      acceptsNutzaps: {},
+      isCreatingWallet: false,
+      isWalletReady: false,
+    });
+  },
+});
+
+/**
+ * Create a Wallet
+ *
+ * The wallet is a state store: getState() returns its state and
+ * actions, subscribe() reports changes. Actions work as in the app:
+ *
+ *   const wallet = createWallet({ session, mint, relays, walletId });
+ *   await wallet.getState().init(nsec);
+ *   await wallet.getState().initWallet();
+ *   await wallet.getState().send(npub, 21, "Thanks!");
+ *
+ * @param {Object} options
+ * @param {Object} options.session - Nostr session (see ./session.js)
+ * @param {Object} options.storage - Where settings are kept (default:
+ *   the session's storage)
+ * @param {string} options.mint - Default mint for new wallets and
+ *   recipients without a mint list
+ * @param {string[]} options.relays - Relays used until the user
+ *   publishes a relay list (default: none)
+ * @param {string} options.walletId - NIP-60 wallet name
+ * @param {string} options.receiver - npub that gets sends without a recipient
+ * @returns {Object} The wallet store, plus destroy() to clear the state
+ *   and close the session (see session.close())
+ */
+export function createWallet(options) {
+  const { session } = options;
+  const context = {
+    session,
+    storage: options.storage || session.storage,
+    config: {
+      mint: options.mint,
+      relays: options.relays || [],
+      walletId: options.walletId,
+      receiver: options.receiver,
+    },
+  };
+
+  const wallet = createStateStore((set, get) => ({
+    ...createWalletSlice(set, get, context),
+    ...createNutzapSlice(set, get, context),
+    ...createDepositSlice(set, get, context),
+    ...createWithdrawSlice(set, get, context),
+    ...createPaymentRequestSlice(set, get, context),
+    ...createContactsSlice(set, get, context),
+  }));
+
+  // Follow the session's relay connection (including reconnects)
+  const unsubscribe = session.on("status", () =>
+    wallet.setState({ isConnected: session.isConnected })
+  );
+
+  wallet.destroy = () => {
+    unsubscribe();
+    wallet.getState().resetState();
+    session.close();
+  };
+
+  return wallet;
+}
@@ -0,0 +1,455 @@
+/**
+ * wallet.test.js
+ *
+ * Runs the wallet end to end against the in-memory mints and relay
+ * (see ../mocks): restoring a wallet, deposits with paid and unpaid
+ * invoices, withdrawals and transfers between mints with fees, and the
+ * retry and error paths of send(). Each test uses
+ * fresh accounts; the backends are shared, since cashu-ts caches a
+ * mint's keys by URL, and reset between tests.
+ *
+ *   npm test
+ */
+
+import { after, afterEach, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createFakeInvoice, installMockBackends } from "../mocks/index.js";
+import {
+  createIdentity,
+  createMemoryStorage,
+  createNostrSession,
+  createWallet,
+} from "./index.js";
+
+const MINT_URL = "https://mint.mock.test";
+// Charges input fees, so transfers out of it cost something
+const FEE_MINT_URL = "https://fees.mint.mock.test";
+const RELAY_URL = "wss://relay.mock.test";
+
+/**
+ * Wait Until a Condition Holds
+ * @param {Function} check - Returns truthy when done
+ * @param {number} timeout - Most ms to wait
+ */
+async function waitFor(check, timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+describe("wallet against the mock mint and relay", () => {
+  let backends;
+  let wallets;
+
+  /**
+   * Create an Account with a Connected Wallet
+   * @param {Object} options
+   * @param {Object} options.account - An earlier account to log in again as
+   * @param {boolean} options.create - Create the wallet if none is found
+   * @returns {Object} { wallet, nsec, pubkey }
+   */
+  const openWallet = async ({ account = null, create = true } = {}) => {
+    const storage = createMemoryStorage();
+    const session = createNostrSession({
+      relays: [RELAY_URL],
+      outboxRelays: [RELAY_URL],
+      storage,
+    });
+
+    // Log in the way the app does, so the npub is in storage for init()
+    const identity = createIdentity({ session });
+    const { nsec } = account
+      ? await identity.getState().auth(account.nsec, "correct horse")
+      : await identity.getState().generateNostrKeys(null, "correct horse");
+
+    const wallet = createWallet({
+      session,
+      storage,
+      mint: MINT_URL,
+      relays: [RELAY_URL],
+      walletId: "Test Wallet",
+    });
+    wallets.push(wallet);
+
+    assert.ok(await wallet.getState().init(nsec));
+    const restored = await wallet.getState().initWallet();
+    if (!restored && create) {
+      assert.ok(await wallet.getState().createNewWallet());
+    }
+
+    const { pubkey } = await wallet.getState().signer.user();
+    return { wallet, nsec, pubkey };
+  };
+
+  /**
+   * Fund a Wallet through a Paid Deposit
+   * @param {Object} wallet - Wallet store
+   * @param {number} amount - Sats to deposit
+   */
+  const fund = async (wallet, amount) => {
+    assert.ok(await wallet.getState().initiateDeposit(amount));
+    await waitFor(() => wallet.getState().walletBalance >= amount);
+  };
+
+  before(() => {
+    backends = installMockBackends({
+      mintUrl: MINT_URL,
+      relayUrl: RELAY_URL,
+      autoPayAfter: 0,
+      otherMints: [{ url: FEE_MINT_URL, inputFeePpk: 100 }],
+    });
+    wallets = [];
+  });
+
+  afterEach(async () => {
+    // ndk-wallet publishes token, history and deletion events without
+    // awaiting them; let those land before destroy() closes the relays
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    wallets.forEach((wallet) => wallet.destroy());
+    wallets = [];
+    backends.mints.forEach((mint) => {
+      mint.reset();
+      mint.setAutoPay(0);
+    });
+    backends.relay.rejectKinds([]);
+  });
+
+  after(() => {
+    backends.relay.disconnectAll();
+    backends.uninstall();
+  });
+
+  test("restores an existing wallet with its P2PK key", async () => {
+    const first = await openWallet();
+    const { p2pk } = first.wallet.getState().cashuWallet;
+
+    const again = await openWallet({ account: first, create: false });
+    const state = again.wallet.getState();
+
+    assert.equal(state.errorMessage, null);
+    assert.equal(state.isWalletReady, true);
+    assert.equal(state.cashuWallet.p2pk, p2pk);
+    assert.equal(state.cashuWallet.walletId, "Test Wallet");
+    assert.deepEqual(state.mints, [MINT_URL]);
+  });
+
+  test("keeps a deposit pending until its invoice is paid", async () => {
+    backends.mint.setAutoPay(null);
+    const { wallet } = await openWallet();
+
+    assert.ok(await wallet.getState().initiateDeposit(50));
+    await waitFor(() => wallet.getState().pendingDeposits.length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    assert.equal(wallet.getState().walletBalance, 0);
+
+    backends.mint.payQuote(wallet.getState().pendingDeposits[0].quoteId);
+    await waitFor(() => wallet.getState().walletBalance === 50);
+  });
+
+  test("keeps pending proofs when creating a token", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+
+    const proofs = wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    const largest = proofs.reduce((a, b) => (a.amount > b.amount ? a : b));
+    await backends.mint.markPending([largest]);
+
+    assert.ok(await wallet.getState().createToken(5));
+
+    const remaining = wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    assert.ok(remaining.some((proof) => proof.secret === largest.secret));
+  });
+
+  test("returns the unused fee reserve of a withdrawal", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+    backends.mint.setFeeReserve(8);
+
+    const invoice = createFakeInvoice({
+      amount: 40,
+      paymentHash: "cd".repeat(32),
+    });
+    const prepared = await wallet.getState().prepareWithdrawal(invoice);
+    assert.equal(prepared.feeReserve, 8);
+
+    const result = await wallet.getState().withdraw();
+    assert.equal(result.fee, 0);
+    assert.equal(wallet.getState().walletBalance, 60);
+  });
+
+  test("keeps the sats when the mint can't pay a withdrawal", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+    backends.mint.meltOutcome("UNPAID");
+
+    const invoice = createFakeInvoice({
+      amount: 40,
+      paymentHash: "ce".repeat(32),
+    });
+    assert.ok(await wallet.getState().prepareWithdrawal(invoice));
+    assert.equal(await wallet.getState().withdraw(), null);
+
+    const state = wallet.getState();
+    assert.match(state.errorMessage, /could not pay/);
+    assert.equal(state.walletBalance, 100);
+    assert.ok(state.pendingWithdrawal);
+    assert.ok(!state.history.some((entry) => entry.direction === "out"));
+  });
+
+  test("keeps an in-flight withdrawal pending", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+    backends.mint.meltOutcome("PENDING");
+
+    const invoice = createFakeInvoice({
+      amount: 40,
+      paymentHash: "cf".repeat(32),
+    });
+    assert.ok(await wallet.getState().prepareWithdrawal(invoice));
+    const result = await wallet.getState().withdraw();
+    assert.equal(result.pending, true);
+
+    const state = wallet.getState();
+    assert.equal(state.walletBalance, 60);
+    assert.equal(state.pendingBalances[MINT_URL], 40);
+    assert.equal(state.pendingWithdrawal, null);
+    assert.ok(!state.history.some((entry) => entry.direction === "out"));
+  });
+
+  test("moves sats out of a mint that charges input fees", async () => {
+    const { wallet } = await openWallet();
+    assert.ok(await wallet.getState().addMint(FEE_MINT_URL));
+    assert.ok(
+      await wallet.getState().initiateDeposit(100, { mint: FEE_MINT_URL })
+    );
+    await waitFor(() => wallet.getState().walletBalance === 100);
+
+    const result = await wallet
+      .getState()
+      .transferBetweenMints(FEE_MINT_URL, MINT_URL, 30);
+
+    assert.ok(result, wallet.getState().errorMessage);
+    assert.ok(result.fee > 0);
+    const { mintBalances, walletBalance } = wallet.getState();
+    assert.equal(mintBalances[MINT_URL], 30);
+    assert.equal(walletBalance, 100 - result.fee);
+    const moved = wallet
+      .getState()
+      .history.find((entry) => entry.direction === "out");
+    assert.equal(moved.amount, 30 + result.fee);
+  });
+
+  test("keeps the sats when the source mint can't pay a transfer", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+    assert.ok(await wallet.getState().addMint(FEE_MINT_URL));
+    // Only a paid melt may pay the destination's invoice
+    backends.mints[1].setAutoPay(null);
+    backends.mint.meltOutcome("UNPAID");
+
+    const result = await wallet
+      .getState()
+      .transferBetweenMints(MINT_URL, FEE_MINT_URL, 30);
+
+    assert.equal(result, null);
+    const state = wallet.getState();
+    assert.match(state.errorMessage, /could not pay/);
+    assert.equal(state.walletBalance, 100);
+    assert.equal(state.pendingDeposits.length, 0);
+  });
+
+  test("keeps an in-flight transfer pending", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+    assert.ok(await wallet.getState().addMint(FEE_MINT_URL));
+    // Only a paid melt may pay the destination's invoice
+    backends.mints[1].setAutoPay(null);
+    backends.mint.meltOutcome("PENDING");
+
+    const result = await wallet
+      .getState()
+      .transferBetweenMints(MINT_URL, FEE_MINT_URL, 30);
+
+    assert.equal(result.pending, true);
+    const state = wallet.getState();
+    assert.equal(state.pendingBalances[MINT_URL], 30);
+    assert.equal(state.walletBalance, 70);
+    assert.equal(state.pendingDeposits.length, 1);
+    assert.ok(!state.history.some((entry) => entry.direction === "out"));
+  });
+
+  test("keeps pending proofs when withdrawing", async () => {
+    const { wallet } = await openWallet();
+    await fund(wallet, 100);
+
+    const proofs = wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    const largest = proofs.reduce((a, b) => (a.amount > b.amount ? a : b));
+    await backends.mint.markPending([largest]);
+
+    const invoice = createFakeInvoice({
+      amount: 5,
+      paymentHash: "ab".repeat(32),
+    });
+    assert.ok(await wallet.getState().prepareWithdrawal(invoice));
+    assert.ok(await wallet.getState().withdraw());
+
+    const remaining = wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    assert.ok(remaining.some((proof) => proof.secret === largest.secret));
+  });
+
+  test("sends a nutzap the recipient redeems", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+    await recipient.wallet.getState().startNutzapMonitor();
+
+    const result = await sender.wallet
+      .getState()
+      .send(recipient.pubkey, 21, "Thanks!");
+
+    assert.ok(result);
+    assert.ok(result.relayResults.every((relay) => relay.ok));
+    assert.equal(sender.wallet.getState().walletBalance, 79);
+    await waitFor(() => recipient.wallet.getState().walletBalance === 21);
+  });
+
+  test("caps the sats held from an unknown mint in total", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+
+    // Listed in the recipient's nutzap preferences, but no longer trusted
+    assert.ok(await recipient.wallet.getState().addMint(FEE_MINT_URL));
+    recipient.wallet.setState({ mints: [MINT_URL] });
+    recipient.wallet
+      .getState()
+      .setUntrustedMintPolicy({ mode: "ask", maxAmount: 30 });
+    await recipient.wallet.getState().startNutzapMonitor();
+
+    assert.ok(await sender.wallet.getState().addMint(FEE_MINT_URL));
+    assert.ok(
+      await sender.wallet
+        .getState()
+        .initiateDeposit(100, { mint: FEE_MINT_URL })
+    );
+    await waitFor(() => sender.wallet.getState().walletBalance === 100);
+
+    const inbox = () =>
+      recipient.wallet
+        .getState()
+        .nutzapInbox.map((entry) => entry.status)
+        .sort()
+        .join();
+
+    assert.ok(await sender.wallet.getState().send(recipient.pubkey, 20));
+    await waitFor(() => inbox() === "untrusted");
+
+    assert.ok(await sender.wallet.getState().send(recipient.pubkey, 20));
+    await waitFor(() => inbox() === "declined,untrusted");
+    assert.equal(recipient.wallet.getState().walletBalance, 0);
+  });
+
+  test("keeps pending proofs when sending a nutzap", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+
+    const proofs = sender.wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    const largest = proofs.reduce((a, b) => (a.amount > b.amount ? a : b));
+    await backends.mint.markPending([largest]);
+
+    assert.ok(await sender.wallet.getState().send(recipient.pubkey, 5));
+
+    const remaining = sender.wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    assert.ok(remaining.some((proof) => proof.secret === largest.secret));
+  });
+
+  test("skips proofs spent from another device", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+
+    // Spend the largest proof "elsewhere"; the rest still covers the send
+    const proofs = sender.wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    const largest = proofs.reduce((a, b) => (a.amount > b.amount ? a : b));
+    await backends.mint.markSpent([largest]);
+
+    const result = await sender.wallet.getState().send(recipient.pubkey, 5);
+
+    assert.ok(result);
+    assert.equal(
+      sender.wallet.getState().walletBalance,
+      100 - largest.amount - 5
+    );
+  });
+
+  test("fails cleanly when every proof was spent elsewhere", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+
+    const proofs = sender.wallet
+      .getState()
+      .cashuWallet.state.getProofs({ mint: MINT_URL });
+    await backends.mint.markSpent(proofs);
+
+    const result = await sender.wallet.getState().send(recipient.pubkey, 5);
+
+    // The retry reloads the wallet and finds nothing left to spend
+    assert.equal(result, false);
+    assert.equal(sender.wallet.getState().walletBalance, 0);
+    assert.match(
+      sender.wallet.getState().errorMessage,
+      /None of your mints .* holds 5 sats/
+    );
+  });
+
+  test("keeps the proofs when the mint can't be reached", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+
+    backends.mint.failNext("/v1/swap", "network", 3);
+    const result = await sender.wallet.getState().send(recipient.pubkey, 5);
+
+    assert.equal(result, false);
+    assert.ok(sender.wallet.getState().errorMessage);
+    assert.equal(sender.wallet.getState().walletBalance, 100);
+  });
+
+  test("reports relays that reject the nutzap", async () => {
+    const sender = await openWallet();
+    const recipient = await openWallet();
+    await fund(sender.wallet, 100);
+
+    backends.relay.rejectKinds([9321]);
+    const result = await sender.wallet.getState().send(recipient.pubkey, 5);
+
+    assert.ok(result);
+    assert.deepEqual(
+      result.relayResults.map(({ ok }) => ok),
+      [false]
+    );
+    assert.match(result.relayResults[0].error, /kind not accepted/);
+    assert.equal(
+      sender.wallet.getState().errorMessage,
+      "The nutzap was not accepted by any relay"
+    );
+  });
+});
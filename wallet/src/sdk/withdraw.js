@@ -0,0 +1,224 @@
+/**
+ * withdraw.js
+ *
+ * Withdrawals (Ecash -> Lightning, NUT-05). prepareWithdrawal() gets a
+ * melt quote so the fee reserve can be confirmed before withdraw() hands
+ * proofs to the mint.
+ */
+
+import { replacedProofs } from "./helpers.js";
+
+/**
+ * Withdrawal Actions
+ * @param {Function} set - Updates the wallet state
+ * @param {Function} get - Reads the wallet state and actions
+ * @returns {Object} State and actions merged into the wallet
+ */
+export const createWithdrawSlice = (set, get) => ({
+  /**
+   * Prepare a Withdrawal (Ecash -> Lightning)
+   *
+   * Requests a melt quote for a BOLT11 invoice so the user can review
+   * the cost before anything is spent. Nothing leaves the wallet yet.
+   *
+   * Melt Quote (Cashu NUT-05):
+   * The mint looks up a route for the invoice and answers with:
+   * - amount: The invoice amount in sats
+   * - fee_reserve: Maximum Lightning routing fee the mint may need
+   * - expiry: When the quote stops being valid
+   *
+   * The fee reserve is an upper bound. Whatever the payment does not use
+   * comes back as change proofs once the invoice is paid.
+   *
+   * Quotes are requested from our mints in order of verified balance
+   * until one can cover amount + fee reserve.
+   *
+   * @param {string} invoice - BOLT11 Lightning invoice (lnbc...)
+   * @returns {Object|null} { mint, quote, invoice, amount, feeReserve } or null on error
+   */
+  prepareWithdrawal: async (invoice) => {
+    const { cashuWallet, mintBalances, setError } = get();
+
+    if (!cashuWallet) {
+      setError("Wallet not initialized");
+      return null;
+    }
+
+    const request = invoice?.trim().replace(/^lightning:/i, "");
+    if (!request || !/^ln(bc|tb|tbs|bcrt)/i.test(request)) {
+      setError("Invalid Lightning invoice");
+      return null;
+    }
+
+    const candidateMints = Object.entries(mintBalances)
+      .filter(([, balance]) => balance > 0)
+      .sort(([, a], [, b]) => b - a)
+      .map(([mint]) => mint);
+
+    if (candidateMints.length === 0) {
+      setError("No funds available to withdraw");
+      return null;
+    }
+
+    let lastError = null;
+
+    for (const mint of candidateMints) {
+      try {
+        const cashuWalletInstance = await cashuWallet.getCashuWallet(mint);
+        const quote = await cashuWalletInstance.createMeltQuote(request);
+
+        if (quote.amount + quote.fee_reserve > mintBalances[mint]) {
+          lastError = new Error(
+            `Insufficient balance: ${quote.amount} sats plus up to ${quote.fee_reserve} sats in fees needed`
+          );
+          continue;
+        }
+
+        const pendingWithdrawal = {
+          mint,
+          quote,
+          invoice: request,
+          amount: quote.amount,
+          feeReserve: quote.fee_reserve,
+        };
+
+        set({ pendingWithdrawal, errorMessage: null });
+        return pendingWithdrawal;
+      } catch (e) {
+        lastError = e;
+      }
+    }
+
+    setError(lastError?.message || "Could not get a withdrawal quote");
+    return null;
+  },
+
+  /**
+   * Withdraw to Lightning (Melt)
+   *
+   * Pays the invoice from the prepared melt quote using ecash.
+   *
+   * Melt Flow:
+   * 1. Verify our proofs at the quote's mint are still unspent
+   * 2. Swap them into "send" proofs worth exactly amount + fee reserve
+   *    (plus input fees) and "keep" proofs for the rest
+   * 3. Hand the send proofs to the mint, which pays the invoice
+   * 4. Store keep + change proofs, destroy the originals (proofs still
+   *    PENDING from an earlier payment stay)
+   * 5. Record an outgoing kind 7376 history entry including the fee
+   *
+   * The melt reply carries the quote's state, and only PAID finishes the
+   * flow above:
+   * - UNPAID: The mint could not pay. The send proofs are stored back and
+   *   the quote stays prepared so the user can try again.
+   * - PENDING: The payment is still in flight. The send proofs are stored
+   *   back, now PENDING at the mint, and no withdrawal is recorded. The
+   *   balance verification drops them once the mint marks them SPENT.
+   *
+   * If the mint rejects the payment, the send proofs are stored back so
+   * they are not lost. Any that were actually spent are filtered out by
+   * the next balance verification.
+   *
+   * @returns {Object|null} { amount, fee, preimage, pending } or null on error
+   */
+  withdraw: async () => {
+    const {
+      cashuWallet,
+      pendingWithdrawal,
+      setError,
+      verifyAndUpdateBalance,
+      recordTransaction,
+    } = get();
+
+    if (!cashuWallet || !pendingWithdrawal) {
+      setError("No withdrawal to confirm");
+      return null;
+    }
+
+    const { mint, quote, amount, feeReserve } = pendingWithdrawal;
+    const sum = (list) => list.reduce((total, p) => total + p.amount, 0);
+
+    try {
+      const cashuWalletInstance = await cashuWallet.getCashuWallet(mint);
+
+      const proofs = cashuWallet.state?.getProofs({ mint }) || [];
+      const proofStates = await cashuWalletInstance.checkProofsStates(proofs);
+      const validProofs = proofs.filter(
+        (_, i) => proofStates[i]?.state === "UNSPENT"
+      );
+
+      const { keep, send: meltInputs } = await cashuWalletInstance.send(
+        amount + feeReserve,
+        validProofs,
+        { includeFees: true }
+      );
+
+      const storeBack = () =>
+        cashuWallet.state.update({
+          store: [...keep, ...meltInputs],
+          destroy: replacedProofs(proofs, proofStates),
+          mint,
+        });
+
+      let meltResult;
+      try {
+        meltResult = await cashuWalletInstance.meltProofs(quote, meltInputs);
+      } catch (meltErr) {
+        await storeBack();
+        throw meltErr;
+      }
+
+      const { quote: meltQuote, change } = meltResult;
+
+      if (meltQuote?.state === "PENDING") {
+        await storeBack();
+        set({ pendingWithdrawal: null });
+        await verifyAndUpdateBalance();
+        return { amount, fee: null, preimage: null, pending: true };
+      }
+
+      if (meltQuote?.state !== "PAID") {
+        await storeBack();
+        throw new Error("The mint could not pay the invoice");
+      }
+
+      const stateUpdate = await cashuWallet.state.update({
+        store: [...keep, ...change],
+        destroy: replacedProofs(proofs, proofStates),
+        mint,
+      });
+
+      // Everything that left the wallet, including the swap's input fee
+      const fee = sum(validProofs) - sum(keep) - sum(change) - amount;
+
+      await recordTransaction({
+        direction: "out",
+        amount: amount + fee,
+        fee,
+        mint,
+        description: "Lightning withdrawal",
+        stateUpdate,
+      });
+
+      set({ pendingWithdrawal: null });
+      await verifyAndUpdateBalance();
+
+      return {
+        amount,
+        fee,
+        preimage: meltQuote.payment_preimage || null,
+        pending: false,
+      };
+    } catch (e) {
+      setError(e.message || "Withdrawal failed");
+      await verifyAndUpdateBalance();
+      return null;
+    }
+  },
+
+  /**
+   * Cancel a Prepared Withdrawal
+   * Discards the melt quote. No funds were reserved, so nothing else changes.
+   */
+  cancelWithdrawal: () => set({ pendingWithdrawal: null }),
+});